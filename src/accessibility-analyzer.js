@@ -0,0 +1,278 @@
+/**
+ * Accessibility Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Static accessibility checks on the HTML that overlap with SEO: form fields
+ * without labels, buttons and links without an accessible name, empty headings, missing
+ * `lang`, duplicate IDs, invalid ARIA roles and attributes and missing landmark regions.
+ * Every finding carries a CSS selector of the affected element.
+ */
+
+// WAI-ARIA 1.2 roles (abstract roles are not allowed in markup)
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
+    'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none',
+    'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+    'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem',
+    // DPUB-ARIA roles used by publishing sites
+    'doc-abstract', 'doc-acknowledgments', 'doc-afterword', 'doc-appendix', 'doc-backlink', 'doc-biblioentry',
+    'doc-bibliography', 'doc-biblioref', 'doc-chapter', 'doc-colophon', 'doc-conclusion', 'doc-cover',
+    'doc-credit', 'doc-credits', 'doc-dedication', 'doc-endnote', 'doc-endnotes', 'doc-epigraph',
+    'doc-epilogue', 'doc-errata', 'doc-example', 'doc-footnote', 'doc-foreword', 'doc-glossary',
+    'doc-glossref', 'doc-index', 'doc-introduction', 'doc-noteref', 'doc-notice', 'doc-pagebreak',
+    'doc-pagelist', 'doc-part', 'doc-preface', 'doc-prologue', 'doc-pullquote', 'doc-qna', 'doc-subtitle',
+    'doc-tip', 'doc-toc'
+]);
+
+// WAI-ARIA 1.2 states and properties
+const ARIA_ATTRIBUTES = new Set([
+    'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+    'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan',
+    'aria-controls', 'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled',
+    'aria-dropeffect', 'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup',
+    'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level',
+    'aria-live', 'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-orientation', 'aria-owns',
+    'aria-placeholder', 'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant', 'aria-required',
+    'aria-roledescription', 'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
+    'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+    'aria-valuetext'
+]);
+
+// Attributes that reference other elements by ID
+const ARIA_ID_REFERENCES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-errormessage', 'aria-details', 'aria-activedescendant', 'aria-flowto'];
+
+// Input types that do not need a visible label
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+class AccessibilityAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxIssuesPerType - Maximum findings with selectors listed per issue type
+     */
+    constructor({ maxIssuesPerType = 20 } = {}) {
+        this.maxIssuesPerType = maxIssuesPerType;
+    }
+
+    /**
+     * Maps every ID of the page to its elements in document order. IDs are looked up
+     * here instead of through `[id="..."]` selectors, which break on quotes and backslashes.
+     * @param {Object} $ - Cheerio instance
+     * @returns {Map<string, Object[]>}
+     */
+    getIdMap($) {
+        const idMap = new Map();
+        $('[id]').each((i, el) => {
+            const id = el.attribs.id;
+            if (!id) return;
+            if (!idMap.has(id)) idMap.set(id, []);
+            idMap.get(id).push(el);
+        });
+        return idMap;
+    }
+
+    /**
+     * Builds a CSS selector for an element, anchored at the closest ancestor with an ID
+     */
+    getSelector($, el, idMap = this.getIdMap($)) {
+        const parts = [];
+        let current = el;
+
+        while (current && current.type === 'tag' && current.name !== 'html') {
+            const id = $(current).attr('id');
+            if (id && /^[A-Za-z][\w-]*$/.test(id) && idMap.get(id).length === 1) {
+                parts.unshift(`#${id}`);
+                break;
+            }
+
+            let part = current.name;
+            const sameTagSiblings = $(current).parent().children(current.name);
+            if (sameTagSiblings.length > 1) {
+                part += `:nth-of-type(${sameTagSiblings.index(current) + 1})`;
+            }
+            parts.unshift(part);
+            current = current.parent;
+        }
+
+        return parts.join(' > ');
+    }
+
+    /**
+     * Text of the elements referenced by aria-labelledby
+     */
+    getReferencedText($, ids, idMap = this.getIdMap($)) {
+        return String(ids || '').split(/\s+/).filter(Boolean)
+            .map(id => $(idMap.get(id) || []).text().trim())
+            .join(' ')
+            .trim();
+    }
+
+    /**
+     * Approximates the accessible name of an element (aria-labelledby, aria-label,
+     * text content, alt text of contained images, title)
+     */
+    getAccessibleName($, el, idMap = this.getIdMap($)) {
+        const element = $(el);
+        const labelledBy = this.getReferencedText($, element.attr('aria-labelledby'), idMap);
+        if (labelledBy) return labelledBy;
+
+        const ariaLabel = (element.attr('aria-label') || '').trim();
+        if (ariaLabel) return ariaLabel;
+
+        if (el.name === 'input') {
+            const type = (element.attr('type') || '').toLowerCase();
+            if (type === 'image') return (element.attr('alt') || '').trim();
+            if (['submit', 'button', 'reset'].includes(type)) {
+                return (element.attr('value') || '').trim() || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+            }
+        }
+
+        const text = element.text().replace(/\s+/g, ' ').trim();
+        if (text) return text;
+
+        const imageAlt = element.find('img[alt], [role="img"][aria-label]')
+            .map((i, child) => ($(child).attr('alt') || $(child).attr('aria-label') || '').trim()).get()
+            .filter(Boolean).join(' ');
+        if (imageAlt) return imageAlt;
+
+        const svgTitle = element.find('svg title').first().text().trim();
+        if (svgTitle) return svgTitle;
+
+        return (element.attr('title') || '').trim();
+    }
+
+    hasLabel($, el, idMap = this.getIdMap($)) {
+        const element = $(el);
+        const id = element.attr('id');
+        if (id && $('label').filter((i, label) => $(label).attr('for') === id && $(label).text().trim()).length > 0) return true;
+        if (element.closest('label').length > 0 && element.closest('label').text().trim()) return true;
+        if ((element.attr('aria-label') || '').trim()) return true;
+        if (this.getReferencedText($, element.attr('aria-labelledby'), idMap)) return true;
+        return !!(element.attr('title') || '').trim();
+    }
+
+    /**
+     * Runs all accessibility checks on a page
+     * @param {Object} $ - Cheerio instance
+     * @returns {Object} { issueCount, issuesByType, issues, landmarks }
+     */
+    analyze($) {
+        const issues = [];
+        const idMap = this.getIdMap($);
+        const addIssue = (type, el, message) => {
+            issues.push({ type, selector: el ? this.getSelector($, el, idMap) : 'html', message });
+        };
+
+        // Language of the page
+        if (!($('html').attr('lang') || '').trim()) {
+            addIssue('missing_lang', null, 'The <html> element has no lang attribute');
+        }
+
+        // Form fields need a label, placeholders are not labels
+        $('input, select, textarea').each((i, el) => {
+            const type = ($(el).attr('type') || 'text').toLowerCase();
+            if (el.name === 'input' && UNLABELLED_INPUT_TYPES.includes(type)) return;
+            if ($(el).attr('aria-hidden') === 'true') return;
+            if (!this.hasLabel($, el, idMap)) {
+                addIssue('input_without_label', el, `<${el.name}${el.name === 'input' ? ` type="${type}"` : ''}> has no associated label`);
+            }
+        });
+
+        // Buttons and links need an accessible name
+        $('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"], input[type="image"]').each((i, el) => {
+            if ($(el).attr('aria-hidden') === 'true') return;
+            if (!this.getAccessibleName($, el, idMap)) {
+                addIssue('button_without_name', el, 'Button has no accessible name');
+            }
+        });
+        $('a[href], [role="link"]').each((i, el) => {
+            if ($(el).attr('aria-hidden') === 'true') return;
+            if (!this.getAccessibleName($, el, idMap)) {
+                addIssue('link_without_name', el, `Link to "${$(el).attr('href') || ''}" has no accessible name`);
+            }
+        });
+
+        // Headings without content
+        $('h1, h2, h3, h4, h5, h6, [role="heading"]').each((i, el) => {
+            if (!this.getAccessibleName($, el, idMap)) {
+                addIssue('empty_heading', el, `<${el.name}> heading is empty`);
+            }
+        });
+
+        // IDs must be unique
+        idMap.forEach((elements, id) => {
+            if (elements.length > 1) {
+                addIssue('duplicate_id', elements[1], `ID "${id}" is used ${elements.length} times`);
+            }
+        });
+
+        // ARIA roles, attributes and ID references
+        $('[role]').each((i, el) => {
+            const roles = ($(el).attr('role') || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+            // The first valid token wins, only all-invalid role lists are broken
+            if (roles.length === 0 || !roles.some(role => ARIA_ROLES.has(role))) {
+                addIssue('invalid_aria_role', el, `Invalid ARIA role "${$(el).attr('role')}"`);
+            }
+        });
+        $('*').each((i, el) => {
+            Object.keys(el.attribs || {}).filter(name => name.startsWith('aria-')).forEach(name => {
+                if (!ARIA_ATTRIBUTES.has(name)) {
+                    addIssue('invalid_aria_attribute', el, `Unknown ARIA attribute "${name}"`);
+                } else if (ARIA_ID_REFERENCES.includes(name)) {
+                    const missing = String(el.attribs[name]).split(/\s+/).filter(id => id && !idMap.has(id));
+                    if (missing.length > 0) {
+                        addIssue('invalid_aria_attribute', el, `${name} references missing ID${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+                    }
+                }
+            });
+            if ($(el).attr('aria-hidden') === 'true' && $(el).is('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])')) {
+                addIssue('invalid_aria_attribute', el, 'Focusable element is hidden with aria-hidden="true"');
+            }
+        });
+
+        // Landmark regions, header and footer only count outside of sectioning content
+        const outsideSectioning = selector => $(selector).filter((i, el) => $(el).parents('article, aside, main, nav, section').length === 0).length;
+        const landmarks = {
+            main: $('main, [role="main"]').length,
+            navigation: $('nav, [role="navigation"]').length,
+            banner: outsideSectioning('header') + $('[role="banner"]').length,
+            contentinfo: outsideSectioning('footer') + $('[role="contentinfo"]').length
+        };
+        if (landmarks.main === 0) {
+            addIssue('missing_landmark', $('body').get(0), 'The page has no main landmark (<main> or role="main")');
+        } else if (landmarks.main > 1) {
+            addIssue('duplicate_landmark', $('main, [role="main"]').get(1), `The page has ${landmarks.main} main landmarks`);
+        }
+        if (landmarks.navigation === 0 && $('a[href]').length >= 5) {
+            addIssue('missing_landmark', $('body').get(0), 'Links are not grouped in a navigation landmark (<nav>)');
+        }
+        ['banner', 'contentinfo'].filter(landmark => landmarks[landmark] > 1).forEach(landmark => {
+            addIssue('duplicate_landmark', $('body').get(0), `The page has ${landmarks[landmark]} ${landmark} landmarks`);
+        });
+
+        const issuesByType = {};
+        issues.forEach(issue => {
+            issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+        });
+
+        // Long lists of the same finding add nothing, counts stay complete
+        const listedPerType = {};
+        const listedIssues = issues.filter(issue => {
+            listedPerType[issue.type] = (listedPerType[issue.type] || 0) + 1;
+            return listedPerType[issue.type] <= this.maxIssuesPerType;
+        });
+
+        return {
+            issueCount: issues.length,
+            issuesByType,
+            issues: listedIssues,
+            landmarks
+        };
+    }
+}
+
+module.exports = { AccessibilityAnalyzer };
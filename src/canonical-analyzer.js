@@ -0,0 +1,229 @@
+/**
+ * Canonical Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Validates canonical tags. Per page it resolves the canonical to an absolute
+ * URL and classifies it (self-referencing, cross-page, cross-domain, relative, multiple tags,
+ * tag in body). Across the crawl it checks canonical targets for non-200 status codes,
+ * redirects and noindex conflicts and detects canonical chains and loops.
+ */
+
+const { URLNormalizer } = require('./url-normalizer');
+
+class CanonicalAnalyzer {
+    constructor() {
+        this.urlNormalizer = new URLNormalizer();
+    }
+
+    /**
+     * Parses and classifies the canonical tags of a single page
+     * @param {Object} $ - Cheerio instance
+     * @param {string} url - Page URL (after redirects)
+     * @returns {Object} Canonical classification and page-level issues
+     */
+    analyzePage($, url) {
+        const pageUrl = this.urlNormalizer.normalize(url);
+        const issues = [];
+        const tags = [];
+
+        $('link[rel]').each((i, el) => {
+            const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+            if (!rel.includes('canonical')) return;
+
+            const href = ($(el).attr('href') || '').trim();
+            let resolvedUrl = null;
+            if (href) {
+                try {
+                    const resolved = new URL(href, url);
+                    // javascript:, data: and similar targets are reported as invalid below
+                    if (/^https?:$/.test(resolved.protocol)) resolvedUrl = this.urlNormalizer.normalize(resolved.href);
+                } catch (error) {
+                    // Reported as invalid below
+                }
+            }
+
+            tags.push({
+                href,
+                resolvedUrl,
+                isRelative: !!resolvedUrl && !/^https?:\/\//i.test(href),
+                inBody: $(el).closest('body').length > 0
+            });
+        });
+
+        // Search engines only honor a canonical in the head
+        const headTags = tags.filter(tag => !tag.inBody);
+        const primary = headTags[0] || null;
+        const resolvedUrls = [...new Set(tags.filter(tag => tag.resolvedUrl).map(tag => tag.resolvedUrl))];
+
+        let type = 'missing';
+        if (primary && primary.resolvedUrl) {
+            if (primary.resolvedUrl === pageUrl) {
+                type = 'self';
+            } else if (new URL(primary.resolvedUrl).hostname !== new URL(pageUrl).hostname) {
+                type = 'cross_domain';
+            } else {
+                type = 'cross_page';
+            }
+        } else if (primary) {
+            type = 'invalid';
+        } else if (tags.length > 0) {
+            type = 'body_only';
+        }
+
+        tags.forEach(tag => {
+            if (!tag.href) {
+                issues.push({ type: 'empty_href', href: tag.href, message: 'Canonical tag has an empty href' });
+            } else if (!tag.resolvedUrl) {
+                issues.push({ type: 'invalid_url', href: tag.href, message: `Canonical "${tag.href}" is not a valid http(s) URL` });
+            } else if (tag.isRelative) {
+                issues.push({ type: 'relative_url', href: tag.href, message: `Canonical "${tag.href}" is relative, use an absolute URL` });
+            }
+            if (tag.inBody) {
+                issues.push({ type: 'canonical_in_body', href: tag.href, message: 'Canonical tag is placed in the body and will be ignored' });
+            }
+        });
+
+        if (tags.length > 1) {
+            const conflicting = resolvedUrls.length > 1;
+            issues.push({
+                type: conflicting ? 'conflicting_canonicals' : 'multiple_canonicals',
+                href: null,
+                message: conflicting
+                    ? `${tags.length} canonical tags point to different URLs: ${resolvedUrls.join(', ')}`
+                    : `${tags.length} canonical tags found`
+            });
+        }
+
+        return {
+            canonicalUrl: primary ? primary.resolvedUrl : null,
+            type,
+            isSelfReferencing: type === 'self',
+            isRelative: !!primary && primary.isRelative,
+            inBody: tags.some(tag => tag.inBody),
+            count: tags.length,
+            tags,
+            issues
+        };
+    }
+
+    /**
+     * Checks canonical targets between crawled pages. Adds the cross-page issues and the
+     * resolved canonical chain to each page's `canonicalAnalysis` and returns a summary.
+     * Targets that were not crawled are checked with `checkStatus` when it is given.
+     * @param {Object[]} pages - Page results with url, finalUrl, status codes, robotsDirectives and canonicalAnalysis
+     * @param {Object} options
+     * @param {Function} options.checkStatus - Async function resolving a URL to { statusCode, finalUrl, redirect }
+     * (see PageFetcher.checkStatus)
+     * @returns {Promise<Object>} Cross-page summary
+     */
+    async analyzeAcrossPages(pages, { checkStatus = null } = {}) {
+        // Redirect targets are reachable by their final URL with the final status code
+        const pagesByUrl = new Map();
+        pages.forEach(page => {
+            if (page.finalUrl) {
+                pagesByUrl.set(this.urlNormalizer.normalize(page.finalUrl), { page, status: page.finalStatusCode ?? page.statusCode });
+            }
+            pagesByUrl.set(this.urlNormalizer.normalize(page.url), { page, status: page.statusCode });
+        });
+
+        const isCanonicalized = page => page.canonicalAnalysis && ['cross_page', 'cross_domain'].includes(page.canonicalAnalysis.type);
+
+        // Every target outside the crawl is requested once, however many pages point to it
+        const checkedTargets = new Map();
+        if (checkStatus) {
+            const uncrawledTargets = [...new Set(pages.filter(isCanonicalized)
+                .map(page => page.canonicalAnalysis.canonicalUrl)
+                .filter(url => !pagesByUrl.has(url)))];
+            const results = await Promise.all(uncrawledTargets.map(url => checkStatus(url)));
+            uncrawledTargets.forEach((url, index) => checkedTargets.set(url, results[index]));
+        }
+
+        const isNoindex = page => !!(page.robotsDirectives && page.robotsDirectives.effective.noindex);
+        const summary = {
+            canonicalized_pages: 0,
+            canonical_targets_not_200: 0,
+            canonical_targets_redirecting: 0,
+            canonical_targets_noindex: 0,
+            noindex_conflicts: 0,
+            canonical_chains: 0,
+            canonical_loops: 0,
+            checked_targets: checkedTargets.size,
+            unverified_targets: 0
+        };
+
+        pages.filter(page => page.canonicalAnalysis).forEach(page => {
+            const analysis = page.canonicalAnalysis;
+            const addIssue = (type, message) => {
+                analysis.issues.push({ type, href: analysis.canonicalUrl, message });
+            };
+            analysis.chain = [];
+
+            if (!isCanonicalized(page)) return;
+            summary.canonicalized_pages++;
+
+            // noindex asks to drop the page while the canonical asks to consolidate it elsewhere
+            if (isNoindex(page)) {
+                summary.noindex_conflicts++;
+                addIssue('noindex_conflict', 'Page is noindex and canonicalized to another URL, which sends mixed signals');
+            }
+
+            const checked = checkedTargets.get(analysis.canonicalUrl);
+            if (checked) {
+                if (checked.redirect.isRedirected) {
+                    summary.canonical_targets_redirecting++;
+                    addIssue('canonical_target_redirects', `Canonical target ${analysis.canonicalUrl} redirects to ${checked.finalUrl}, point to the final URL`);
+                }
+                if (checked.statusCode !== 200) {
+                    summary.canonical_targets_not_200++;
+                    addIssue('canonical_target_not_200', `Canonical target ${checked.finalUrl} returned status ${checked.statusCode || 'error'}`);
+                }
+                return;
+            }
+
+            const entry = pagesByUrl.get(analysis.canonicalUrl);
+            if (!entry) {
+                summary.unverified_targets++;
+                return;
+            }
+
+            if (entry.status !== 200) {
+                summary.canonical_targets_not_200++;
+                addIssue('canonical_target_not_200', `Canonical target ${analysis.canonicalUrl} returned status ${entry.status || 'error'}`);
+            }
+            if (isNoindex(entry.page)) {
+                summary.canonical_targets_noindex++;
+                addIssue('canonical_target_noindex', `Canonical target ${analysis.canonicalUrl} is set to noindex`);
+            }
+
+            // Follow canonicals of crawled targets: A -> B -> C is a chain, A -> B -> A a loop
+            const chain = [this.urlNormalizer.normalize(page.finalUrl || page.url), analysis.canonicalUrl];
+            let current = entry.page;
+            let isLoop = false;
+            while (current && isCanonicalized(current)) {
+                const next = current.canonicalAnalysis.canonicalUrl;
+                if (chain.includes(next)) {
+                    isLoop = true;
+                    chain.push(next);
+                    break;
+                }
+                chain.push(next);
+                current = pagesByUrl.get(next) ? pagesByUrl.get(next).page : null;
+            }
+
+            if (chain.length > 2) {
+                analysis.chain = chain;
+                if (isLoop) {
+                    summary.canonical_loops++;
+                    addIssue('canonical_loop', `Canonical loop: ${chain.join(' -> ')}`);
+                } else {
+                    summary.canonical_chains++;
+                    addIssue('canonical_chain', `Canonical chain: ${chain.join(' -> ')}, point directly to ${chain[chain.length - 1]}`);
+                }
+            }
+        });
+
+        return summary;
+    }
+}
+
+module.exports = { CanonicalAnalyzer };
@@ -0,0 +1,186 @@
+/**
+ * Crawl Pool for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Bounded worker pool with a shared URL queue and per-host request
+ * spacing. Lets several pages be fetched and analyzed in parallel while keeping
+ * requests to any single server at a polite pace.
+ */
+
+class CrawlPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Maximum number of items processed in parallel
+     * @param {number} options.perHostDelay - Minimum delay between two requests to the same host (ms)
+     * @param {number} options.maxItems - Maximum number of items that count towards the crawl budget
+     */
+    constructor({ concurrency = 5, perHostDelay = 1000, maxItems = Infinity } = {}) {
+        this.concurrency = Math.max(1, Number(concurrency) || 1);
+        this.perHostDelay = Math.max(0, Number(perHostDelay) || 0);
+        this.maxItems = maxItems;
+
+        this.queue = [];
+        this.inFlight = new Set();
+        this.seenUrls = new Set();
+        this.hostDelays = new Map();
+        this.hostNextSlot = new Map();
+        this.waiters = [];
+
+        this.reserved = 0;
+        this.active = 0;
+    }
+
+    /**
+     * Adds an item to the shared queue unless its URL was already queued or processed
+     * @param {Object} item - Queue item, must contain a `url` property
+     * @returns {boolean} Whether the item was added
+     */
+    enqueue(item) {
+        if (!item || !item.url || this.seenUrls.has(item.url)) {
+            return false;
+        }
+
+        this.seenUrls.add(item.url);
+        this.queue.push(item);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Marks a URL as handled without queueing it (e.g. a redirect target whose
+     * content was already analyzed under the redirecting URL)
+     * @param {string} url - Normalized URL
+     */
+    markSeen(url) {
+        if (url) this.seenUrls.add(url);
+    }
+
+    /**
+     * Whether a URL has already been queued or processed
+     * @param {string} url - Normalized URL
+     * @returns {boolean}
+     */
+    has(url) {
+        return this.seenUrls.has(url);
+    }
+
+    /**
+     * Overrides the request spacing for a single host (e.g. from robots.txt Crawl-delay)
+     * @param {string} host - Host name including port, as returned by `URL.host`
+     * @param {number} delay - Minimum delay between requests in milliseconds
+     */
+    setHostDelay(host, delay) {
+        this.hostDelays.set(host, Math.max(0, Number(delay) || 0));
+    }
+
+    getHostDelay(host) {
+        return this.hostDelays.has(host) ? this.hostDelays.get(host) : this.perHostDelay;
+    }
+
+    /**
+     * Returns a serializable snapshot of the crawl. Items still being processed are
+     * put back at the front of the queue so they are retried after a restart.
+     * @param {Function} isDone - Tells whether an in-flight item already has its result stored
+     * @returns {Object} { queue, seenUrls, processedCount }
+     */
+    getState(isDone = () => false) {
+        const pending = [...this.inFlight].filter(item => !isDone(item));
+        return {
+            queue: [...pending, ...this.queue],
+            seenUrls: [...this.seenUrls],
+            processedCount: this.reserved - pending.length
+        };
+    }
+
+    /**
+     * Restores a snapshot created by `getState()`
+     * @param {Object} state - Previously persisted pool state
+     */
+    restoreState({ queue = [], seenUrls = [], processedCount = 0 } = {}) {
+        this.queue = [...queue];
+        this.seenUrls = new Set([...seenUrls, ...queue.map(item => item.url)]);
+        this.reserved = processedCount;
+    }
+
+    /**
+     * Processes the queue until it is empty or the crawl budget is used up
+     * @param {Function} handler - Async function receiving a queue item. Returning `false`
+     * releases the item's slot so it does not count towards `maxItems`.
+     * @returns {Promise<void>}
+     */
+    async run(handler) {
+        const workers = [];
+        for (let i = 0; i < this.concurrency; i++) {
+            workers.push(this.worker(handler));
+        }
+        await Promise.all(workers);
+    }
+
+    async worker(handler) {
+        while (true) {
+            const canDispatch = this.queue.length > 0 && this.reserved < this.maxItems;
+
+            if (!canDispatch) {
+                // Nothing left to do and nobody is able to add more work
+                if (this.active === 0) {
+                    this.notify();
+                    return;
+                }
+                await this.waitForChange();
+                continue;
+            }
+
+            const item = this.queue.shift();
+            this.inFlight.add(item);
+            this.reserved++;
+            this.active++;
+
+            let counted = true;
+            try {
+                await this.waitForHostSlot(item.url);
+                counted = (await handler(item)) !== false;
+            } catch (error) {
+                console.error(`Crawl worker failed for ${item.url}:`, error.message);
+                counted = false;
+            } finally {
+                if (!counted) this.reserved--;
+                this.inFlight.delete(item);
+                this.active--;
+                this.notify();
+            }
+        }
+    }
+
+    /**
+     * Reserves the next free request slot for the item's host and waits for it.
+     * Slots are reserved synchronously so parallel workers never share one.
+     */
+    async waitForHostSlot(url) {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (e) {
+            return;
+        }
+
+        const now = Date.now();
+        const slot = Math.max(now, this.hostNextSlot.get(host) || 0);
+        this.hostNextSlot.set(host, slot + this.getHostDelay(host));
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    waitForChange() {
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    notify() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+module.exports = { CrawlPool };
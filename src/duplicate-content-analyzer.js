@@ -0,0 +1,178 @@
+/**
+ * Duplicate Content Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Fingerprints the main content of a page (word shingles folded into a 64-bit
+ * simhash plus an exact content hash) and groups crawled pages into exact and near-duplicate
+ * clusters, e.g. to catch thin templated location pages.
+ */
+
+const crypto = require('crypto');
+
+class DuplicateContentAnalyzer {
+    constructor({ shingleSize = 3, minWords = 10 } = {}) {
+        this.shingleSize = shingleSize;
+        this.minWords = minWords;
+    }
+
+    tokenize(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Builds overlapping word shingles, short texts become a single shingle
+     */
+    getShingles(tokens) {
+        if (tokens.length <= this.shingleSize) return tokens.length > 0 ? [tokens.join(' ')] : [];
+
+        const shingles = [];
+        for (let i = 0; i <= tokens.length - this.shingleSize; i++) {
+            shingles.push(tokens.slice(i, i + this.shingleSize).join(' '));
+        }
+        return shingles;
+    }
+
+    /**
+     * Creates the content fingerprint of a page
+     * @param {string} text - Main content text (without header, footer and navigation)
+     * @returns {Object} { hash, simhash, wordCount }
+     */
+    createFingerprint(text) {
+        const tokens = this.tokenize(text);
+        const weights = new Array(64).fill(0);
+        const counts = new Map();
+
+        this.getShingles(tokens).forEach(shingle => counts.set(shingle, (counts.get(shingle) || 0) + 1));
+        counts.forEach((count, shingle) => {
+            const digest = crypto.createHash('md5').update(shingle).digest();
+            for (let bit = 0; bit < 64; bit++) {
+                const isSet = (digest[bit >> 3] >> (7 - (bit & 7))) & 1;
+                weights[bit] += isSet ? count : -count;
+            }
+        });
+
+        // Two 32-bit halves keep the bit arithmetic in plain numbers
+        const halves = [0, 0];
+        weights.forEach((weight, bit) => {
+            if (weight > 0) halves[bit >> 5] |= 1 << (31 - (bit & 31));
+        });
+
+        return {
+            hash: tokens.length > 0 ? crypto.createHash('sha1').update(tokens.join(' ')).digest('hex') : null,
+            simhash: halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join(''),
+            wordCount: tokens.length
+        };
+    }
+
+    countBits(value) {
+        let v = value >>> 0;
+        let count = 0;
+        while (v) {
+            v &= v - 1;
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Estimates the content similarity of two fingerprints in percent. The share of differing
+     * simhash bits approximates the angle between the shingle vectors, so unrelated texts
+     * (about half the bits differ) score close to 0 rather than 50.
+     */
+    getSimilarity(simhashA, simhashB) {
+        const distance = [0, 8].reduce((sum, offset) => sum + this.countBits(
+            parseInt(simhashA.slice(offset, offset + 8), 16) ^ parseInt(simhashB.slice(offset, offset + 8), 16)
+        ), 0);
+        const cosine = Math.max(0, Math.cos((Math.PI * distance) / 64));
+        return Math.round(cosine * 10000) / 100;
+    }
+
+    /**
+     * Groups crawled pages into exact and near-duplicate clusters. Adds the duplicates found
+     * for each page to its `duplicateContent` field and returns the clusters.
+     * @param {Object[]} pages - Page results with url, finalUrl, status codes and contentFingerprint
+     * @param {number} threshold - Minimum similarity in percent for near-duplicates
+     * @returns {Object} { pages_compared, exact_duplicate_clusters, near_duplicate_clusters }
+     */
+    analyzeAcrossPages(pages, threshold = 90) {
+        // Redirected URLs share the document of their target, compare every final URL once
+        const seenUrls = new Set();
+        const candidates = pages.filter(page => {
+            const status = page.finalStatusCode ?? page.statusCode;
+            const finalUrl = page.finalUrl || page.url;
+            if (!page.contentFingerprint || !page.contentFingerprint.hash || status !== 200 || seenUrls.has(finalUrl)) return false;
+            seenUrls.add(finalUrl);
+            return true;
+        });
+        candidates.forEach(page => {
+            page.duplicateContent = { exactDuplicates: [], nearDuplicates: [] };
+        });
+
+        // Exact duplicates share the content hash
+        const byHash = new Map();
+        candidates.forEach(page => {
+            const hash = page.contentFingerprint.hash;
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(page);
+        });
+        const exactClusters = [...byHash.values()].filter(group => group.length > 1);
+        exactClusters.forEach(group => group.forEach(page => {
+            page.duplicateContent.exactDuplicates = group.filter(other => other !== page).map(other => other.url);
+        }));
+
+        // Near duplicates are compared once per distinct content and linked into clusters
+        const representatives = [...byHash.values()]
+            .map(group => group[0])
+            .filter(page => page.contentFingerprint.wordCount >= this.minWords);
+        const parent = representatives.map((page, index) => index);
+        const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+        const groupOf = page => byHash.get(page.contentFingerprint.hash);
+        const pairs = [];
+
+        for (let i = 0; i < representatives.length; i++) {
+            for (let j = i + 1; j < representatives.length; j++) {
+                const similarity = this.getSimilarity(representatives[i].contentFingerprint.simhash, representatives[j].contentFingerprint.simhash);
+                if (similarity < threshold) continue;
+
+                pairs.push({ a: i, b: j, similarity });
+                parent[find(i)] = find(j);
+                groupOf(representatives[i]).forEach(page => {
+                    groupOf(representatives[j]).forEach(other => {
+                        page.duplicateContent.nearDuplicates.push({ url: other.url, similarity });
+                        other.duplicateContent.nearDuplicates.push({ url: page.url, similarity });
+                    });
+                });
+            }
+        }
+
+        const nearClusters = new Map();
+        pairs.forEach(pair => {
+            const root = find(pair.a);
+            if (!nearClusters.has(root)) nearClusters.set(root, { members: new Set(), similarities: [] });
+            const cluster = nearClusters.get(root);
+            cluster.members.add(pair.a).add(pair.b);
+            cluster.similarities.push(pair.similarity);
+        });
+
+        return {
+            pages_compared: candidates.length,
+            near_duplicate_threshold: threshold,
+            exact_duplicate_clusters: exactClusters.map(group => ({
+                pages: group.length,
+                word_count: group[0].contentFingerprint.wordCount,
+                urls: group.map(page => page.url)
+            })),
+            near_duplicate_clusters: [...nearClusters.values()].map(cluster => {
+                const urls = [...cluster.members].flatMap(index => groupOf(representatives[index]).map(page => page.url));
+                return {
+                    pages: urls.length,
+                    min_similarity: Math.min(...cluster.similarities),
+                    max_similarity: Math.max(...cluster.similarities),
+                    urls
+                };
+            })
+        };
+    }
+}
+
+module.exports = { DuplicateContentAnalyzer };
@@ -0,0 +1,243 @@
+/**
+ * Hreflang Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Audits hreflang annotations. Per page it parses the alternate links,
+ * validates language/script/region codes and checks x-default, self references and
+ * conflicting duplicates. Across the crawl it detects missing return links and
+ * alternates pointing to non-200 or non-canonical URLs.
+ */
+
+const { URLNormalizer } = require('./url-normalizer');
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set((
+    'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ' +
+    'ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik ' +
+    'io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml ' +
+    'mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd ' +
+    'se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi ' +
+    'vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// ISO 3166-1 alpha-2 region codes
+const REGION_CODES = new Set((
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW ' +
+    'BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI ' +
+    'FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN ' +
+    'IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME ' +
+    'MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF ' +
+    'PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV ' +
+    'SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE ' +
+    'YT ZA ZM ZW'
+).split(' '));
+
+// Region codes people commonly use by mistake
+const REGION_SUGGESTIONS = { UK: 'GB', EN: 'GB', EU: null, LA: null };
+
+class HreflangAnalyzer {
+    constructor() {
+        this.urlNormalizer = new URLNormalizer();
+    }
+
+    /**
+     * Validates an hreflang value such as "en", "en-GB", "zh-Hant-TW" or "x-default"
+     * @param {string} value - hreflang attribute value
+     * @returns {Object} { language, script, region, isXDefault, isValid, error }
+     */
+    parseCode(value) {
+        const code = String(value || '').trim();
+        if (code.toLowerCase() === 'x-default') {
+            return { language: null, script: null, region: null, isXDefault: true, isValid: true, error: null };
+        }
+
+        const result = { language: null, script: null, region: null, isXDefault: false, isValid: false, error: null };
+        if (code.includes('_')) {
+            result.error = `Use a hyphen instead of an underscore in "${code}"`;
+            return result;
+        }
+
+        const parts = code.split('-');
+        result.language = parts[0].toLowerCase();
+        if (!LANGUAGE_CODES.has(result.language)) {
+            result.error = `Invalid ISO 639-1 language code "${parts[0]}"`;
+            return result;
+        }
+
+        let index = 1;
+        if (parts[index] && /^[a-z]{4}$/i.test(parts[index])) {
+            result.script = parts[index];
+            index++;
+        }
+        if (parts[index]) {
+            const region = parts[index].toUpperCase();
+            if (!REGION_CODES.has(region)) {
+                const suggestion = REGION_SUGGESTIONS[region];
+                result.error = `Invalid ISO 3166-1 region code "${parts[index]}"${suggestion ? ` (use "${suggestion}")` : ''}`;
+                return result;
+            }
+            result.region = region;
+            index++;
+        }
+        if (parts.length > index) {
+            result.error = `Unexpected subtag in "${code}"`;
+            return result;
+        }
+
+        result.isValid = true;
+        return result;
+    }
+
+    /**
+     * Parses and validates the hreflang links of a single page
+     * @param {Object} $ - Cheerio instance
+     * @param {string} url - Page URL
+     * @returns {Object} Hreflang links, flags and page-level issues
+     */
+    analyzePage($, url) {
+        const links = [];
+        const issues = [];
+        const pageUrl = this.urlNormalizer.normalize(url);
+
+        $('link[rel="alternate"][hreflang]').each((i, el) => {
+            const hreflang = ($(el).attr('hreflang') || '').trim();
+            const rawHref = ($(el).attr('href') || '').trim();
+            const code = this.parseCode(hreflang);
+            let href = null;
+
+            try {
+                href = this.urlNormalizer.normalize(new URL(rawHref, url).href);
+            } catch (error) {
+                issues.push({ type: 'invalid_href', hreflang, href: rawHref, message: `Invalid href "${rawHref}" for hreflang "${hreflang}"` });
+            }
+            if (href && !/^https?:\/\//i.test(rawHref)) {
+                issues.push({ type: 'relative_href', hreflang, href, message: `hreflang "${hreflang}" uses a relative URL, use fully qualified URLs` });
+            }
+            if (!code.isValid) {
+                issues.push({ type: 'invalid_code', hreflang, href, message: code.error });
+            }
+
+            links.push({ hreflang, href, ...code });
+        });
+
+        const validLinks = links.filter(link => link.href);
+
+        // The same code pointing to different URLs is ambiguous
+        const urlsByCode = {};
+        validLinks.forEach(link => {
+            const code = link.hreflang.toLowerCase();
+            (urlsByCode[code] = urlsByCode[code] || new Set()).add(link.href);
+        });
+        Object.entries(urlsByCode).forEach(([code, urls]) => {
+            if (urls.size > 1) {
+                issues.push({ type: 'conflicting_duplicate', hreflang: code, href: null, message: `hreflang "${code}" points to ${urls.size} different URLs: ${[...urls].join(', ')}` });
+            }
+        });
+
+        const hasXDefault = links.some(link => link.isXDefault);
+        // Prefer the language annotation over x-default when a page is both
+        const selfReference = validLinks.find(link => link.href === pageUrl && !link.isXDefault) ||
+            validLinks.find(link => link.href === pageUrl);
+
+        if (links.length > 0 && !hasXDefault) {
+            issues.push({ type: 'missing_x_default', hreflang: null, href: null, message: 'No x-default hreflang annotation' });
+        }
+        if (links.length > 0 && !selfReference) {
+            issues.push({ type: 'missing_self_reference', hreflang: null, href: pageUrl, message: 'The page does not list itself as an hreflang alternate' });
+        }
+
+        return {
+            links,
+            languageCodes: [...new Set(links.map(link => link.hreflang))],
+            hasXDefault,
+            hasSelfReference: !!selfReference,
+            selfReferenceCode: selfReference ? selfReference.hreflang : null,
+            issues
+        };
+    }
+
+    /**
+     * Checks hreflang annotations between crawled pages. Adds the cross-page issues to each
+     * page's `hreflangAnalysis.issues` and returns a summary. Alternates often live on other
+     * hosts (example.de, example.fr), so pass every page of the crawl and not just one origin.
+     * @param {Object[]} pages - Page results with url, finalUrl, status codes, canonicalUrl and hreflangAnalysis
+     * @returns {Object} Cross-page summary with the counts per origin of the checked page in `by_origin`
+     */
+    analyzeAcrossPages(pages) {
+        // Redirect targets are reachable by their final URL with the final status code
+        const pagesByUrl = new Map();
+        pages.forEach(page => {
+            if (page.finalUrl) {
+                pagesByUrl.set(this.urlNormalizer.normalize(page.finalUrl), { page, status: page.finalStatusCode ?? page.statusCode });
+            }
+            pagesByUrl.set(this.urlNormalizer.normalize(page.url), { page, status: page.statusCode });
+        });
+
+        const createCounts = () => ({
+            missing_return_links: 0,
+            alternates_to_non_200: 0,
+            alternates_to_non_canonical: 0,
+            code_mismatches: 0,
+            unverified_alternates: 0
+        });
+        const summary = { ...createCounts(), by_origin: {} };
+
+        pages.filter(page => page.hreflangAnalysis && page.hreflangAnalysis.links.length > 0).forEach(page => {
+            const pageUrl = this.urlNormalizer.normalize(page.finalUrl || page.url);
+            const origin = new URL(page.url).origin;
+            if (!summary.by_origin[origin]) summary.by_origin[origin] = createCounts();
+            const count = (key) => {
+                summary[key]++;
+                summary.by_origin[origin][key]++;
+            };
+            const addIssue = (type, link, message) => {
+                page.hreflangAnalysis.issues.push({ type, hreflang: link.hreflang, href: link.href, message });
+            };
+
+            page.hreflangAnalysis.links.filter(link => link.href && link.href !== pageUrl).forEach(link => {
+                const entry = pagesByUrl.get(link.href);
+                if (!entry) {
+                    count('unverified_alternates');
+                    return;
+                }
+
+                const target = entry.page;
+                if (entry.status !== 200) {
+                    count('alternates_to_non_200');
+                    addIssue('alternate_not_200', link, `Alternate ${link.href} returned status ${entry.status || 'error'}`);
+                    return;
+                }
+
+                if (target.canonicalUrl) {
+                    let canonical = null;
+                    try {
+                        canonical = this.urlNormalizer.normalize(new URL(target.canonicalUrl, target.finalUrl || target.url).href);
+                    } catch (error) {
+                        // Invalid canonicals are reported by the canonical checks
+                    }
+                    if (canonical && canonical !== link.href) {
+                        count('alternates_to_non_canonical');
+                        addIssue('alternate_not_canonical', link, `Alternate ${link.href} is canonicalized to ${canonical}`);
+                    }
+                }
+
+                const targetLinks = target.hreflangAnalysis ? target.hreflangAnalysis.links : [];
+                if (!targetLinks.some(targetLink => targetLink.href === pageUrl)) {
+                    count('missing_return_links');
+                    addIssue('missing_return_link', link, `Alternate ${link.href} does not link back to this page`);
+                }
+
+                // The alternate should describe itself with the same code this page uses for it
+                const targetSelfCode = target.hreflangAnalysis ? target.hreflangAnalysis.selfReferenceCode : null;
+                if (!link.isXDefault && targetSelfCode && targetSelfCode.toLowerCase() !== link.hreflang.toLowerCase()) {
+                    count('code_mismatches');
+                    addIssue('code_mismatch', link, `Alternate ${link.href} is annotated as "${link.hreflang}" here but as "${targetSelfCode}" on the page itself`);
+                }
+            });
+        });
+
+        return summary;
+    }
+}
+
+module.exports = { HreflangAnalyzer };
@@ -0,0 +1,382 @@
+/**
+ * Image Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Audits page images: fetches the first bytes of every image to record the real
+ * status code, file size and intrinsic dimensions (read from the PNG, GIF, JPEG, WebP, AVIF,
+ * BMP, ICO and SVG headers) and checks width/height attributes (layout shift risk),
+ * srcset/sizes usage, lazy loading above and below the fold, legacy formats and images
+ * that are much larger than their displayed size.
+ */
+
+const axios = require('axios');
+
+const LEGACY_FORMATS = ['jpeg', 'png', 'gif', 'bmp', 'tiff'];
+
+const FORMATS_BY_CONTENT_TYPE = {
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+    'image/tiff': 'tiff',
+    'image/heic': 'heic',
+    'image/heif': 'heif'
+};
+
+class ImageAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - User-Agent header for image requests
+     * @param {number} options.timeout - Request timeout in milliseconds
+     * @param {number} options.headerBytes - Number of bytes read to find the image dimensions
+     * @param {number} options.aboveFoldImages - Content images treated as above the fold without a browser
+     * @param {number} options.oversizeFactor - Intrinsic/displayed width ratio from which an image is oversized
+     * @param {number} options.maxFileSize - File size (bytes) from which an image is too large
+     * @param {number} options.minLegacySize - Smaller legacy images (icons, spacers) are not reported
+     */
+    constructor({
+        userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)',
+        timeout = 5000,
+        headerBytes = 65536,
+        aboveFoldImages = 2,
+        oversizeFactor = 2,
+        maxFileSize = 200000,
+        minLegacySize = 10000
+    } = {}) {
+        this.axios = axios;
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        this.headerBytes = headerBytes;
+        this.aboveFoldImages = aboveFoldImages;
+        this.oversizeFactor = oversizeFactor;
+        this.maxFileSize = maxFileSize;
+        this.minLegacySize = minLegacySize;
+    }
+
+    getFormat(contentType) {
+        const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+        return FORMATS_BY_CONTENT_TYPE[type] || null;
+    }
+
+    /**
+     * Reads the format and intrinsic dimensions from the first bytes of an image
+     * @param {Buffer} buffer - Start of the image file
+     * @returns {Object|null} { format, width, height } or null for unknown data
+     */
+    getDimensions(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 10) return null;
+
+        try {
+            // PNG: signature, then the IHDR chunk
+            if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.length >= 24) {
+                return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+            }
+
+            if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+                return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+            }
+
+            // JPEG: walk the segments up to the first start-of-frame marker
+            if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+                let offset = 2;
+                while (offset + 9 < buffer.length) {
+                    if (buffer[offset] !== 0xff) return { format: 'jpeg', width: null, height: null };
+                    const marker = buffer[offset + 1];
+                    if (marker === 0xff) {
+                        offset++;
+                        continue;
+                    }
+                    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                        return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+                    }
+                    offset += 2 + buffer.readUInt16BE(offset + 2);
+                }
+                return { format: 'jpeg', width: null, height: null };
+            }
+
+            if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+                const chunk = buffer.toString('ascii', 12, 16);
+                if (chunk === 'VP8 ') {
+                    return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+                }
+                if (chunk === 'VP8L') {
+                    const bits = buffer.readUInt32LE(21);
+                    return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+                }
+                if (chunk === 'VP8X') {
+                    return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+                }
+                return { format: 'webp', width: null, height: null };
+            }
+
+            // AVIF/HEIF: ftyp box with the brand, dimensions in the first ispe property
+            if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+                const brand = buffer.toString('ascii', 8, 12);
+                const format = ['avif', 'avis'].includes(brand) ? 'avif' : 'heif';
+                const ispe = buffer.indexOf('ispe');
+                if (ispe !== -1 && ispe + 16 <= buffer.length) {
+                    return { format, width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+                }
+                return { format, width: null, height: null };
+            }
+
+            if (buffer.toString('ascii', 0, 2) === 'BM' && buffer.length >= 26) {
+                return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+            }
+
+            if (buffer.readUInt32BE(0) === 0x00000100) {
+                // A stored size of 0 means 256 pixels
+                return { format: 'ico', width: buffer[6] || 256, height: buffer[7] || 256 };
+            }
+
+            const text = buffer.toString('utf8');
+            const svg = text.match(/<svg\b[^>]*>/i);
+            if (svg) {
+                const attribute = name => {
+                    const match = svg[0].match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+                    return match ? Math.round(parseFloat(match[1])) : null;
+                };
+                let width = attribute('width');
+                let height = attribute('height');
+                const viewBox = svg[0].match(/viewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+                if ((width === null || height === null) && viewBox) {
+                    width = width ?? Math.round(parseFloat(viewBox[1]));
+                    height = height ?? Math.round(parseFloat(viewBox[2]));
+                }
+                return { format: 'svg', width, height };
+            }
+        } catch (error) {
+            // Truncated or malformed header
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetches the start of an image with a range request
+     * @param {string} imageUrl - Absolute image URL or data URI
+     * @param {Object} options
+     * @param {Function} options.withHostSlot - Runs the request once the image host has a free request slot
+     * @returns {Promise<Object>} { statusCode, contentType, sizeInBytes, buffer, error }
+     */
+    async fetchImage(imageUrl, { withHostSlot = (url, request) => request() } = {}) {
+        if (imageUrl.startsWith('data:')) {
+            const [header, data = ''] = imageUrl.split(',');
+            const mimeMatch = header.match(/data:([^;]+)/);
+            const buffer = header.includes(';base64')
+                ? Buffer.from(data, 'base64')
+                : Buffer.from(decodeURIComponent(data), 'utf8');
+            return {
+                statusCode: null,
+                contentType: mimeMatch ? mimeMatch[1] : 'image/unknown',
+                sizeInBytes: buffer.length,
+                buffer,
+                error: null
+            };
+        }
+
+        try {
+            const response = await withHostSlot(imageUrl, () => this.axios.get(imageUrl, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'image/avif,image/webp,image/*,*/*;q=0.8',
+                    'Range': `bytes=0-${this.headerBytes - 1}`
+                },
+                responseType: 'stream',
+                timeout: this.timeout,
+                maxRedirects: 3,
+                validateStatus: () => true
+            }));
+
+            // Servers that ignore the range send the whole file, stop after the header bytes
+            const chunks = [];
+            let received = 0;
+            let isComplete = false;
+            await new Promise((resolve, reject) => {
+                const stream = response.data;
+                stream.on('data', chunk => {
+                    chunks.push(chunk);
+                    received += chunk.length;
+                    if (received >= this.headerBytes) {
+                        stream.destroy();
+                        resolve();
+                    }
+                });
+                stream.on('end', () => {
+                    isComplete = true;
+                    resolve();
+                });
+                stream.on('close', resolve);
+                stream.on('error', reject);
+            });
+
+            const range = String(response.headers['content-range'] || '').match(/\/(\d+)$/);
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            let sizeInBytes = 0;
+            if (range) {
+                sizeInBytes = parseInt(range[1], 10);
+            } else if (response.status !== 206 && contentLength) {
+                sizeInBytes = contentLength;
+            } else if (response.status === 200 && isComplete) {
+                sizeInBytes = received;
+            }
+
+            return {
+                // 206 only answers the range request, the image itself is available
+                statusCode: response.status === 206 ? 200 : response.status,
+                contentType: response.headers['content-type'] || null,
+                sizeInBytes,
+                buffer: Buffer.concat(chunks),
+                error: null
+            };
+        } catch (error) {
+            return { statusCode: null, contentType: null, sizeInBytes: 0, buffer: null, error: error.message };
+        }
+    }
+
+    /**
+     * Reads the position and displayed size of every `img[src]` from a rendered page
+     * @param {Object} page - Puppeteer page (or any object with an `evaluate` method)
+     * @returns {Promise<Object[]|null>} { top, width, height } per image in document order
+     */
+    async getRenderedImageBoxes(page) {
+        if (!page || typeof page.evaluate !== 'function') return null;
+        try {
+            return await page.evaluate(() => Array.from(document.querySelectorAll('img[src]')).map(img => {
+                const rect = img.getBoundingClientRect();
+                return {
+                    top: Math.round(rect.top + window.scrollY),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height),
+                    viewportHeight: window.innerHeight
+                };
+            }));
+        } catch (error) {
+            console.warn('Could not read rendered image sizes:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether an image is above the fold. Rendered pages use the image position, static HTML
+     * treats header images and the first content images as above the fold.
+     */
+    isAboveFold($img, contentImageIndex, box) {
+        if (box) return box.top < box.viewportHeight;
+        if ($img.closest('header, nav, [role="banner"]').length > 0) return true;
+        return contentImageIndex < this.aboveFoldImages;
+    }
+
+    getNumericAttribute($img, name) {
+        const match = String($img.attr(name) || '').trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+        return match ? Math.round(parseFloat(match[1])) : null;
+    }
+
+    /**
+     * Audits one image element
+     * @param {Object} $ - Cheerio instance
+     * @param {Object} $img - Cheerio image element
+     * @param {Object} fetched - Result of fetchImage
+     * @param {Object} context - { contentImageIndex, box }
+     * @returns {Object} Dimensions, markup checks and issues
+     */
+    auditImage($, $img, fetched, { contentImageIndex = 0, box = null } = {}) {
+        const dimensions = this.getDimensions(fetched.buffer);
+        const format = (dimensions && dimensions.format) || this.getFormat(fetched.contentType);
+        const widthAttribute = this.getNumericAttribute($img, 'width');
+        const heightAttribute = this.getNumericAttribute($img, 'height');
+        const srcset = $img.attr('srcset') || $img.attr('data-srcset') || '';
+        const sizes = $img.attr('sizes') || '';
+        const loading = ($img.attr('loading') || '').toLowerCase() || null;
+        const isAboveFold = this.isAboveFold($img, contentImageIndex, box);
+        const $picture = $img.parent('picture');
+        const modernSources = $picture.find('source[type]').toArray()
+            .map(source => this.getFormat($(source).attr('type')))
+            .filter(sourceFormat => sourceFormat === 'webp' || sourceFormat === 'avif');
+
+        const result = {
+            format,
+            intrinsicWidth: dimensions ? dimensions.width : null,
+            intrinsicHeight: dimensions ? dimensions.height : null,
+            widthAttribute,
+            heightAttribute,
+            displayedWidth: box && box.width ? box.width : widthAttribute,
+            displayedHeight: box && box.height ? box.height : heightAttribute,
+            hasDimensions: widthAttribute !== null && heightAttribute !== null,
+            hasSrcset: srcset.trim().length > 0,
+            hasSizes: sizes.trim().length > 0,
+            loading,
+            isAboveFold,
+            hasModernSource: modernSources.length > 0,
+            issues: []
+        };
+
+        const isBroken = fetched.statusCode !== null && fetched.statusCode >= 400;
+
+        if (isBroken) {
+            result.issues.push({ type: 'broken_image', message: `Image returns HTTP ${fetched.statusCode}` });
+        }
+        if (!result.hasDimensions) {
+            result.issues.push({ type: 'missing_dimensions', message: 'Missing width/height attributes, the image can cause layout shifts' });
+        }
+        // Width descriptors without sizes make the browser assume the full viewport width
+        if (result.hasSrcset && /\d+w\b/.test(srcset) && !result.hasSizes) {
+            result.issues.push({ type: 'srcset_without_sizes', message: 'srcset uses width descriptors but sizes is missing' });
+        }
+        if (isAboveFold && loading === 'lazy') {
+            result.issues.push({ type: 'lazy_above_fold', message: 'Image above the fold is lazy loaded, this delays the largest contentful paint' });
+        }
+        if (!isAboveFold && loading !== 'lazy') {
+            result.issues.push({ type: 'missing_lazy_loading', message: 'Image below the fold is not lazy loaded' });
+        }
+        // Format and size checks need the actual image
+        if (isBroken) return result;
+
+        if (LEGACY_FORMATS.includes(format) && !result.hasModernSource &&
+            (fetched.sizeInBytes === 0 || fetched.sizeInBytes >= this.minLegacySize)) {
+            result.issues.push({ type: 'legacy_format', message: `${format.toUpperCase()} image could be served as WebP or AVIF` });
+        }
+        if (format !== 'svg' && !result.hasSrcset && result.intrinsicWidth && result.displayedWidth &&
+            result.intrinsicWidth >= result.displayedWidth * this.oversizeFactor) {
+            result.issues.push({
+                type: 'oversized_image',
+                message: `Image is ${result.intrinsicWidth}px wide but displayed at ${result.displayedWidth}px`
+            });
+        }
+        if (fetched.sizeInBytes > this.maxFileSize) {
+            result.issues.push({
+                type: 'large_file',
+                message: `Image is ${Math.round(fetched.sizeInBytes / 1000)} KB (more than ${Math.round(this.maxFileSize / 1000)} KB)`
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Summarizes the audited images of a page
+     * @param {Object[]} images - Images with an `issues` array and `sizeInByte`
+     * @returns {Object} Counts per issue type and total image weight
+     */
+    summarize(images) {
+        const issuesByType = {};
+        images.forEach(image => (image.issues || []).forEach(issue => {
+            issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+        }));
+
+        return {
+            imagesAnalyzed: images.length,
+            imagesWithIssues: images.filter(image => image.issues && image.issues.length > 0).length,
+            totalImageBytes: images.reduce((sum, image) => sum + (image.sizeInByte || 0), 0),
+            issuesByType
+        };
+    }
+}
+
+module.exports = { ImageAnalyzer };
@@ -0,0 +1,144 @@
+/**
+ * Keyword Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Checks pages against their target keywords. Keywords are mapped to URLs or
+ * URL patterns (same syntax as the include/exclude URL patterns); for each keyword the page
+ * is checked for presence in title, meta description, H1, first paragraph, URL slug, image
+ * alts and anchor texts, and keyword density and stuffing are reported.
+ */
+
+const { URLFilter } = require('./url-filter');
+
+class KeywordAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.targetKeywords - Mappings like { url: '/services/**', keywords: ['seo audit'] }
+     * @param {number} options.maxDensity - Keyword density (%) above which a page counts as stuffed
+     * @param {number} options.minStuffingOccurrences - Occurrences needed before density counts as stuffing
+     */
+    constructor({ targetKeywords = [], maxDensity = 3, minStuffingOccurrences = 3 } = {}) {
+        this.urlFilter = new URLFilter();
+        this.maxDensity = maxDensity;
+        this.minStuffingOccurrences = minStuffingOccurrences;
+        this.mappings = (Array.isArray(targetKeywords) ? targetKeywords : [])
+            .filter(mapping => mapping && mapping.url)
+            .map(mapping => ({
+                pattern: this.urlFilter.compilePatterns([mapping.url])[0],
+                keywords: (Array.isArray(mapping.keywords) ? mapping.keywords : [mapping.keywords])
+                    .map(keyword => String(keyword || '').trim())
+                    .filter(Boolean)
+            }))
+            .filter(mapping => mapping.pattern && mapping.keywords.length > 0);
+    }
+
+    /**
+     * Returns the target keywords of all mappings matching a URL, the first one is the focus keyword
+     */
+    getKeywordsForUrl(url) {
+        const keywords = [];
+        this.mappings
+            .filter(mapping => this.urlFilter.matches(mapping.pattern, url))
+            .forEach(mapping => mapping.keywords.forEach(keyword => {
+                if (!keywords.some(existing => existing.toLowerCase() === keyword.toLowerCase())) keywords.push(keyword);
+            }));
+        return keywords;
+    }
+
+    /**
+     * Lowercases, strips accents and splits text into words
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * Counts occurrences of a keyword phrase in text, matched on whole words
+     */
+    countOccurrences(text, keywordTokens) {
+        const tokens = Array.isArray(text) ? text : this.tokenize(text);
+        let count = 0;
+        for (let i = 0; i <= tokens.length - keywordTokens.length; i++) {
+            if (keywordTokens.every((token, offset) => tokens[i + offset] === token)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Analyzes a page against the target keywords mapped to its URL
+     * @param {Object} $ - Cheerio instance
+     * @param {string} url - Page URL
+     * @param {Object} content - { title, description, h1: [], mainText }
+     * @returns {Object|null} Keyword analysis or null when no keyword is mapped to the URL
+     */
+    analyzePage($, url, { title = '', description = '', h1 = [], mainText = '' } = {}) {
+        const keywords = this.getKeywordsForUrl(url);
+        if (keywords.length === 0) return null;
+
+        let slug = '';
+        try {
+            slug = decodeURIComponent(new URL(url).pathname);
+        } catch (error) {
+            // Keep the empty slug
+        }
+
+        const firstParagraph = $('p').filter((i, el) => $(el).closest('header, footer, nav').length === 0 && $(el).text().trim().length > 0)
+            .first().text();
+        const imageAlts = $('img[alt]').map((i, el) => $(el).attr('alt')).get().filter(alt => alt.trim());
+        const anchorTexts = $('a[href]').map((i, el) => $(el).text()).get().filter(text => text.trim());
+        const contentTokens = this.tokenize(mainText);
+
+        const results = keywords.map(keyword => {
+            const keywordTokens = this.tokenize(keyword);
+            const occurrences = this.countOccurrences(contentTokens, keywordTokens);
+            const titleOccurrences = this.countOccurrences(title, keywordTokens);
+            const density = contentTokens.length > 0
+                ? Math.round(((occurrences * keywordTokens.length) / contentTokens.length) * 10000) / 100
+                : 0;
+            // A single mention on a very short page is not stuffing
+            const isDensityTooHigh = density > this.maxDensity && occurrences >= this.minStuffingOccurrences;
+
+            const result = {
+                keyword,
+                inTitle: titleOccurrences > 0,
+                titleStartsWithKeyword: this.countOccurrences(this.tokenize(title).slice(0, keywordTokens.length), keywordTokens) > 0,
+                inDescription: this.countOccurrences(description, keywordTokens) > 0,
+                inH1: h1.some(text => this.countOccurrences(text, keywordTokens) > 0),
+                inFirstParagraph: this.countOccurrences(firstParagraph, keywordTokens) > 0,
+                inUrlSlug: this.countOccurrences(slug, keywordTokens) > 0,
+                imageAltsWithKeyword: imageAlts.filter(alt => this.countOccurrences(alt, keywordTokens) > 0).length,
+                anchorTextsWithKeyword: anchorTexts.filter(text => this.countOccurrences(text, keywordTokens) > 0).length,
+                occurrences,
+                density,
+                isStuffed: isDensityTooHigh || titleOccurrences > 1,
+                issues: []
+            };
+
+            if (!result.inTitle) result.issues.push('keyword missing in title');
+            if (!result.inDescription) result.issues.push('keyword missing in meta description');
+            if (!result.inH1) result.issues.push('keyword missing in H1');
+            if (!result.inFirstParagraph) result.issues.push('keyword missing in first paragraph');
+            if (!result.inUrlSlug) result.issues.push('keyword missing in URL');
+            if (occurrences === 0) result.issues.push('keyword not used in content');
+            if (isDensityTooHigh) result.issues.push(`keyword density ${density}% above ${this.maxDensity}%`);
+            if (titleOccurrences > 1) result.issues.push('keyword repeated in title');
+
+            return result;
+        });
+
+        return {
+            focusKeyword: keywords[0],
+            keywords: results,
+            totalWords: contentTokens.length,
+            imagesWithAlt: imageAlts.length,
+            anchorTexts: anchorTexts.length
+        };
+    }
+}
+
+module.exports = { KeywordAnalyzer };
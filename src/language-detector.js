@@ -0,0 +1,167 @@
+/**
+ * Language Detector for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Detects the language of the main content offline with character n-gram
+ * profiles (out-of-place ranking) and compares it with the declared languages: the `lang`
+ * attribute, the `Content-Language` header and meta tag and the hreflang self reference.
+ * Pages whose text blocks are written in several languages are flagged as mixed.
+ */
+
+const { LANGUAGE_SAMPLES } = require('./language-profiles');
+
+class LanguageDetector {
+    /**
+     * @param {Object} samples - Sample text per language code
+     * @param {Object} options
+     * @param {number} options.profileSize - Number of ranked n-grams per profile
+     * @param {number} options.minWords - Minimum words for a reliable detection
+     * @param {number} options.mixedShare - Share (%) of words in a second language that makes a page mixed
+     */
+    constructor(samples = LANGUAGE_SAMPLES, { profileSize = 300, minWords = 12, mixedShare = 20 } = {}) {
+        this.profileSize = profileSize;
+        this.minWords = minWords;
+        this.mixedShare = mixedShare;
+        this.profiles = {};
+        Object.entries(samples).forEach(([language, text]) => {
+            this.profiles[language] = this.createProfile(text);
+        });
+    }
+
+    getWords(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Ranks the most frequent 1-3 character n-grams of a text (words padded with spaces)
+     * @returns {Map} n-gram to rank
+     */
+    createProfile(text) {
+        const counts = new Map();
+        this.getWords(text).forEach(word => {
+            const padded = ` ${word} `;
+            for (let size = 1; size <= 3; size++) {
+                for (let i = 0; i <= padded.length - size; i++) {
+                    const gram = padded.slice(i, i + size);
+                    if (gram.trim()) counts.set(gram, (counts.get(gram) || 0) + 1);
+                }
+            }
+        });
+
+        const ranked = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, this.profileSize);
+        return new Map(ranked.map(([gram], rank) => [gram, rank]));
+    }
+
+    /**
+     * Detects the language of a text
+     * @param {string} text - Text to classify
+     * @returns {Object} { language, confidence, isReliable, words }
+     */
+    detect(text) {
+        const words = this.getWords(text).length;
+        if (words === 0) return { language: null, confidence: 0, isReliable: false, words };
+
+        const profile = this.createProfile(text);
+        const distances = Object.entries(this.profiles).map(([language, languageProfile]) => {
+            let distance = 0;
+            profile.forEach((rank, gram) => {
+                distance += languageProfile.has(gram) ? Math.abs(languageProfile.get(gram) - rank) : this.profileSize;
+            });
+            return { language, distance };
+        }).sort((a, b) => a.distance - b.distance);
+
+        // Confidence is the relative gap to the runner-up
+        const [best, second] = distances;
+        const confidence = second && second.distance > 0
+            ? Math.round(((second.distance - best.distance) / second.distance) * 100) / 100
+            : 1;
+
+        return {
+            language: best.language,
+            confidence,
+            isReliable: words >= this.minWords && confidence >= 0.02,
+            words
+        };
+    }
+
+    /**
+     * Primary language subtag of a declared value, e.g. "de" for "de-AT" or "de_AT, en"
+     */
+    getPrimaryLanguage(value) {
+        const first = String(value || '').split(',')[0].trim().toLowerCase();
+        if (!first || first === 'x-default') return null;
+        return first.split(/[-_]/)[0];
+    }
+
+    /**
+     * Detects the content language and compares it with the declared languages
+     * @param {string} text - Main content, one block per line
+     * @param {Object} declared - { htmlLang, contentLanguageHeader, contentLanguageMeta, hreflang }
+     * @returns {Object} Detected language, language shares, mismatches and issues
+     */
+    analyzePage(text, declared = {}) {
+        const detection = this.detect(text);
+        const issues = [];
+
+        // Language share per block, short blocks (menus, buttons) are not classified
+        const wordsByLanguage = {};
+        let classifiedWords = 0;
+        String(text || '').split(/\n+/).forEach(block => {
+            const result = this.detect(block);
+            if (!result.isReliable) return;
+            wordsByLanguage[result.language] = (wordsByLanguage[result.language] || 0) + result.words;
+            classifiedWords += result.words;
+        });
+        const languageShares = {};
+        Object.entries(wordsByLanguage)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([language, count]) => {
+                languageShares[language] = Math.round((count / classifiedWords) * 100);
+            });
+        const isMixed = Object.values(languageShares).filter(share => share >= this.mixedShare).length > 1;
+
+        if (isMixed) {
+            const summary = Object.entries(languageShares).map(([language, share]) => `${language} ${share}%`).join(', ');
+            issues.push({ type: 'mixed_languages', message: `Content is written in several languages (${summary})` });
+        }
+
+        // Only declarations in a language with a profile can be compared, anything else
+        // (e.g. Norwegian) would always be detected as a neighbouring language
+        const mismatches = [];
+        if (detection.isReliable) {
+            Object.entries(declared).forEach(([source, value]) => {
+                const language = this.getPrimaryLanguage(value);
+                if (language && this.profiles[language] && language !== detection.language) {
+                    mismatches.push({ source, declared: value, detected: detection.language });
+                    issues.push({
+                        type: 'language_mismatch',
+                        message: `${source} declares "${value}" but the content is detected as "${detection.language}"`
+                    });
+                }
+            });
+        }
+
+        const declaredLanguages = [...new Set(Object.values(declared).map(value => this.getPrimaryLanguage(value)).filter(Boolean))];
+        if (declaredLanguages.length > 1) {
+            issues.push({ type: 'conflicting_declarations', message: `Declared languages disagree: ${declaredLanguages.join(', ')}` });
+        }
+        if (declaredLanguages.length === 0) {
+            issues.push({ type: 'missing_declaration', message: 'No language declared (lang attribute, Content-Language or hreflang)' });
+        }
+
+        return {
+            detectedLanguage: detection.language,
+            confidence: detection.confidence,
+            isReliable: detection.isReliable,
+            declared,
+            languageShares,
+            isMixed,
+            mismatches,
+            issues
+        };
+    }
+}
+
+module.exports = { LanguageDetector };
@@ -0,0 +1,113 @@
+/**
+ * Language Profiles for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Sample texts the language detector builds its character n-gram profiles
+ * from. Each sample is ordinary web copy (company, product, service and article text)
+ * so the profiles reflect the vocabulary of typical pages rather than literary language.
+ */
+
+const LANGUAGE_SAMPLES = {
+    en: `We are a small team of designers and developers who help local businesses grow online.
+        Our services include website design, search engine optimization and online marketing.
+        Every project starts with a free consultation where we listen to your goals and explain how we work.
+        If you have any questions about our prices or the delivery time, please contact us by phone or email.
+        The new collection is available in our shop and will be shipped within two working days.
+        Read the latest articles on our blog to learn more about the products that we offer and the people behind them.
+        This page was updated last week with information about opening hours, parking and how to find the store.
+        You can also sign up for the newsletter to receive news, special offers and useful tips for your home.
+        Customers who bought this item also looked at the following products, which are often used together.
+        Thank you for your order, we have sent a confirmation to your email address with all the details.`,
+    de: `Wir sind ein kleines Team aus Designern und Entwicklern, das lokalen Unternehmen hilft, online zu wachsen.
+        Zu unseren Leistungen gehören Webdesign, Suchmaschinenoptimierung und Online-Marketing.
+        Jedes Projekt beginnt mit einer kostenlosen Beratung, in der wir Ihre Ziele besprechen und erklären, wie wir arbeiten.
+        Wenn Sie Fragen zu unseren Preisen oder zur Lieferzeit haben, kontaktieren Sie uns bitte telefonisch oder per E-Mail.
+        Die neue Kollektion ist in unserem Shop erhältlich und wird innerhalb von zwei Werktagen versendet.
+        Lesen Sie die neuesten Artikel in unserem Blog, um mehr über unsere Produkte und die Menschen dahinter zu erfahren.
+        Diese Seite wurde letzte Woche mit Informationen zu Öffnungszeiten, Parkplätzen und der Anfahrt aktualisiert.
+        Sie können sich auch für den Newsletter anmelden und erhalten Neuigkeiten, Angebote und nützliche Tipps für Ihr Zuhause.
+        Kunden, die diesen Artikel gekauft haben, interessierten sich auch für die folgenden Produkte.
+        Vielen Dank für Ihre Bestellung, wir haben Ihnen eine Bestätigung mit allen Einzelheiten geschickt.`,
+    es: `Somos un pequeño equipo de diseñadores y desarrolladores que ayuda a las empresas locales a crecer en internet.
+        Nuestros servicios incluyen diseño web, posicionamiento en buscadores y marketing en línea.
+        Cada proyecto empieza con una consulta gratuita en la que escuchamos sus objetivos y explicamos cómo trabajamos.
+        Si tiene alguna pregunta sobre nuestros precios o el plazo de entrega, póngase en contacto con nosotros por teléfono o correo.
+        La nueva colección está disponible en nuestra tienda y se enviará en un plazo de dos días laborables.
+        Lea los últimos artículos de nuestro blog para conocer mejor los productos que ofrecemos y a las personas que los hacen.
+        Esta página se actualizó la semana pasada con información sobre el horario, el aparcamiento y cómo llegar a la tienda.
+        También puede suscribirse al boletín para recibir noticias, ofertas especiales y consejos útiles para su hogar.
+        Los clientes que compraron este artículo también vieron los siguientes productos, que se usan a menudo juntos.
+        Gracias por su pedido, le hemos enviado una confirmación a su correo electrónico con todos los detalles.`,
+    fr: `Nous sommes une petite équipe de designers et de développeurs qui aide les entreprises locales à se développer en ligne.
+        Nos services comprennent la création de sites web, le référencement naturel et le marketing en ligne.
+        Chaque projet commence par une consultation gratuite au cours de laquelle nous écoutons vos objectifs et expliquons notre méthode.
+        Si vous avez des questions sur nos tarifs ou sur le délai de livraison, contactez-nous par téléphone ou par e-mail.
+        La nouvelle collection est disponible dans notre boutique et sera expédiée sous deux jours ouvrés.
+        Lisez les derniers articles de notre blog pour en savoir plus sur les produits que nous proposons et sur les personnes qui les fabriquent.
+        Cette page a été mise à jour la semaine dernière avec des informations sur les horaires, le parking et l'accès au magasin.
+        Vous pouvez aussi vous inscrire à la newsletter pour recevoir des nouvelles, des offres spéciales et des conseils utiles pour la maison.
+        Les clients qui ont acheté cet article ont également consulté les produits suivants, souvent utilisés ensemble.
+        Merci pour votre commande, nous vous avons envoyé une confirmation par e-mail avec tous les détails.`,
+    it: `Siamo un piccolo gruppo di designer e sviluppatori che aiuta le aziende locali a crescere online.
+        I nostri servizi comprendono la progettazione di siti web, l'ottimizzazione per i motori di ricerca e il marketing online.
+        Ogni progetto inizia con una consulenza gratuita in cui ascoltiamo i vostri obiettivi e spieghiamo come lavoriamo.
+        Se avete domande sui nostri prezzi o sui tempi di consegna, contattateci per telefono o per email.
+        La nuova collezione è disponibile nel nostro negozio e sarà spedita entro due giorni lavorativi.
+        Leggete gli ultimi articoli del nostro blog per saperne di più sui prodotti che offriamo e sulle persone che li realizzano.
+        Questa pagina è stata aggiornata la settimana scorsa con le informazioni su orari di apertura, parcheggio e come raggiungere il negozio.
+        Potete anche iscrivervi alla newsletter per ricevere notizie, offerte speciali e consigli utili per la vostra casa.
+        I clienti che hanno acquistato questo articolo hanno visto anche i seguenti prodotti, spesso utilizzati insieme.
+        Grazie per il vostro ordine, vi abbiamo inviato una conferma via email con tutti i dettagli.`,
+    pt: `Somos uma pequena equipa de designers e programadores que ajuda as empresas locais a crescer na internet.
+        Os nossos serviços incluem design de sites, otimização para motores de busca e marketing digital.
+        Cada projeto começa com uma consulta gratuita em que ouvimos os seus objetivos e explicamos como trabalhamos.
+        Se tiver alguma dúvida sobre os nossos preços ou o prazo de entrega, entre em contacto connosco por telefone ou email.
+        A nova coleção está disponível na nossa loja e será enviada no prazo de dois dias úteis.
+        Leia os artigos mais recentes do nosso blog para saber mais sobre os produtos que oferecemos e as pessoas que os fazem.
+        Esta página foi atualizada na semana passada com informações sobre o horário, o estacionamento e como chegar à loja.
+        Também pode subscrever a nossa newsletter para receber notícias, ofertas especiais e dicas úteis para a sua casa.
+        Os clientes que compraram este artigo também viram os seguintes produtos, que são muitas vezes usados em conjunto.
+        Obrigado pela sua encomenda, enviámos uma confirmação para o seu email com todos os detalhes.`,
+    nl: `Wij zijn een klein team van ontwerpers en ontwikkelaars dat lokale bedrijven helpt om online te groeien.
+        Onze diensten zijn onder andere webdesign, zoekmachineoptimalisatie en online marketing.
+        Elk project begint met een gratis adviesgesprek waarin we naar uw doelen luisteren en uitleggen hoe we werken.
+        Heeft u vragen over onze prijzen of de levertijd, neem dan telefonisch of per e-mail contact met ons op.
+        De nieuwe collectie is verkrijgbaar in onze winkel en wordt binnen twee werkdagen verzonden.
+        Lees de nieuwste artikelen op onze blog om meer te weten te komen over de producten die wij aanbieden en de mensen erachter.
+        Deze pagina is vorige week bijgewerkt met informatie over openingstijden, parkeren en de route naar de winkel.
+        U kunt zich ook aanmelden voor de nieuwsbrief en ontvangt dan nieuws, aanbiedingen en handige tips voor uw huis.
+        Klanten die dit artikel hebben gekocht, bekeken ook de volgende producten, die vaak samen worden gebruikt.
+        Bedankt voor uw bestelling, we hebben u een bevestiging met alle gegevens per e-mail gestuurd.`,
+    pl: `Jesteśmy małym zespołem projektantów i programistów, który pomaga lokalnym firmom rozwijać się w internecie.
+        Nasze usługi obejmują projektowanie stron internetowych, pozycjonowanie w wyszukiwarkach i marketing internetowy.
+        Każdy projekt zaczyna się od bezpłatnej konsultacji, podczas której poznajemy Twoje cele i wyjaśniamy, jak pracujemy.
+        Jeśli masz pytania dotyczące naszych cen lub czasu dostawy, skontaktuj się z nami telefonicznie lub mailowo.
+        Nowa kolekcja jest dostępna w naszym sklepie i zostanie wysłana w ciągu dwóch dni roboczych.
+        Przeczytaj najnowsze artykuły na naszym blogu, aby dowiedzieć się więcej o produktach, które oferujemy, i o ludziach, którzy je tworzą.
+        Ta strona została zaktualizowana w zeszłym tygodniu o informacje o godzinach otwarcia, parkingu i dojeździe do sklepu.
+        Możesz też zapisać się do newslettera, aby otrzymywać nowości, oferty specjalne i przydatne porady dla domu.
+        Klienci, którzy kupili ten produkt, oglądali również następujące produkty, często używane razem.
+        Dziękujemy za zamówienie, wysłaliśmy potwierdzenie ze wszystkimi szczegółami na Twój adres e-mail.`,
+    sv: `Vi är ett litet team av designers och utvecklare som hjälper lokala företag att växa på nätet.
+        Våra tjänster omfattar webbdesign, sökmotoroptimering och marknadsföring på nätet.
+        Varje projekt börjar med en kostnadsfri konsultation där vi lyssnar på dina mål och förklarar hur vi arbetar.
+        Om du har frågor om våra priser eller leveranstiden är du välkommen att kontakta oss via telefon eller e-post.
+        Den nya kollektionen finns i vår butik och skickas inom två arbetsdagar.
+        Läs de senaste artiklarna på vår blogg för att få veta mer om produkterna vi erbjuder och människorna bakom dem.
+        Den här sidan uppdaterades förra veckan med information om öppettider, parkering och hur du hittar till butiken.
+        Du kan också prenumerera på vårt nyhetsbrev och få nyheter, erbjudanden och användbara tips för ditt hem.
+        Kunder som köpte den här artikeln tittade även på följande produkter, som ofta används tillsammans.
+        Tack för din beställning, vi har skickat en bekräftelse med alla detaljer till din e-postadress.`,
+    da: `Vi er et lille team af designere og udviklere, der hjælper lokale virksomheder med at vokse på nettet.
+        Vores ydelser omfatter webdesign, søgemaskineoptimering og markedsføring på nettet.
+        Hvert projekt starter med en gratis samtale, hvor vi lytter til dine mål og forklarer, hvordan vi arbejder.
+        Hvis du har spørgsmål om vores priser eller leveringstiden, er du velkommen til at kontakte os på telefon eller e-mail.
+        Den nye kollektion kan købes i vores butik og bliver sendt inden for to hverdage.
+        Læs de nyeste artikler på vores blog for at få mere at vide om de produkter, vi tilbyder, og menneskene bag dem.
+        Denne side blev opdateret i sidste uge med oplysninger om åbningstider, parkering og hvordan du finder butikken.
+        Du kan også tilmelde dig vores nyhedsbrev og få nyheder, tilbud og gode råd til dit hjem.
+        Kunder, der købte denne vare, kiggede også på følgende produkter, som ofte bruges sammen.
+        Tak for din bestilling, vi har sendt en bekræftelse med alle detaljer til din e-mailadresse.`
+};
+
+module.exports = { LANGUAGE_SAMPLES };
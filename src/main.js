@@ -15,6 +15,21 @@ const { SEOScorer } = require('./seo-scorer');
 const https = require('https');
 const tls = require('tls');
 const { SitemapAnalyzer } = require('./sitemap-analyzer');
+const { CrawlPool } = require('./crawl-pool');
+const { RobotsChecker } = require('./robots-checker');
+const { URLFilter } = require('./url-filter');
+const { PageRenderer } = require('./page-renderer');
+const { WebVitalsCollector } = require('./web-vitals-collector');
+const { RenderComparator } = require('./render-comparator');
+const { PageFetcher } = require('./page-fetcher');
+const { PageWeightAnalyzer } = require('./page-weight-analyzer');
+const { HreflangAnalyzer } = require('./hreflang-analyzer');
+const { CanonicalAnalyzer } = require('./canonical-analyzer');
+const { DuplicateContentAnalyzer } = require('./duplicate-content-analyzer');
+
+// Key-value store record holding the checkpointed crawl so a migrated or
+// restarted run can resume without re-analyzing (and re-billing) pages
+const CRAWL_STATE_KEY = 'CRAWL_STATE';
 
 Actor.main(async () => {
     const input = await Actor.getInput();
@@ -29,89 +44,276 @@ Actor.main(async () => {
         viewportWidth = 1920,
         viewportHeight = 1080,
         includeSitemapAnalysis = true,
-        sitemapTimeout = 10000
+        sitemapTimeout = 10000,
+        maxConcurrency = 5,
+        hostRequestDelay = 500,
+        robotsTxtMode = 'skip',
+        includeUrlPatterns = [],
+        excludeUrlPatterns = [],
+        maxCrawlDepth = -1,
+        seedFromSitemap = false,
+        sitemapSampleSize = -1,
+        renderingMode = 'http',
+        compareRawAndRendered = false,
+        nearDuplicateThreshold = 90,
+        targetKeywords = [],
+        measurePageWeight = false,
+        throttlingProfile = 'none'
     } = input;
 
     console.log('Starting MSD SEO Audit...');
     console.log('Input:', JSON.stringify(input, null, 2));
 
+    // Reject invalid input before any component is created or request is sent
+    const throttlingProfiles = WebVitalsCollector.getThrottlingProfiles();
+    if (!throttlingProfiles.includes(throttlingProfile)) {
+        await Actor.fail(`Invalid input: throttlingProfile must be one of ${throttlingProfiles.join(', ')}, got "${throttlingProfile}"`);
+        return;
+    }
+
+    // Comparing raw and rendered HTML needs the browser for the main analysis
+    const useBrowser = renderingMode === 'browser' || compareRawAndRendered;
+
     // Initialize components
-    const seoAnalyzer = new SEOAnalyzer();
+    const seoAnalyzer = new SEOAnalyzer({ targetKeywords, userAgent });
     const urlNormalizer = new URLNormalizer();
     const seoScorer = new SEOScorer();
     const sitemapAnalyzer = new SitemapAnalyzer();
+    const robotsChecker = new RobotsChecker({ userAgent, timeout: sitemapTimeout });
+    const urlFilter = new URLFilter({ includePatterns: includeUrlPatterns, excludePatterns: excludeUrlPatterns });
+    // The browser (and its Web Vitals collector) is only set up when pages are rendered
+    const pageRenderer = useBrowser
+        ? new PageRenderer({ userAgent, viewportWidth, viewportHeight, waitForPageLoad, throttlingProfile })
+        : null;
+    const renderComparator = new RenderComparator(seoAnalyzer);
+    const pageFetcher = new PageFetcher({ userAgent });
+    const pageWeightAnalyzer = new PageWeightAnalyzer({ userAgent });
+    const hreflangAnalyzer = new HreflangAnalyzer();
+    const canonicalAnalyzer = new CanonicalAnalyzer();
+    const duplicateContentAnalyzer = new DuplicateContentAnalyzer();
 
     try {
-        // Extract domain from first URL for sitemap analysis
-        const firstUrl = startUrls[0];
-        const domain = new URL(firstUrl).origin;
-
-        // Perform domain-level sitemap analysis
-        let domainSitemapAnalysis = null;
-        if (includeSitemapAnalysis) {
-            console.log(`Analyzing domain sitemaps for: ${domain}`);
-            domainSitemapAnalysis = await sitemapAnalyzer.analyzeDomainSitemaps(domain, sitemapTimeout);
-            console.log(`Domain sitemap analysis completed:`, JSON.stringify(domainSitemapAnalysis, null, 2));
+        // Every origin among the start URLs is audited as its own domain
+        const startOrigins = [...new Set(startUrls.map(url => new URL(url).origin))];
+
+        // Restore a checkpointed crawl if this run was migrated or restarted
+        const savedState = await Actor.getValue(CRAWL_STATE_KEY);
+        if (savedState) {
+            console.log(`Resuming crawl from checkpoint: ${savedState.results.length} pages already analyzed, ${savedState.pool.queue.length} URLs queued`);
         }
 
+        // Perform domain-level sitemap analysis for each origin
+        const domainSitemapAnalyses = savedState ? { ...savedState.domainSitemapAnalyses } : {};
+        if (includeSitemapAnalysis && !savedState) {
+            for (const origin of startOrigins) {
+                console.log(`Analyzing domain sitemaps for: ${origin}`);
+                domainSitemapAnalyses[origin] = await sitemapAnalyzer.analyzeDomainSitemaps(origin, sitemapTimeout);
+                console.log(`Domain sitemap analysis completed:`, JSON.stringify(domainSitemapAnalyses[origin], null, 2));
+            }
+        }
+
+        // Links are only followed on these origins: the start origins and, once known, the
+        // origins their start URLs redirect to. Pages found later never add origins, so an
+        // internal link redirecting to a partner site doesn't pull that site into the crawl.
+        const crawlOrigins = new Set([...startOrigins, ...(savedState?.crawlOrigins || [])]);
+
         const results = [];
-        const visitedUrls = new Set();
-        // Normalize start URLs before adding to processing queue
-        const urlsToProcess = startUrls.map(url => urlNormalizer.normalize(url));
-        let processedCount = 0;
-        
-        while (urlsToProcess.length > 0 && processedCount < maxRequestsPerCrawl) {
-            const currentUrl = urlsToProcess.shift();
-            
-            // Check if already visited (currentUrl is already normalized)
-            if (visitedUrls.has(currentUrl)) {
-                console.log(`Skipping already processed URL: ${currentUrl}`);
-                continue;
+        const crawlPool = new CrawlPool({
+            concurrency: maxConcurrency,
+            perHostDelay: hostRequestDelay,
+            maxItems: maxRequestsPerCrawl
+        });
+
+        // Requests besides the page itself (canonical targets, raw HTML, images, page resources) wait for
+        // their own slot, so they keep to the same per-host pace as the crawl
+        const withHostSlot = async (url, request) => {
+            await crawlPool.waitForHostSlot(url);
+            return request();
+        };
+
+        // Applies the robots.txt Crawl-delay of an origin before its first URL is queued,
+        // for start origins as well as origins reached through redirects and sitemaps
+        const crawlDelayOrigins = new Set();
+        const applyCrawlDelay = async (origin) => {
+            if (crawlDelayOrigins.has(origin)) return;
+            crawlDelayOrigins.add(origin);
+
+            const robots = await robotsChecker.getRobots(origin);
+            if (robots.crawlDelay) {
+                const crawlDelayMs = Math.max(hostRequestDelay, robots.crawlDelay * 1000);
+                crawlPool.setHostDelay(new URL(origin).host, crawlDelayMs);
+                console.log(`Respecting robots.txt Crawl-delay of ${robots.crawlDelay}s for ${origin}`);
             }
-            visitedUrls.add(currentUrl);
-            
-            console.log(`Processing: ${currentUrl} (${processedCount + 1}/${maxRequestsPerCrawl})`);
-            
-            try {
-                // Fetch page content using axios
-                const response = await axios.get(currentUrl, {
-                    headers: {
-                        'User-Agent': userAgent,
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-                    },
-                    timeout: 30000,
-                    maxRedirects: 5,
-                    validateStatus: function (status) {
-                        return status < 500; // Accept all status codes below 500
+        };
+        for (const origin of startOrigins) {
+            await applyCrawlDelay(origin);
+        }
+
+        // Queues a normalized URL after checking it against robots.txt.
+        // In 'skip' mode disallowed URLs are never fetched, in 'flag' mode they are
+        // analyzed and marked as blocked.
+        const robotsSkippedUrls = new Set();
+        const enqueueUrl = async (url, depth = 0, discoveredVia = 'link') => {
+            if (crawlPool.has(url) || robotsSkippedUrls.has(url)) {
+                return false;
+            }
+
+            await applyCrawlDelay(new URL(url).origin);
+            const robotsStatus = await robotsChecker.check(url);
+            if (robotsStatus.blockedByRobotsTxt && robotsTxtMode === 'skip') {
+                robotsSkippedUrls.add(url);
+                console.log(`Skipping URL disallowed by robots.txt: ${url}`);
+                return false;
+            }
+
+            return crawlPool.enqueue({ url, depth, discoveredVia, robots: robotsStatus });
+        };
+
+        if (savedState) {
+            results.push(...savedState.results);
+            savedState.robotsSkippedUrls.forEach(url => robotsSkippedUrls.add(url));
+            crawlPool.restoreState(savedState.pool);
+            for (const item of savedState.pool.queue) {
+                await applyCrawlDelay(new URL(item.url).origin);
+            }
+        } else {
+            // Normalize start URLs before adding to processing queue (click depth 0)
+            for (const url of startUrls) {
+                await enqueueUrl(urlNormalizer.normalize(url), 0, 'start_url');
+            }
+
+            // Seed the queue with the pages each site declares in its sitemaps.
+            // They are crawl entry points, so they also start at click depth 0.
+            if (seedFromSitemap) {
+                for (const origin of startOrigins) {
+                    const domainSitemapAnalysis = domainSitemapAnalyses[origin];
+                    const sitemapSources = new Set();
+                    if (domainSitemapAnalysis?.hasSitemap && domainSitemapAnalysis.sitemapUrl) {
+                        sitemapSources.add(domainSitemapAnalysis.sitemapUrl);
+                    } else {
+                        sitemapSources.add(`${origin}/sitemap.xml`);
                     }
-                });
+                    (await robotsChecker.getRobots(origin)).sitemaps.forEach(url => sitemapSources.add(url));
 
-                const html = response.data;
-                const statusCode = response.status;
-                
-                // Use normalized URL (currentUrl is already normalized)
-                const normalizedUrl = currentUrl;
-                
-                // Mock page object for compatibility
-                const mockPage = {
-                    evaluate: async (fn) => {
-                        if (typeof fn === 'function') {
-                            return fn();
+                    console.log(`Collecting sitemap URLs to seed the crawl from: ${[...sitemapSources].join(', ')}`);
+                    const sitemapPageUrls = await sitemapAnalyzer.collectPageUrlsFromSitemaps([...sitemapSources], sitemapTimeout);
+                    const seedUrls = sitemapAnalyzer.sampleUrls(sitemapPageUrls, sitemapSampleSize);
+
+                    let seededCount = 0;
+                    for (const url of seedUrls) {
+                        const normalizedUrl = urlNormalizer.normalize(url);
+                        if (urlFilter.isAllowed(normalizedUrl) && await enqueueUrl(normalizedUrl, 0, 'sitemap')) {
+                            seededCount++;
                         }
-                        return { scripts: 0, stylesheets: 0 };
                     }
-                };
-                
-                // Perform comprehensive SEO analysis
+                    console.log(`Seeded crawl queue with ${seededCount} of ${sitemapPageUrls.length} sitemap URLs for ${origin}`);
+                }
+            }
+        }
+
+        // Checkpoint the crawl whenever the platform asks for state to be persisted
+        // (periodically and right before a migration)
+        const persistCrawlState = async () => {
+            const analyzedUrls = new Set(results.map(r => r.url));
+            await Actor.setValue(CRAWL_STATE_KEY, {
+                pool: crawlPool.getState(item => analyzedUrls.has(item.url)),
+                results: [...results],
+                robotsSkippedUrls: [...robotsSkippedUrls],
+                crawlOrigins: [...crawlOrigins],
+                domainSitemapAnalyses,
+                saved_at: new Date().toISOString()
+            });
+        };
+        Actor.on('persistState', persistCrawlState);
+
+        // Billing counter is updated by parallel workers, so keep the value in memory
+        // and serialize the writes to the key-value store
+        let pageAnalyzedCount = (await Actor.getValue('PAGE_ANALYZED')) || 0;
+        let billingWrite = Promise.resolve();
+        const trackPageAnalyzed = () => {
+            pageAnalyzedCount++;
+            const value = pageAnalyzedCount;
+            billingWrite = billingWrite.then(() => Actor.setValue('PAGE_ANALYZED', value));
+            return billingWrite;
+        };
+
+        // Fetches a page over HTTP or renders it in headless Chromium, and analyzes it
+        // while the rendered page is still open so performance metrics come from the browser.
+        // The analysis runs against the final URL of any redirect chain.
+        const fetchAndAnalyzePage = async (url) => {
+            const analyze = async ({ html, rawHtml, statusCode, headers, page, finalUrl, redirect, transfer, webVitals }) => {
                 const seoData = await seoAnalyzer.analyzePage({
-                    url: normalizedUrl,
+                    url: finalUrl,
                     html,
-                    page: mockPage,
+                    rawHtml,
+                    page,
                     includeImages,
                     maxImagesPerPage,
-                    statusCode
+                    statusCode,
+                    headers,
+                    withHostSlot
                 });
+                seoData.transfer = transfer || null;
+                seoData.webVitals = webVitals || null;
+                if (measurePageWeight) {
+                    seoData.pageWeight = await pageWeightAnalyzer.measure(html, finalUrl, {
+                        htmlBytes: transfer ? transfer.htmlBytes : Buffer.byteLength(String(html || ''), 'utf8'),
+                        images: seoData.images,
+                        withHostSlot
+                    });
+                }
+                return { seoData, statusCode, html, rawHtml, redirect };
+            };
+
+            if (useBrowser) {
+                const analysis = await pageRenderer.withPage(url, async (rendered) => analyze({
+                    ...rendered,
+                    // Render-blocking analysis and the render comparison need the served HTML.
+                    // The browser's response body saves a second request, only when it is gone
+                    // the page is fetched again, in a host slot of its own.
+                    rawHtml: rendered.rawHtml !== null
+                        ? rendered.rawHtml
+                        : String((await withHostSlot(url, () => pageFetcher.fetch(url))).html || ''),
+                    transfer: rendered.navigationTiming ? pageFetcher.createTransferReport({
+                        ...rendered.navigationTiming,
+                        contentEncoding: String(rendered.headers['content-encoding'] || '').trim().toLowerCase() || 'none'
+                    }) : null,
+                    redirect: pageFetcher.createRedirectReport(url, rendered.redirectChain, rendered.finalUrl, rendered.statusCode)
+                }));
+
+                if (compareRawAndRendered) {
+                    analysis.renderComparison = renderComparator.compare(analysis.rawHtml, analysis.html, analysis.redirect.finalUrl);
+                }
+                return analysis;
+            }
+
+            // Without a browser the analyzer falls back to static HTML metrics
+            return analyze({ ...(await pageFetcher.fetch(url)), page: null });
+        };
+
+        let startedCount = crawlPool.getState().processedCount;
+
+        await crawlPool.run(async ({ url: currentUrl, depth, discoveredVia, robots }) => {
+            startedCount++;
+            console.log(`Processing: ${currentUrl} (${startedCount}/${maxRequestsPerCrawl})`);
+            
+            try {
+                // Use normalized URL (currentUrl is already normalized)
+                const normalizedUrl = currentUrl;
+
+                // Perform comprehensive SEO analysis
+                const { seoData, statusCode: finalStatusCode, renderComparison, redirect } = await fetchAndAnalyzePage(normalizedUrl);
+
+                // Report the status of the requested URL, so redirecting pages show their 3xx
+                const statusCode = redirect.isRedirected ? redirect.chain[0].statusCode : finalStatusCode;
+
+                // Don't analyze the redirect target a second time when it is linked directly
+                if (redirect.isRedirected) {
+                    crawlPool.markSeen(urlNormalizer.normalize(redirect.finalUrl));
+                    if (discoveredVia === 'start_url') {
+                        crawlOrigins.add(new URL(redirect.finalUrl).origin);
+                    }
+                }
                 
                 // Calculate SEO score
                 const scoreData = seoScorer.calculateScore(seoData);
@@ -120,53 +322,50 @@ Actor.main(async () => {
                 const result = {
                     ...seoData,
                     ...scoreData,
+                    url: normalizedUrl,
+                    finalUrl: redirect.finalUrl,
                     statusCode: statusCode,
+                    finalStatusCode: finalStatusCode,
+                    redirect: redirect,
+                    renderingMode: useBrowser ? 'browser' : 'http',
+                    ...(renderComparison ? { renderComparison } : {}),
+                    clickDepth: depth,
+                    discoveredVia: discoveredVia,
+                    blockedByRobotsTxt: robots.blockedByRobotsTxt,
+                    robotsTxtLine: robots.robotsTxtLine,
                     analysis_date: new Date().toISOString(),
                     data_source: 'msd_seo_audit'
                 };
 
-                results.push(result);
-                
-                // Track this page analysis as a billable event for monetization
-                const currentCount = (await Actor.getValue('PAGE_ANALYZED')) || 0;
-                await Actor.setValue('PAGE_ANALYZED', currentCount + 1);
-                
                 console.log(`Completed analysis for: ${normalizedUrl} (Status: ${statusCode})`);
                 console.log(`SEO Score: ${scoreData.seo_page_score}/100 (${scoreData.seo_grade})`);
                 
                 // If crawling is enabled, extract internal links for further processing
-                if (crawlUrls && seoData.internalLinks && seoData.internalLinks.length > 0) {
-                    const baseDomain = new URL(normalizedUrl).origin;
-                    
-                    for (const linkObj of seoData.internalLinks) {
-                        try {
-                            const link = linkObj.url || linkObj; // Handle both object and string formats
-                            let fullUrl;
-                            if (link.startsWith('http')) {
-                                fullUrl = link;
-                            } else if (link.startsWith('/')) {
-                                fullUrl = baseDomain + link;
-                            } else {
-                                fullUrl = new URL(link, normalizedUrl).href;
-                            }
-                            
-                            const normalizedLink = urlNormalizer.normalize(fullUrl);
-                            
-                            // Only add if it's from the same domain and not already visited
-                            if (normalizedLink.startsWith(baseDomain) && 
-                                !visitedUrls.has(normalizedLink) && 
-                                !urlsToProcess.includes(normalizedLink)) {
-                                urlsToProcess.push(normalizedLink);
-                                console.log(`Added to crawl queue: ${normalizedLink}`);
-                            }
-                        } catch (e) {
-                            // Skip invalid URLs
-                            continue;
+                const canGoDeeper = maxCrawlDepth < 0 || depth < maxCrawlDepth;
+                if (crawlUrls && canGoDeeper && seoData.internalLinks && seoData.internalLinks.length > 0) {
+                    const crawlLinks = urlNormalizer.resolveCrawlLinks(seoData.internalLinks, {
+                        baseUrl: redirect.finalUrl,
+                        allowedOrigins: crawlOrigins
+                    });
+
+                    // Only add links that match the URL patterns, are allowed and
+                    // not already queued or visited
+                    for (const normalizedLink of crawlLinks) {
+                        if (urlFilter.isAllowed(normalizedLink) &&
+                            await enqueueUrl(normalizedLink, depth + 1, 'link')) {
+                            console.log(`Added to crawl queue: ${normalizedLink}`);
                         }
                     }
                 }
+
+                // Store the result only after its links are queued, so a checkpoint
+                // never contains a finished page whose links were lost
+                results.push(result);
                 
-                processedCount++;
+                // Track this page analysis as a billable event for monetization
+                await trackPageAnalyzed();
+                
+                return true;
                 
             } catch (error) {
                 console.error(`Error analyzing ${currentUrl}:`, error);
@@ -183,50 +382,155 @@ Actor.main(async () => {
                     statusCode = 503; // Connection reset
                 }
 
+                // Redirect loops and overly long chains report the first hop's status
+                if (error.redirect && error.redirect.isRedirected) {
+                    statusCode = error.redirect.chain[0].statusCode;
+                }
+
                 // Add error result (use normalized URL)
                 results.push({
                     url: currentUrl, // currentUrl is already normalized
                     error: error.message,
                     statusCode: statusCode,
+                    ...(error.redirect ? { redirect: error.redirect } : {}),
+                    clickDepth: depth,
+                    discoveredVia: discoveredVia,
+                    blockedByRobotsTxt: robots.blockedByRobotsTxt,
                     analysis_date: new Date().toISOString(),
                     data_source: 'msd_seo_audit'
                 });
+
+                // Failed pages don't count towards maxRequestsPerCrawl
+                return false;
             }
-        }
+        });
+
+        Actor.off('persistState', persistCrawlState);
         
-        // Calculate domain-level analysis with SEO scores
-        const domainAnalysis = await calculateDomainAnalysis(results, domainSitemapAnalysis);
-
-        // Create comprehensive result structure
-        const finalOutput = {
-            domain: domainAnalysis,
-            pages: results,
-            analysis: {
-                total_pages_processed: results.length,
-                analysis_completed_at: new Date().toISOString(),
-                seo_engine_version: '1.0.0',
-                data_format_version: '2.0'
+        // Group pages by origin and calculate a separate domain-level analysis for each
+        const resultsByOrigin = groupResultsByOrigin(results, startOrigins);
+        const finalOutputs = [];
+
+        // Hreflang alternates usually point to other origins, so their return links
+        // are checked once across every crawled page
+        const hreflangReport = hreflangAnalyzer.analyzeAcrossPages(results);
+
+        for (const [origin, originResults] of resultsByOrigin) {
+            const originSkippedUrls = [...robotsSkippedUrls].filter(url => new URL(url).origin === origin);
+            const robotsSummary = await robotsChecker.createRobotsSummary(origin, originSkippedUrls);
+            // Checks between pages need every crawled page of the origin
+            const crossPageReports = {
+                hreflang: hreflangReport.by_origin[origin] || null,
+                canonical: await canonicalAnalyzer.analyzeAcrossPages(originResults, {
+                    checkStatus: url => pageFetcher.checkStatus(url, { withHostSlot })
+                }),
+                duplicateContent: duplicateContentAnalyzer.analyzeAcrossPages(originResults, nearDuplicateThreshold)
+            };
+            // Origins only reached through a redirecting start URL were not known before the crawl
+            if (includeSitemapAnalysis && !domainSitemapAnalyses[origin]) {
+                console.log(`Analyzing domain sitemaps for: ${origin}`);
+                domainSitemapAnalyses[origin] = await sitemapAnalyzer.analyzeDomainSitemaps(origin, sitemapTimeout);
             }
-        };
+            const domainAnalysis = await calculateDomainAnalysis(originResults, domainSitemapAnalyses[origin] || null, robotsSummary, crossPageReports, origin);
+
+            // Create comprehensive result structure
+            finalOutputs.push({
+                domain: domainAnalysis,
+                pages: originResults,
+                analysis: {
+                    origin: origin,
+                    total_pages_processed: originResults.length,
+                    total_pages_processed_in_run: results.length,
+                    origins_in_run: resultsByOrigin.size,
+                    analysis_completed_at: new Date().toISOString(),
+                    seo_engine_version: '1.0.0',
+                    data_format_version: '2.0'
+                }
+            });
+        }
+
+        // Push one comprehensive result per domain to the dataset
+        await Actor.pushData(finalOutputs);
 
-        // Push the comprehensive result to dataset
-        await Actor.pushData(finalOutput);
+        // The crawl is complete, a later restart must not resume it
+        await Actor.setValue(CRAWL_STATE_KEY, null);
 
         const pagesAnalyzedCount = results.length;
-        console.log(`SEO Audit completed! Processed ${pagesAnalyzedCount} pages.`);
+        console.log(`SEO Audit completed! Processed ${pagesAnalyzedCount} pages across ${resultsByOrigin.size} domain(s).`);
         console.log(`Billable events (pages analyzed): ${pagesAnalyzedCount}`);
-        console.log(`Domain SEO Score: ${domainAnalysis.seo_score}/100 (${domainAnalysis.seo_grade})`);
-        console.log(`Status Summary: ${domainAnalysis.pages_with_successful_status_percentage}% successful (${domainAnalysis.pages_with_successful_status}/${results.length}), ${domainAnalysis.pages_with_error_status_percentage}% errors (${domainAnalysis.pages_with_error_status}/${results.length})`);
-        console.log(`OpenGraph Coverage: ${domainAnalysis.pages_with_opengraph_percentage}% pages have OpenGraph (${domainAnalysis.pages_with_opengraph}/${results.length})`);
-        console.log(`SSL Certificate Status: ${domainAnalysis.ssl_certificate_info?.status || 'Unknown'}`);
+        for (const { domain: domainAnalysis, pages } of finalOutputs) {
+            console.log(`[${domainAnalysis.domain_name}] Domain SEO Score: ${domainAnalysis.seo_score}/100 (${domainAnalysis.seo_grade})`);
+            console.log(`[${domainAnalysis.domain_name}] Status Summary: ${domainAnalysis.pages_with_successful_status_percentage}% successful (${domainAnalysis.pages_with_successful_status}/${pages.length}), ${domainAnalysis.pages_with_error_status_percentage}% errors (${domainAnalysis.pages_with_error_status}/${pages.length})`);
+            console.log(`[${domainAnalysis.domain_name}] OpenGraph Coverage: ${domainAnalysis.pages_with_opengraph_percentage}% pages have OpenGraph (${domainAnalysis.pages_with_opengraph}/${pages.length})`);
+            console.log(`[${domainAnalysis.domain_name}] SSL Certificate Status: ${domainAnalysis.ssl_certificate_info?.status || 'Unknown'}`);
+        }
 
     } catch (error) {
         console.error('General error:', error);
+    } finally {
+        if (pageRenderer) await pageRenderer.close();
     }
 });
 
+// Groups page results by the origin of their URL. Start URL origins come first
+// (in input order), origins only reached via sitemaps or redirects follow.
+// A start URL redirecting to another origin (e.g. http to https or to www) moves its
+// origin's pages into the group of the origin it redirected to, where the crawl went on.
+function groupResultsByOrigin(results, startOrigins = []) {
+    const redirectedOrigins = new Map();
+    for (const result of results) {
+        if (result.discoveredVia === 'start_url' && result.redirect?.isRedirected) {
+            const origin = new URL(result.url).origin;
+            if (!redirectedOrigins.has(origin)) redirectedOrigins.set(origin, new URL(result.redirect.finalUrl).origin);
+        }
+    }
+    const getGroupOrigin = origin => redirectedOrigins.get(origin) || origin;
+
+    const groups = new Map(startOrigins.map(origin => [getGroupOrigin(origin), []]));
+
+    for (const result of results) {
+        let origin;
+        try {
+            origin = getGroupOrigin(new URL(result.url).origin);
+        } catch (e) {
+            origin = getGroupOrigin(startOrigins[0] || '');
+        }
+
+        if (!groups.has(origin)) groups.set(origin, []);
+        groups.get(origin).push(result);
+    }
+
+    // Origins without any analyzed page have nothing to aggregate
+    for (const [origin, originResults] of groups) {
+        if (originResults.length === 0) groups.delete(origin);
+    }
+
+    return groups;
+}
+
+// Groups pages sharing the same value (compared case- and whitespace-insensitively),
+// only values used by more than one page are returned, largest groups first
+function groupPagesByValue(pages, getValue) {
+    const groups = new Map();
+
+    for (const page of pages) {
+        const value = String(getValue(page) || '').replace(/\s+/g, ' ').trim();
+        if (!value) continue;
+
+        const key = value.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { value, pages: 0, urls: [] });
+        const group = groups.get(key);
+        group.pages++;
+        group.urls.push(page.url);
+    }
+
+    return [...groups.values()]
+        .filter(group => group.pages > 1)
+        .sort((a, b) => b.pages - a.pages);
+}
+
 // Domain-level analysis calculation
-async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
+async function calculateDomainAnalysis(results, domainSitemapAnalysis = null, robotsSummary = null, crossPageReports = {}, origin = null) {
     console.log('Calculating domain-level analysis...');
 
     // Calculate average SEO score across all pages
@@ -242,8 +546,8 @@ async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
     else if (averageScore >= 70) overallGrade = 'C';
     else if (averageScore >= 60) overallGrade = 'D';
 
-    // Extract domain from first result
-    const firstUrl = results[0]?.url || '';
+    // Extract domain from the origin the pages were grouped under, or the first result
+    const firstUrl = origin || results[0]?.url || '';
     const domain = firstUrl ? new URL(firstUrl).hostname : '';
 
     // Calculate domain-level metrics
@@ -251,6 +555,203 @@ async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
     const pagesWithH1 = results.filter(r => r.h1Count > 0).length;
     const pagesWithMetaDesc = results.filter(r => r.descriptionLength > 0).length;
     const pagesWithErrors = results.filter(r => r.error).length;
+    const pagesBlockedByRobots = results.filter(r => r.blockedByRobotsTxt).length;
+    const noindexPages = results.filter(r => r.robotsDirectives?.effective.noindex).length;
+    const pagesNoindexByHeader = results.filter(r => {
+        const header = r.robotsDirectives?.header;
+        return header && (header.directives.noindex || header.perBot.googlebot?.noindex);
+    }).length;
+    // Redirect analysis
+    const redirectedPages = results.filter(r => r.redirect?.isRedirected);
+    const redirectChainPages = redirectedPages.filter(r => r.redirect.isRedirectChain);
+    const redirectLoopPages = redirectedPages.filter(r => r.redirect.hasRedirectLoop);
+    const internalLinksToRedirects = results.reduce((sum, r) => sum + (r.internalLinksToRedirects || 0), 0);
+
+    // Duplicate and missing titles, descriptions and H1s. Redirects that end on an already
+    // listed page and error pages would only repeat the same document
+    const seenFinalUrls = new Set();
+    const contentPages = results.filter(r => {
+        const finalUrl = r.finalUrl || r.url;
+        if (r.error || (r.finalStatusCode ?? r.statusCode) !== 200 || seenFinalUrls.has(finalUrl)) return false;
+        seenFinalUrls.add(finalUrl);
+        return true;
+    });
+    const firstH1 = r => (Array.isArray(r.h1) ? r.h1.find(text => text) : '') || '';
+    const duplicateTitles = groupPagesByValue(contentPages, r => r.title);
+    const duplicateDescriptions = groupPagesByValue(contentPages, r => r.description);
+    const duplicateH1s = groupPagesByValue(contentPages, firstH1);
+    const titleEqualsH1Pages = contentPages.filter(r => r.title && r.title.trim() === firstH1(r).trim());
+    const missingTitlePages = contentPages.filter(r => !(r.title || '').trim());
+    const missingDescriptionPages = contentPages.filter(r => !(r.description || '').trim());
+    const missingH1Pages = contentPages.filter(r => !firstH1(r).trim());
+
+    // Readability averages, reading ease and grade only exist for supported languages
+    const readabilityPages = results.filter(r => r.readability);
+    const averageOf = (pages, getValue) => {
+        const values = pages.map(getValue).filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100 : null;
+    };
+    const readabilityLanguages = {};
+    readabilityPages.forEach(r => {
+        readabilityLanguages[r.readability.language] = (readabilityLanguages[r.readability.language] || 0) + 1;
+    });
+    const hardToReadPages = readabilityPages.filter(r => r.readability.readingEase !== null && r.readability.readingEase < 30);
+
+    // Target keyword rollup on the focus keyword of each page
+    const keywordPages = results.filter(r => r.keywordAnalysis);
+    const focusKeywordPages = check => keywordPages.filter(r => check(r.keywordAnalysis.keywords[0]));
+    const urlsOf = pages => pages.map(r => r.url);
+    const keywordMissingInTitle = focusKeywordPages(keyword => !keyword.inTitle);
+    const keywordMissingInH1 = focusKeywordPages(keyword => !keyword.inH1);
+    const keywordMissingInDescription = focusKeywordPages(keyword => !keyword.inDescription);
+    const keywordStuffedPages = keywordPages.filter(r => r.keywordAnalysis.keywords.some(keyword => keyword.isStuffed));
+
+    // Content language rollup
+    const languagePages = results.filter(r => r.languageAnalysis);
+    const detectedLanguages = {};
+    languagePages.filter(r => r.languageAnalysis.isReliable).forEach(r => {
+        const language = r.languageAnalysis.detectedLanguage;
+        detectedLanguages[language] = (detectedLanguages[language] || 0) + 1;
+    });
+    const languageMismatchPages = languagePages.filter(r => r.languageAnalysis.mismatches.length > 0);
+    const mixedLanguagePages = languagePages.filter(r => r.languageAnalysis.isMixed);
+    const undeclaredLanguagePages = languagePages.filter(r => Object.keys(r.languageAnalysis.declared).length === 0);
+
+    // Accessibility rollup
+    const accessibilityPages = results.filter(r => r.accessibility);
+    const accessibilityIssueCounts = {};
+    const accessibilityPagesByIssue = {};
+    accessibilityPages.forEach(r => {
+        Object.entries(r.accessibility.issuesByType).forEach(([type, count]) => {
+            accessibilityIssueCounts[type] = (accessibilityIssueCounts[type] || 0) + count;
+            accessibilityPagesByIssue[type] = (accessibilityPagesByIssue[type] || 0) + 1;
+        });
+    });
+    const accessibilityIssuePages = accessibilityPages.filter(r => r.accessibility.issueCount > 0);
+
+    // Image rollup, images shared by several pages are counted once
+    const imagesByUrl = new Map();
+    const imagePagesByIssue = {};
+    results.filter(r => r.imageOptimization).forEach(r => {
+        r.images.forEach(image => {
+            if (!imagesByUrl.has(image.imageUrl)) imagesByUrl.set(image.imageUrl, { image, pages: new Set() });
+            imagesByUrl.get(image.imageUrl).pages.add(r.url);
+        });
+        Object.keys(r.imageOptimization.issuesByType).forEach(type => {
+            imagePagesByIssue[type] = (imagePagesByIssue[type] || 0) + 1;
+        });
+    });
+    const uniqueImages = [...imagesByUrl.values()];
+    const imageIssueCounts = {};
+    uniqueImages.forEach(({ image }) => (image.issues || []).forEach(issue => {
+        imageIssueCounts[issue.type] = (imageIssueCounts[issue.type] || 0) + 1;
+    }));
+    const brokenImages = uniqueImages.filter(({ image }) => image.statusCode >= 400);
+
+    // Render-blocking rollup
+    const renderBlockingPages = results.filter(r => r.renderBlocking);
+    const renderBlockingPagesByIssue = {};
+    const thirdPartyScriptOrigins = {};
+    renderBlockingPages.forEach(r => {
+        new Set(r.renderBlocking.issues.map(issue => issue.type)).forEach(type => {
+            renderBlockingPagesByIssue[type] = (renderBlockingPagesByIssue[type] || 0) + 1;
+        });
+        r.renderBlocking.thirdPartyScripts.forEach(({ origin }) => {
+            thirdPartyScriptOrigins[origin] = (thirdPartyScriptOrigins[origin] || 0) + 1;
+        });
+    });
+    const blockingScriptPages = renderBlockingPages.filter(r => r.renderBlocking.syncScripts.some(script => script.inHead));
+
+    // Transfer and page weight rollup
+    const transferPages = contentPages.filter(r => r.transfer);
+    const contentEncodings = {};
+    transferPages.forEach(r => {
+        contentEncodings[r.transfer.contentEncoding] = (contentEncodings[r.transfer.contentEncoding] || 0) + 1;
+    });
+    const uncompressedPages = transferPages.filter(r => !r.transfer.isCompressed);
+    const weighedPages = contentPages.filter(r => r.pageWeight);
+
+    // Lab Core Web Vitals rollup (browser rendering mode)
+    const webVitalsPages = contentPages.filter(r => r.webVitals);
+    const webVitalsRatings = {};
+    webVitalsPages.forEach(r => {
+        Object.entries(r.webVitals.ratings).forEach(([metric, rating]) => {
+            if (!rating) return;
+            webVitalsRatings[metric] = webVitalsRatings[metric] || { good: 0, 'needs-improvement': 0, poor: 0 };
+            webVitalsRatings[metric][rating]++;
+        });
+    });
+    const poorWebVitalsPages = webVitalsPages.filter(r => Object.values(r.webVitals.ratings).includes('poor'));
+
+    // Structured data rollup
+    const pagesWithStructuredData = results.filter(r => r.structuredData?.entities.length > 0);
+    const pagesWithStructuredDataErrors = results.filter(r => r.structuredData?.errorCount > 0);
+    const schemaTypeCounts = {};
+    results.forEach(r => (r.schemaTypes || []).forEach(type => {
+        schemaTypeCounts[type] = (schemaTypeCounts[type] || 0) + 1;
+    }));
+
+    // Rich result eligibility rollup per rich result type
+    const richResultsSummary = {};
+    results.filter(r => r.richResults).forEach(r => {
+        Object.entries(r.richResults.byType).forEach(([type, status]) => {
+            const summary = richResultsSummary[type] || (richResultsSummary[type] = {
+                pages_with_markup: 0,
+                eligible_pages: 0,
+                pages_missing_required_fields: 0,
+                missing_required_fields: {},
+                eligible_urls: []
+            });
+            summary.pages_with_markup++;
+            if (status.eligible) {
+                summary.eligible_pages++;
+                summary.eligible_urls.push(r.url);
+            } else {
+                summary.pages_missing_required_fields++;
+            }
+            status.missingRequired.forEach(field => {
+                summary.missing_required_fields[field] = (summary.missing_required_fields[field] || 0) + 1;
+            });
+        });
+    });
+
+    // Hreflang rollup, page issues include the cross-page checks
+    const hreflangPages = results.filter(r => r.hreflangAnalysis?.links.length > 0);
+    const hreflangIssueCounts = {};
+    const invalidHreflangCodes = {};
+    const hreflangLanguageCodes = {};
+    hreflangPages.forEach(r => {
+        r.hreflangAnalysis.languageCodes.forEach(code => {
+            hreflangLanguageCodes[code] = (hreflangLanguageCodes[code] || 0) + 1;
+        });
+        r.hreflangAnalysis.issues.forEach(issue => {
+            hreflangIssueCounts[issue.type] = (hreflangIssueCounts[issue.type] || 0) + 1;
+            if (issue.type === 'invalid_code') {
+                invalidHreflangCodes[issue.hreflang] = (invalidHreflangCodes[issue.hreflang] || 0) + 1;
+            }
+        });
+    });
+
+    // Canonical rollup, page issues include the cross-page checks
+    const canonicalPages = results.filter(r => r.canonicalAnalysis);
+    const canonicalTypes = {};
+    const canonicalIssueCounts = {};
+    canonicalPages.forEach(r => {
+        canonicalTypes[r.canonicalAnalysis.type] = (canonicalTypes[r.canonicalAnalysis.type] || 0) + 1;
+        r.canonicalAnalysis.issues.forEach(issue => {
+            canonicalIssueCounts[issue.type] = (canonicalIssueCounts[issue.type] || 0) + 1;
+        });
+    });
+
+    const comparedPages = results.filter(r => r.renderComparison);
+    const pagesDependingOnJavaScript = comparedPages.filter(r => r.renderComparison.isJavaScriptDependent);
+
+    // Click depth distribution from the start URLs
+    const clickDepths = results.filter(r => Number.isInteger(r.clickDepth)).map(r => r.clickDepth);
+    const pagesByClickDepth = {};
+    clickDepths.forEach(depth => {
+        pagesByClickDepth[depth] = (pagesByClickDepth[depth] || 0) + 1;
+    });
 
     // Status code analysis
     const statusCodes = results.filter(r => r.statusCode).map(r => r.statusCode);
@@ -284,12 +785,20 @@ async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
             pages_with_meta_description_percentage: Math.round((pagesWithMetaDesc / totalPages) * 100),
             pages_with_errors: pagesWithErrors,
             pages_with_errors_percentage: Math.round((pagesWithErrors / totalPages) * 100),
+            pages_blocked_by_robots_txt: pagesBlockedByRobots,
+            pages_blocked_by_robots_txt_percentage: Math.round((pagesBlockedByRobots / totalPages) * 100),
+            pages_noindex: noindexPages,
+            pages_noindex_percentage: Math.round((noindexPages / totalPages) * 100),
+            pages_noindex_by_x_robots_tag: pagesNoindexByHeader,
 
             // Technical metrics
             average_title_length: Math.round(results.reduce((sum, r) => sum + (r.titleLength || 0), 0) / totalPages),
             average_description_length: Math.round(results.reduce((sum, r) => sum + (r.descriptionLength || 0), 0) / totalPages),
             average_words_per_page: Math.round(results.reduce((sum, r) => sum + (r.words || 0), 0) / totalPages),
             average_internal_links: Math.round(results.reduce((sum, r) => sum + (r.internalLinksCount || 0), 0) / totalPages),
+            average_click_depth: clickDepths.length > 0 ? Math.round((clickDepths.reduce((sum, d) => sum + d, 0) / clickDepths.length) * 100) / 100 : 0,
+            max_click_depth: clickDepths.length > 0 ? Math.max(...clickDepths) : 0,
+            pages_by_click_depth: pagesByClickDepth,
 
             // Status code analysis
             pages_with_successful_status: successfulPages,
@@ -299,6 +808,153 @@ async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
             pages_with_error_status: errorPages,
             pages_with_error_status_percentage: Math.round((errorPages / totalPages) * 100),
 
+            // Duplicate and missing titles, meta descriptions and H1s
+            title_description_h1_info: {
+                pages_checked: contentPages.length,
+                duplicate_titles: duplicateTitles,
+                pages_with_duplicate_title: duplicateTitles.reduce((sum, group) => sum + group.pages, 0),
+                duplicate_descriptions: duplicateDescriptions,
+                pages_with_duplicate_description: duplicateDescriptions.reduce((sum, group) => sum + group.pages, 0),
+                duplicate_h1s: duplicateH1s,
+                pages_with_duplicate_h1: duplicateH1s.reduce((sum, group) => sum + group.pages, 0),
+                title_equals_h1: { pages: titleEqualsH1Pages.length, urls: titleEqualsH1Pages.map(r => r.url) },
+                missing_title: { pages: missingTitlePages.length, urls: missingTitlePages.map(r => r.url) },
+                missing_description: { pages: missingDescriptionPages.length, urls: missingDescriptionPages.map(r => r.url) },
+                missing_h1: { pages: missingH1Pages.length, urls: missingH1Pages.map(r => r.url) }
+            },
+
+            // Readability averages
+            readability_info: {
+                pages_analyzed: readabilityPages.length,
+                pages_by_language: readabilityLanguages,
+                average_reading_ease: averageOf(readabilityPages, r => r.readability.readingEase),
+                average_grade_level: averageOf(readabilityPages, r => r.readability.gradeLevel),
+                average_sentence_length: averageOf(readabilityPages, r => r.readability.averageSentenceLength),
+                average_word_length: averageOf(readabilityPages, r => r.readability.averageWordLength),
+                average_long_sentence_ratio: averageOf(readabilityPages, r => r.readability.longSentenceRatio),
+                average_passive_voice_ratio: averageOf(readabilityPages, r => r.readability.passiveVoiceRatio),
+                hard_to_read_pages: hardToReadPages.length,
+                hard_to_read_urls: hardToReadPages.map(r => r.url)
+            },
+
+            // Target keyword optimization
+            keyword_info: {
+                pages_with_target_keywords: keywordPages.length,
+                focus_keyword_missing_in_title: { pages: keywordMissingInTitle.length, urls: urlsOf(keywordMissingInTitle) },
+                focus_keyword_missing_in_h1: { pages: keywordMissingInH1.length, urls: urlsOf(keywordMissingInH1) },
+                focus_keyword_missing_in_description: { pages: keywordMissingInDescription.length, urls: urlsOf(keywordMissingInDescription) },
+                keyword_stuffing: { pages: keywordStuffedPages.length, urls: urlsOf(keywordStuffedPages) },
+                average_focus_keyword_density: averageOf(keywordPages, r => r.keywordAnalysis.keywords[0].density)
+            },
+
+            // Detected content language versus declared language
+            language_info: {
+                pages_by_detected_language: detectedLanguages,
+                pages_with_language_mismatch: languageMismatchPages.length,
+                language_mismatches: languageMismatchPages.map(r => ({
+                    url: r.url,
+                    detected: r.languageAnalysis.detectedLanguage,
+                    declared: r.languageAnalysis.declared
+                })),
+                mixed_language_pages: mixedLanguagePages.length,
+                mixed_language_urls: mixedLanguagePages.map(r => r.url),
+                pages_without_declared_language: undeclaredLanguagePages.length
+            },
+
+            // Accessibility checks
+            accessibility_info: {
+                pages_with_accessibility_issues: accessibilityIssuePages.length,
+                pages_with_accessibility_issues_percentage: Math.round((accessibilityIssuePages.length / totalPages) * 100),
+                total_issues: accessibilityPages.reduce((sum, r) => sum + r.accessibility.issueCount, 0),
+                issues_by_type: accessibilityIssueCounts,
+                pages_by_issue_type: accessibilityPagesByIssue
+            },
+
+            // Image optimization
+            image_info: {
+                unique_images: uniqueImages.length,
+                total_image_bytes: uniqueImages.reduce((sum, { image }) => sum + (image.sizeInByte || 0), 0),
+                issues_by_type: imageIssueCounts,
+                pages_by_issue_type: imagePagesByIssue,
+                broken_images: brokenImages.map(({ image, pages }) => ({
+                    image_url: image.imageUrl,
+                    status_code: image.statusCode,
+                    pages: [...pages]
+                })),
+                largest_images: uniqueImages
+                    .filter(({ image }) => image.sizeInByte > 0)
+                    .sort((x, y) => y.image.sizeInByte - x.image.sizeInByte)
+                    .slice(0, 10)
+                    .map(({ image }) => ({
+                        image_url: image.imageUrl,
+                        size_in_kb: image.sizeInKb,
+                        format: image.format,
+                        intrinsic_width: image.intrinsicWidth,
+                        intrinsic_height: image.intrinsicHeight
+                    }))
+            },
+
+            // Render-blocking resources and head order
+            render_blocking_info: {
+                pages_analyzed: renderBlockingPages.length,
+                pages_with_render_blocking_scripts: blockingScriptPages.length,
+                average_sync_scripts_in_head: averageOf(renderBlockingPages, r => r.renderBlocking.syncScripts.filter(script => script.inHead).length),
+                average_blocking_stylesheets: averageOf(renderBlockingPages, r => r.renderBlocking.blockingStylesheets.filter(stylesheet => stylesheet.inHead).length),
+                average_inline_css_bytes: averageOf(renderBlockingPages, r => r.renderBlocking.inlineCss.bytes),
+                average_inline_js_bytes: averageOf(renderBlockingPages, r => r.renderBlocking.inlineJs.bytes),
+                third_party_script_origins: thirdPartyScriptOrigins,
+                pages_by_issue_type: renderBlockingPagesByIssue,
+                urls_with_render_blocking_scripts: blockingScriptPages.map(r => r.url)
+            },
+
+            // Page weight, compression and transfer timings
+            transfer_info: {
+                pages_measured: transferPages.length,
+                content_encodings: contentEncodings,
+                uncompressed_pages: uncompressedPages.length,
+                uncompressed_urls: uncompressedPages.map(r => r.url),
+                average_html_bytes: averageOf(transferPages, r => r.transfer.htmlBytes),
+                average_html_decompressed_bytes: averageOf(transferPages, r => r.transfer.htmlDecompressedBytes),
+                average_compression_savings: averageOf(transferPages.filter(r => r.transfer.isCompressed), r => r.transfer.compressionSavings),
+                average_time_to_first_byte: averageOf(transferPages, r => r.transfer.timeToFirstByte),
+                average_download_time: averageOf(transferPages, r => r.transfer.downloadTime),
+                average_page_weight: averageOf(weighedPages, r => r.pageWeight.totalBytes),
+                heaviest_pages: weighedPages
+                    .sort((x, y) => y.pageWeight.totalBytes - x.pageWeight.totalBytes)
+                    .slice(0, 10)
+                    .map(r => ({ url: r.url, total_bytes: r.pageWeight.totalBytes }))
+            },
+
+            // Lab Core Web Vitals
+            web_vitals_info: {
+                pages_measured: webVitalsPages.length,
+                throttling_profile: webVitalsPages.length > 0 ? webVitalsPages[0].webVitals.throttlingProfile : null,
+                average_largest_contentful_paint: averageOf(webVitalsPages, r => r.webVitals.largestContentfulPaint),
+                average_cumulative_layout_shift: averageOf(webVitalsPages, r => r.webVitals.cumulativeLayoutShift),
+                average_total_blocking_time: averageOf(webVitalsPages, r => r.webVitals.totalBlockingTime),
+                average_first_contentful_paint: averageOf(webVitalsPages, r => r.webVitals.firstContentfulPaint),
+                ratings: webVitalsRatings,
+                pages_with_poor_vitals: poorWebVitalsPages.length,
+                urls_with_poor_vitals: poorWebVitalsPages.map(r => r.url)
+            },
+
+            // Redirect statistics
+            redirect_info: {
+                redirected_pages: redirectedPages.length,
+                redirect_chains: redirectChainPages.length,
+                redirect_loops: redirectLoopPages.length,
+                temporary_redirects: redirectedPages.filter(r => r.redirect.hasTemporaryRedirect).length,
+                internal_links_to_redirects: internalLinksToRedirects,
+                pages_linking_to_redirects: results.filter(r => r.internalLinksToRedirects > 0).length,
+                redirects: redirectedPages.map(r => ({
+                    url: r.url,
+                    final_url: r.redirect.finalUrl,
+                    hops: r.redirect.hops,
+                    status_codes: r.redirect.chain.map(hop => hop.statusCode),
+                    is_loop: r.redirect.hasRedirectLoop
+                }))
+            },
+
             // OpenGraph statistics
             pages_with_opengraph: pagesWithOpenGraph,
             pages_with_opengraph_percentage: Math.round((pagesWithOpenGraph / totalPages) * 100),
@@ -321,7 +977,66 @@ async function calculateDomainAnalysis(results, domainSitemapAnalysis = null) {
                 total_urls: domainSitemapAnalysis?.totalUrls || 0,
                 sitemap_urls: domainSitemapAnalysis?.sitemapUrls || [],
                 sitemap_lastmod: domainSitemapAnalysis?.sitemapLastModified || null
-            }
+            },
+
+            // Robots.txt Information (domain-level)
+            robots_txt_info: robotsSummary,
+
+            structured_data_info: {
+                pages_with_structured_data: pagesWithStructuredData.length,
+                pages_with_structured_data_percentage: Math.round((pagesWithStructuredData.length / totalPages) * 100),
+                pages_with_structured_data_errors: pagesWithStructuredDataErrors.length,
+                pages_with_json_ld_syntax_errors: results.filter(r => r.structuredData?.jsonLdSyntaxErrors.length > 0).length,
+                pages_by_schema_type: schemaTypeCounts,
+                urls_with_structured_data_errors: pagesWithStructuredDataErrors.map(r => r.url)
+            },
+            canonical_info: {
+                pages_with_canonical: canonicalPages.filter(r => r.canonicalAnalysis.canonicalUrl).length,
+                pages_missing_canonical: canonicalPages.filter(r => r.canonicalAnalysis.type === 'missing').length,
+                pages_with_canonical_issues: canonicalPages.filter(r => r.canonicalAnalysis.issues.length > 0).length,
+                canonical_types: canonicalTypes,
+                issues_by_type: canonicalIssueCounts,
+                cross_page_checks: crossPageReports.canonical || null,
+                canonical_chains: canonicalPages.filter(r => r.canonicalAnalysis.chain && r.canonicalAnalysis.chain.length > 0).map(r => ({
+                    url: r.url,
+                    chain: r.canonicalAnalysis.chain
+                })),
+                urls_with_canonical_issues: canonicalPages.filter(r => r.canonicalAnalysis.issues.length > 0).map(r => r.url)
+            },
+            duplicate_content_info: crossPageReports.duplicateContent ? {
+                ...crossPageReports.duplicateContent,
+                pages_with_exact_duplicates: results.filter(r => r.duplicateContent?.exactDuplicates.length > 0).length,
+                pages_with_near_duplicates: results.filter(r => r.duplicateContent?.nearDuplicates.length > 0).length
+            } : null,
+            hreflang_info: {
+                pages_with_hreflang: hreflangPages.length,
+                pages_with_hreflang_issues: hreflangPages.filter(r => r.hreflangAnalysis.issues.length > 0).length,
+                pages_missing_x_default: hreflangPages.filter(r => !r.hreflangAnalysis.hasXDefault).length,
+                pages_missing_self_reference: hreflangPages.filter(r => !r.hreflangAnalysis.hasSelfReference).length,
+                language_codes: hreflangLanguageCodes,
+                invalid_codes: invalidHreflangCodes,
+                issues_by_type: hreflangIssueCounts,
+                cross_page_checks: crossPageReports.hreflang || null,
+                urls_with_hreflang_issues: hreflangPages.filter(r => r.hreflangAnalysis.issues.length > 0).map(r => r.url)
+            },
+            rich_results_info: {
+                pages_eligible_for_rich_results: results.filter(r => r.richResults?.eligibleTypes.length > 0).length,
+                eligible_types: Object.keys(richResultsSummary).filter(type => richResultsSummary[type].eligible_pages > 0),
+                by_type: richResultsSummary
+            },
+
+            // Raw vs rendered HTML comparison (only when compareRawAndRendered is enabled)
+            render_comparison: comparedPages.length > 0 ? {
+                pages_compared: comparedPages.length,
+                pages_depending_on_javascript: pagesDependingOnJavaScript.length,
+                pages_depending_on_javascript_percentage: Math.round((pagesDependingOnJavaScript.length / comparedPages.length) * 100),
+                pages_with_render_only_title: comparedPages.filter(r => r.renderComparison.fields.title.renderOnly).length,
+                pages_with_render_only_description: comparedPages.filter(r => r.renderComparison.fields.description.renderOnly).length,
+                pages_with_render_only_canonical: comparedPages.filter(r => r.renderComparison.fields.canonical.renderOnly).length,
+                pages_with_render_only_content: comparedPages.filter(r => r.renderComparison.fields.wordCount.renderOnly).length,
+                pages_with_robots_conflict: comparedPages.filter(r => r.renderComparison.robotsConflict).length,
+                javascript_dependent_urls: pagesDependingOnJavaScript.map(r => r.url)
+            } : null
         };
 
     console.log(`Domain Analysis Summary:`);
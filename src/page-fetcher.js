@@ -0,0 +1,271 @@
+/**
+ * Page Fetcher for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Fetches raw page HTML over HTTP and follows redirects manually so every
+ * hop (status code and Location target) is recorded. Detects redirect loops and
+ * chains longer than a single hop. The body is downloaded still compressed, so the
+ * transferred and decompressed HTML size, the Content-Encoding, time to first byte
+ * and download time can be reported.
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+
+class PageFetcher {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - User-Agent header for page requests
+     * @param {number} options.timeout - Request timeout per hop in milliseconds
+     * @param {number} options.maxRedirects - Maximum number of redirects to follow
+     */
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)', timeout = 30000, maxRedirects = 10 } = {}) {
+        this.axios = axios;
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        this.maxRedirects = maxRedirects;
+    }
+
+    isRedirectStatus(statusCode) {
+        return [301, 302, 303, 307, 308].includes(statusCode);
+    }
+
+    /**
+     * Fetches a URL, following redirects hop by hop
+     * @param {string} url - URL to fetch
+     * @returns {Promise<Object>} { html, statusCode, headers, finalUrl, redirect, transfer }
+     * @throws {Error} On network errors, 5xx responses, redirect loops, too many redirects or
+     * bodies that cannot be decoded (unknown or broken Content-Encoding). Redirect and decoding
+     * errors carry the redirect report in `error.redirect`.
+     */
+    async fetch(url) {
+        const chain = [];
+        const visitedUrls = new Set([url]);
+        let currentUrl = url;
+        const startTime = Date.now();
+
+        while (true) {
+            const requestStart = Date.now();
+            const response = await this.axios.get(currentUrl, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept-Language': 'en-US,en;q=0.9',
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                    'Accept-Encoding': 'gzip, deflate, br'
+                },
+                timeout: this.timeout,
+                maxRedirects: 0, // Follow redirects manually to record every hop
+                responseType: 'stream',
+                decompress: false, // Keep the transferred bytes to measure compression
+                validateStatus: function (status) {
+                    return status < 500; // Accept all status codes below 500
+                }
+            });
+            const headersReceived = Date.now();
+
+            const location = response.headers.location;
+            if (!this.isRedirectStatus(response.status) || !location) {
+                const body = await this.readBody(response.data);
+                const bodyReceived = Date.now();
+                const contentEncoding = String(response.headers['content-encoding'] || '').trim().toLowerCase() || 'none';
+                const decoded = this.decompress(body, contentEncoding);
+                if (!decoded) {
+                    // Compressed bytes are no HTML, analyzing them would report an empty page
+                    const error = new Error(`Could not decode the response body with Content-Encoding "${contentEncoding}"`);
+                    error.code = 'ERR_CONTENT_DECODING_FAILED';
+                    error.response = { status: response.status, headers: response.headers };
+                    error.redirect = this.createRedirectReport(url, chain, currentUrl, response.status);
+                    throw error;
+                }
+
+                return {
+                    html: decoded.toString('utf8'),
+                    statusCode: response.status,
+                    headers: response.headers,
+                    finalUrl: currentUrl,
+                    redirect: this.createRedirectReport(url, chain, currentUrl, response.status),
+                    transfer: this.createTransferReport({
+                        encodedBytes: body.length,
+                        decodedBytes: decoded.length,
+                        contentEncoding,
+                        timeToFirstByte: headersReceived - requestStart,
+                        downloadTime: bodyReceived - headersReceived,
+                        totalTime: bodyReceived - startTime
+                    })
+                };
+            }
+
+            // The redirect body is not needed
+            if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+
+            const target = new URL(location, currentUrl).href;
+            chain.push({ url: currentUrl, statusCode: response.status, location: target });
+
+            if (visitedUrls.has(target)) {
+                const error = new Error(`Redirect loop detected at ${target}`);
+                error.redirect = this.createRedirectReport(url, chain, target, null, { hasRedirectLoop: true });
+                throw error;
+            }
+            if (chain.length >= this.maxRedirects) {
+                const error = new Error(`Maximum number of redirects (${this.maxRedirects}) exceeded`);
+                error.redirect = this.createRedirectReport(url, chain, target, null, { tooManyRedirects: true });
+                throw error;
+            }
+
+            visitedUrls.add(target);
+            currentUrl = target;
+        }
+    }
+
+    /**
+     * Checks the status of a URL with HEAD requests, following redirects hop by hop
+     * @param {string} url - URL to check
+     * @param {Object} options
+     * @param {Function} options.withHostSlot - Runs the request of one hop while holding a
+     * request slot for its host, called as (hopUrl, request) and returns request()'s result
+     * @returns {Promise<Object>} { statusCode, finalUrl, redirect, error } with the status of
+     * the final hop, statusCode is null when the check failed
+     */
+    async checkStatus(url, { withHostSlot = (hopUrl, request) => request() } = {}) {
+        const chain = [];
+        const visitedUrls = new Set([url]);
+        let currentUrl = url;
+
+        while (true) {
+            let response;
+            try {
+                response = await withHostSlot(currentUrl, () => this.axios.head(currentUrl, {
+                    headers: { 'User-Agent': this.userAgent },
+                    timeout: this.timeout,
+                    maxRedirects: 0,
+                    validateStatus: () => true
+                }));
+            } catch (error) {
+                return { statusCode: null, finalUrl: currentUrl, redirect: this.createRedirectReport(url, chain, currentUrl, null), error: error.message };
+            }
+
+            const location = response.headers.location;
+            if (!this.isRedirectStatus(response.status) || !location) {
+                return { statusCode: response.status, finalUrl: currentUrl, redirect: this.createRedirectReport(url, chain, currentUrl, response.status), error: null };
+            }
+
+            const target = new URL(location, currentUrl).href;
+            chain.push({ url: currentUrl, statusCode: response.status, location: target });
+
+            if (visitedUrls.has(target)) {
+                const redirect = this.createRedirectReport(url, chain, target, null, { hasRedirectLoop: true });
+                return { statusCode: null, finalUrl: target, redirect, error: `Redirect loop detected at ${target}` };
+            }
+            if (chain.length >= this.maxRedirects) {
+                const redirect = this.createRedirectReport(url, chain, target, null, { tooManyRedirects: true });
+                return { statusCode: null, finalUrl: target, redirect, error: `Maximum number of redirects (${this.maxRedirects}) exceeded` };
+            }
+
+            visitedUrls.add(target);
+            currentUrl = target;
+        }
+    }
+
+    /**
+     * Reads a response body into a buffer (streams, buffers and strings)
+     */
+    async readBody(data) {
+        if (data === undefined || data === null) return Buffer.alloc(0);
+        if (Buffer.isBuffer(data)) return data;
+        if (typeof data === 'string') return Buffer.from(data, 'utf8');
+        if (typeof data.on !== 'function') return Buffer.from(JSON.stringify(data), 'utf8');
+
+        const chunks = [];
+        for await (const chunk of data) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Decompresses a body according to its Content-Encoding. Several codings ("gzip, br")
+     * are undone in the reverse order they were applied.
+     * @returns {Buffer|null} Decompressed body, the body itself when it is not encoded,
+     * or null for unknown or broken encodings
+     */
+    decompress(body, contentEncoding) {
+        const codings = String(contentEncoding).split(',').map(coding => coding.trim()).filter(Boolean);
+        if (codings.length > 1) {
+            return codings.reverse().reduce((decoded, coding) => (decoded ? this.decompress(decoded, coding) : null), body);
+        }
+
+        try {
+            switch (contentEncoding) {
+                case 'none':
+                case 'identity':
+                    return body;
+                case 'gzip':
+                case 'x-gzip':
+                    return zlib.gunzipSync(body);
+                case 'deflate':
+                    try {
+                        return zlib.inflateSync(body);
+                    } catch (error) {
+                        // Some servers send raw deflate without the zlib header
+                        return zlib.inflateRawSync(body);
+                    }
+                case 'br':
+                    return zlib.brotliDecompressSync(body);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Builds the per-page transfer report
+     * @param {Object} metrics - { encodedBytes, decodedBytes, contentEncoding, timeToFirstByte, downloadTime, totalTime }
+     * @returns {Object} HTML size on the wire and decompressed, compression and timings in milliseconds
+     */
+    createTransferReport({ encodedBytes, decodedBytes, contentEncoding = 'none', timeToFirstByte = null, downloadTime = null, totalTime = null }) {
+        const isCompressed = !['none', 'identity'].includes(contentEncoding);
+        return {
+            htmlBytes: encodedBytes,
+            htmlDecompressedBytes: decodedBytes,
+            contentEncoding,
+            isCompressed,
+            // Share of the HTML size saved by compression
+            compressionSavings: isCompressed && decodedBytes > 0
+                ? Math.round((1 - encodedBytes / decodedBytes) * 10000) / 100
+                : 0,
+            timeToFirstByte,
+            downloadTime,
+            totalTime
+        };
+    }
+
+    /**
+     * Builds the per-page redirect report
+     * @param {string} requestedUrl - URL that was requested
+     * @param {Array} chain - Redirect hops as { url, statusCode, location }
+     * @param {string} finalUrl - URL the chain ended at
+     * @param {number|null} finalStatusCode - Status of the final response (null if never reached)
+     * @param {Object} flags - Optional { hasRedirectLoop, tooManyRedirects }
+     * @returns {Object} Redirect report
+     */
+    createRedirectReport(requestedUrl, chain, finalUrl, finalStatusCode, { hasRedirectLoop = false, tooManyRedirects = false } = {}) {
+        return {
+            requestedUrl,
+            finalUrl,
+            finalStatusCode,
+            isRedirected: chain.length > 0,
+            hops: chain.length,
+            chain,
+            // More than one hop wastes crawl budget and dilutes link signals
+            isRedirectChain: chain.length > 1,
+            hasRedirectLoop,
+            tooManyRedirects,
+            hasTemporaryRedirect: chain.some(hop => [302, 303, 307].includes(hop.statusCode)),
+            crossesOrigin: chain.length > 0 && new URL(requestedUrl).origin !== new URL(finalUrl).origin
+        };
+    }
+}
+
+module.exports = { PageFetcher };
@@ -0,0 +1,148 @@
+/**
+ * Page Renderer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Loads pages in headless Chromium through Puppeteer so JavaScript
+ * rendered content can be analyzed. One browser is shared by all crawl workers,
+ * every page gets its own tab with the configured user agent, viewport and throttling,
+ * and lab Core Web Vitals are measured while it loads.
+ */
+
+const puppeteer = require('puppeteer');
+const { WebVitalsCollector } = require('./web-vitals-collector');
+
+class PageRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - User agent for all browser requests
+     * @param {number} options.viewportWidth - Viewport width in pixels
+     * @param {number} options.viewportHeight - Viewport height in pixels
+     * @param {number} options.waitForPageLoad - Maximum time to wait for the network to settle after `load` (ms)
+     * @param {number} options.timeout - Navigation timeout in milliseconds
+     * @param {string} options.throttlingProfile - CPU/network throttling: none, desktop or mobile
+     */
+    constructor({
+        userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)',
+        viewportWidth = 1920,
+        viewportHeight = 1080,
+        waitForPageLoad = 3000,
+        timeout = 30000,
+        throttlingProfile = 'none'
+    } = {}) {
+        this.puppeteer = puppeteer;
+        this.userAgent = userAgent;
+        this.viewport = { width: viewportWidth, height: viewportHeight };
+        this.waitForPageLoad = waitForPageLoad;
+        this.timeout = timeout;
+        this.webVitalsCollector = new WebVitalsCollector({ throttlingProfile });
+        this.browserPromise = null;
+    }
+
+    /**
+     * Launches the shared browser on first use
+     * @returns {Promise<Object>} Puppeteer browser
+     */
+    getBrowser() {
+        if (!this.browserPromise) {
+            this.browserPromise = this.puppeteer.launch({
+                headless: 'new',
+                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+            }).catch((error) => {
+                // Allow a later call to retry the launch
+                this.browserPromise = null;
+                throw new Error(`Could not launch headless browser: ${error.message}`);
+            });
+        }
+        return this.browserPromise;
+    }
+
+    /**
+     * Opens a URL in a new tab, waits for it to render and passes it to a callback.
+     * The tab is closed once the callback has finished.
+     * @param {string} url - URL to render
+     * @param {Function} callback - Async function receiving { page, html, rawHtml, statusCode, headers, finalUrl, redirectChain, navigationTiming, webVitals }
+     * @returns {Promise<*>} Whatever the callback returns
+     */
+    async withPage(url, callback) {
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setUserAgent(this.userAgent);
+            await page.setViewport(this.viewport);
+            await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+            await this.webVitalsCollector.install(page);
+
+            const response = await page.goto(url, { waitUntil: 'load', timeout: this.timeout });
+
+            // Give client-side rendering a chance to finish fetching its data
+            if (this.waitForPageLoad > 0) {
+                await page.waitForNetworkIdle({ idleTime: 500, timeout: this.waitForPageLoad })
+                    .catch(() => { /* Page kept the network busy, analyze what has rendered so far */ });
+            }
+
+            const html = await page.content();
+
+            // Body of the document response as served, before any script modified the DOM.
+            // Null when the browser no longer holds it (e.g. after a client-side navigation).
+            const rawHtml = response ? await response.text().catch(() => null) : null;
+
+            const webVitals = await this.webVitalsCollector.collect(page).catch((error) => {
+                console.warn(`Could not collect Web Vitals for ${url}: ${error.message}`);
+                return null;
+            });
+
+            // Size and timings of the document response from the Navigation Timing API
+            const navigationTiming = await page.evaluate(() => {
+                const navigation = performance.getEntriesByType('navigation')[0];
+                return navigation ? {
+                    encodedBytes: navigation.encodedBodySize,
+                    decodedBytes: navigation.decodedBodySize,
+                    timeToFirstByte: Math.round(navigation.responseStart - navigation.requestStart),
+                    downloadTime: Math.round(navigation.responseEnd - navigation.responseStart),
+                    totalTime: Math.round(navigation.responseEnd - navigation.startTime)
+                } : null;
+            }).catch(() => null);
+
+            // Redirect hops the browser followed before reaching the final document
+            const redirectChain = response ? response.request().redirectChain().map((request) => {
+                const hopResponse = request.response();
+                const location = hopResponse ? hopResponse.headers().location : null;
+                return {
+                    url: request.url(),
+                    statusCode: hopResponse ? hopResponse.status() : null,
+                    location: location ? new URL(location, request.url()).href : null
+                };
+            }) : [];
+
+            return await callback({
+                page,
+                html,
+                rawHtml,
+                statusCode: response ? response.status() : 200,
+                headers: response ? response.headers() : {},
+                finalUrl: response ? response.url() : page.url(),
+                redirectChain,
+                navigationTiming,
+                webVitals
+            });
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    async close() {
+        if (!this.browserPromise) return;
+
+        try {
+            const browser = await this.browserPromise;
+            await browser.close();
+        } catch (error) {
+            // Browser never started or is already gone
+        } finally {
+            this.browserPromise = null;
+        }
+    }
+}
+
+module.exports = { PageRenderer };
@@ -0,0 +1,134 @@
+/**
+ * Page Weight Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Sums the transferred size of the HTML and the JavaScript, CSS and image
+ * files a page references. Resource sizes are requested once per URL and reused for
+ * every page of the crawl that references the same file. Each request waits for a
+ * request slot of its host, so resources keep to the crawl's per-host pace.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// Script types the browser downloads and executes
+const EXECUTABLE_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+class PageWeightAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - User-Agent header for resource requests
+     * @param {number} options.timeout - Request timeout per resource in milliseconds
+     */
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)', timeout = 10000 } = {}) {
+        this.axios = axios;
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        this.sizeCache = new Map();
+    }
+
+    /**
+     * Transferred (compressed) size of a resource, cached per URL
+     * @param {string} url - Resource URL
+     * @param {Function} withHostSlot - Runs the request once its host has a free request slot
+     * @returns {Promise<number|null>} Size in bytes or null when it could not be measured
+     */
+    getResourceSize(url, withHostSlot) {
+        if (!this.sizeCache.has(url)) {
+            this.sizeCache.set(url, this.fetchResourceSize(url, withHostSlot));
+        }
+        return this.sizeCache.get(url);
+    }
+
+    async fetchResourceSize(url, withHostSlot = (resourceUrl, request) => request()) {
+        try {
+            const response = await withHostSlot(url, () => this.axios.get(url, {
+                headers: { 'User-Agent': this.userAgent, 'Accept-Encoding': 'gzip, deflate, br' },
+                responseType: 'stream',
+                decompress: false,
+                timeout: this.timeout,
+                maxRedirects: 3,
+                validateStatus: () => true
+            }));
+            if (response.status >= 400) {
+                response.data.destroy();
+                return null;
+            }
+
+            const contentLength = parseInt(response.headers['content-length'], 10);
+            if (contentLength >= 0) {
+                response.data.destroy();
+                return contentLength;
+            }
+
+            // Chunked responses have no length, count the bytes
+            let bytes = 0;
+            for await (const chunk of response.data) {
+                bytes += chunk.length;
+            }
+            return bytes;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    resolveUrls(values, baseUrl) {
+        const urls = new Set();
+        values.forEach(value => {
+            try {
+                const url = new URL(value, baseUrl);
+                if (['http:', 'https:'].includes(url.protocol)) urls.add(url.href);
+            } catch (error) {
+                // Ignore invalid references
+            }
+        });
+        return [...urls];
+    }
+
+    async sumSizes(urls, withHostSlot) {
+        const sizes = await Promise.all(urls.map(url => this.getResourceSize(url, withHostSlot)));
+        return {
+            count: urls.length,
+            bytes: sizes.reduce((sum, size) => sum + (size || 0), 0),
+            unmeasured: sizes.filter(size => size === null).length
+        };
+    }
+
+    /**
+     * Measures the total weight of a page
+     * @param {string} html - Page HTML
+     * @param {string} url - Page URL
+     * @param {Object} options - { htmlBytes, images, withHostSlot } with the transferred HTML size, the analyzed
+     * images and the wrapper that spaces the resource requests per host
+     * @returns {Promise<Object>} Bytes per resource type and in total
+     */
+    async measure(html, url, { htmlBytes = 0, images = [], withHostSlot } = {}) {
+        const $ = cheerio.load(html || '');
+        const scriptUrls = this.resolveUrls($('script[src]')
+            .filter((i, el) => EXECUTABLE_SCRIPT_TYPES.includes(($(el).attr('type') || '').trim().toLowerCase()))
+            .map((i, el) => $(el).attr('src')).get(), url);
+        const stylesheetUrls = this.resolveUrls($('link[rel][href]')
+            .filter((i, el) => /(^|\s)stylesheet(\s|$)/i.test($(el).attr('rel')))
+            .map((i, el) => $(el).attr('href')).get(), url);
+
+        const scripts = await this.sumSizes(scriptUrls, withHostSlot);
+        const stylesheets = await this.sumSizes(stylesheetUrls, withHostSlot);
+        // Image sizes come from the image audit
+        const uniqueImages = [...new Map(images.map(image => [image.imageUrl, image])).values()];
+        const imageWeight = {
+            count: uniqueImages.length,
+            bytes: uniqueImages.reduce((sum, image) => sum + (image.sizeInByte || 0), 0),
+            unmeasured: uniqueImages.filter(image => !image.sizeInByte).length
+        };
+
+        return {
+            htmlBytes,
+            scripts,
+            stylesheets,
+            images: imageWeight,
+            totalBytes: htmlBytes + scripts.bytes + stylesheets.bytes + imageWeight.bytes
+        };
+    }
+}
+
+module.exports = { PageWeightAnalyzer };
@@ -0,0 +1,153 @@
+/**
+ * Readability Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Calculates readability metrics of the main content text: reading ease, school
+ * grade, average sentence and word length, long-sentence and passive-voice ratios. English,
+ * German, Spanish and French use their own syllable rules, formulas and passive patterns.
+ */
+
+// Reading ease and grade formulas per language. asl = words per sentence,
+// asw = syllables per word, stats = raw counts for formulas that need them.
+// Passive patterns of languages with accented letters delimit words with \p{L} lookarounds,
+// \b and \w only know ASCII letters and never match around "été" or "será".
+const LANGUAGES = {
+    en: {
+        vowels: 'aeiouy',
+        readingEase: { name: 'Flesch Reading Ease', calculate: ({ asl, asw }) => 206.835 - 1.015 * asl - 84.6 * asw },
+        grade: { name: 'Flesch-Kincaid Grade', calculate: ({ asl, asw }) => 0.39 * asl + 11.8 * asw - 15.59 },
+        // Form of "to be", an optional adverb and a past participle
+        passive: /\b(am|is|are|was|were|be|been|being)\s+(\w+ly\s+)?(\w+ed|born|built|done|found|given|known|made|paid|seen|sent|shown|sold|taken|told|written)\b/i
+    },
+    de: {
+        vowels: 'aeiouyäöü',
+        readingEase: { name: 'Flesch Reading Ease (Amstad)', calculate: ({ asl, asw }) => 180 - asl - 58.5 * asw },
+        // Erste Wiener Sachtextformel
+        grade: {
+            name: 'Wiener Sachtextformel',
+            calculate: ({ asl, stats }) => 0.1935 * stats.polysyllablePercent + 0.1672 * asl +
+                0.1297 * stats.longWordPercent - 0.0327 * stats.monosyllablePercent - 0.875
+        },
+        // Form of "werden" together with a participle ("wurde ... gebaut")
+        passive: /(?<!\p{L})(werde|wirst|wird|werden|werdet|wurde|wurdest|wurden|wurdet|worden)(?!\p{L})[^.!?]*(?<!\p{L})ge\p{L}+(t|en)(?!\p{L})|(?<!\p{L})ge\p{L}+(t|en)\s+(werden|worden|wurde|wurden|wird)(?!\p{L})/iu
+    },
+    es: {
+        vowels: 'aeiouáéíóúü',
+        readingEase: { name: 'Fernández Huerta', calculate: ({ asl, asw }) => 206.84 - 60 * asw - 1.02 * asl },
+        // Crawford, based on sentences and syllables per 100 words
+        grade: { name: 'Crawford', calculate: ({ asl, asw }) => -0.205 * (100 / asl) + 0.049 * (asw * 100) - 3.407 },
+        // Form of "ser" and a participle ("fue construido")
+        passive: /(?<!\p{L})(es|son|era|eran|fue|fueron|será|serán|sido|ser|sea|sean)\s+(\p{L}+mente\s+)?\p{L}+(ado|ada|ados|adas|ido|ida|idos|idas)(?!\p{L})/iu
+    },
+    fr: {
+        vowels: 'aeiouyàâäéèêëîïôöûùü',
+        readingEase: { name: 'Flesch Reading Ease (Kandel-Moles)', calculate: ({ asl, asw }) => 207 - 1.015 * asl - 73.6 * asw },
+        grade: { name: 'Flesch-Kincaid Grade', calculate: ({ asl, asw }) => 0.39 * asl + 11.8 * asw - 15.59 },
+        // Form of "être" and a participle, optionally separated by an adverb ("est souvent utilisé", "a été construit")
+        passive: /(?<!\p{L})(suis|es|est|sommes|êtes|sont|étais|était|étions|étiez|étaient|fut|furent|sera|seront|serait|seraient|été|être)\s+(\p{L}+\s+)?\p{L}+(é|ée|és|ées|is|ise|ises|it|ite|its|ites|u|ue|us|ues)(?!\p{L})/iu
+    }
+};
+
+class ReadabilityAnalyzer {
+    constructor({ longSentenceWords = 20 } = {}) {
+        this.longSentenceWords = longSentenceWords;
+    }
+
+    /**
+     * Maps a lang attribute such as "de-AT" to a supported language, English by default
+     */
+    resolveLanguage(lang) {
+        const code = String(lang || '').toLowerCase().split(/[-_]/)[0];
+        if (!code) return { language: 'en', isSupported: true };
+        return { language: code, isSupported: !!LANGUAGES[code] };
+    }
+
+    splitSentences(text) {
+        return String(text || '')
+            .split(/(?<=[.!?…])\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => this.getWords(sentence).length > 0);
+    }
+
+    getWords(text) {
+        return String(text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+    }
+
+    /**
+     * Counts syllables as vowel groups with language specific corrections
+     */
+    countSyllables(word, language = 'en') {
+        const config = LANGUAGES[language] || LANGUAGES.en;
+        let text = word.toLowerCase();
+        if (/^\d+$/.test(text)) return 1;
+
+        if (language === 'en') {
+            // Silent endings: "make", "makes", "baked" (but not "table", "wanted")
+            text = text.replace(/(?:[^laeiouy]es|[^laeiouy]e|[^dt]ed)$/, match => match[0]);
+        } else if (language === 'fr') {
+            // Mute endings: "table", "tables", "parlent"
+            text = text.replace(/(?<=[^aeiouyàâäéèêëîïôöûùü])(e|es|ent)$/, '');
+        }
+
+        const groups = text.match(new RegExp(`[${config.vowels}]+`, 'g')) || [];
+        let count = groups.length;
+
+        if (language === 'es') {
+            // Two strong vowels form a hiatus and are two syllables ("po-e-ta")
+            groups.forEach(group => {
+                count += (group.match(/[aeoáéó](?=[aeoáéó])/g) || []).length;
+            });
+        }
+
+        return Math.max(1, count);
+    }
+
+    /**
+     * Calculates readability metrics for a text
+     * @param {string} text - Main content text, blocks separated by line breaks
+     * @param {string} lang - Declared page language (lang attribute)
+     * @returns {Object|null} Readability metrics or null when there is no text
+     */
+    analyze(text, lang = '') {
+        const sentences = this.splitSentences(text);
+        if (sentences.length === 0) return null;
+
+        const { language, isSupported } = this.resolveLanguage(lang);
+        const config = LANGUAGES[language];
+        const sentenceWords = sentences.map(sentence => this.getWords(sentence));
+        const words = sentenceWords.flat();
+        const syllableCounts = words.map(word => this.countSyllables(word, isSupported ? language : 'en'));
+        const syllables = syllableCounts.reduce((sum, count) => sum + count, 0);
+        const percentOfWords = count => (count / words.length) * 100;
+        const round = value => Math.round(value * 100) / 100;
+
+        const asl = words.length / sentences.length;
+        const asw = syllables / words.length;
+        const stats = {
+            polysyllablePercent: percentOfWords(syllableCounts.filter(count => count >= 3).length),
+            monosyllablePercent: percentOfWords(syllableCounts.filter(count => count === 1).length),
+            longWordPercent: percentOfWords(words.filter(word => word.length > 6).length)
+        };
+        const longSentences = sentenceWords.filter(list => list.length > this.longSentenceWords).length;
+        const passiveSentences = config ? sentences.filter(sentence => config.passive.test(sentence)).length : null;
+
+        return {
+            language,
+            isSupported,
+            sentences: sentences.length,
+            words: words.length,
+            syllables,
+            averageSentenceLength: round(asl),
+            averageWordLength: round(words.reduce((sum, word) => sum + word.length, 0) / words.length),
+            averageSyllablesPerWord: round(asw),
+            readingEase: config ? round(Math.max(0, Math.min(100, config.readingEase.calculate({ asl, asw, stats })))) : null,
+            readingEaseFormula: config ? config.readingEase.name : null,
+            gradeLevel: config ? round(Math.max(0, config.grade.calculate({ asl, asw, stats }))) : null,
+            gradeLevelFormula: config ? config.grade.name : null,
+            longSentenceRatio: round((longSentences / sentences.length) * 100),
+            passiveVoiceRatio: passiveSentences === null ? null : round((passiveSentences / sentences.length) * 100)
+        };
+    }
+}
+
+module.exports = { ReadabilityAnalyzer };
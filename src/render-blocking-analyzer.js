@@ -0,0 +1,217 @@
+/**
+ * Render Blocking Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Static analysis of the raw HTML for resources that delay the first render:
+ * synchronous scripts, blocking stylesheets, inline CSS/JS size, resource hints
+ * (preload, preconnect, dns-prefetch), third-party script origins and the position of
+ * `<meta charset>`. Works without a browser and turns the findings into recommendations.
+ */
+
+// Script types the browser executes, anything else (JSON-LD, templates) is inert
+const EXECUTABLE_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+const RESOURCE_HINTS = {
+    preload: 'preload',
+    modulepreload: 'modulePreload',
+    preconnect: 'preconnect',
+    'dns-prefetch': 'dnsPrefetch',
+    prefetch: 'prefetch'
+};
+
+class RenderBlockingAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxBlockingStylesheets - Blocking stylesheets in the head before they are reported
+     * @param {number} options.maxInlineBytes - Inline CSS or JS bytes before they are reported
+     * @param {number} options.charsetByteLimit - Bytes within which browsers look for the charset declaration
+     */
+    constructor({ maxBlockingStylesheets = 3, maxInlineBytes = 50000, charsetByteLimit = 1024 } = {}) {
+        this.maxBlockingStylesheets = maxBlockingStylesheets;
+        this.maxInlineBytes = maxInlineBytes;
+        this.charsetByteLimit = charsetByteLimit;
+    }
+
+    /**
+     * Host without a leading "www." so www and bare domain count as first party
+     */
+    getSiteHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    resolveUrl(href, baseUrl) {
+        try {
+            return new URL(href, baseUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stylesheets block rendering unless their media query never applies to the screen
+     */
+    isBlockingMedia(media) {
+        const value = String(media || '').trim().toLowerCase();
+        return !value || value.split(',').some(query => !/^(only\s+)?print\b/.test(query.trim()));
+    }
+
+    /**
+     * Analyzes render-blocking resources and the head order of a page
+     * @param {Object} $ - Cheerio instance of the raw HTML
+     * @param {string} url - Page URL, used to resolve resources and tell first from third party
+     * @param {string} html - Raw HTML, used for the byte offset of the charset declaration
+     * @returns {Object} Blocking resources, resource hints, inline sizes, third-party origins and issues
+     */
+    analyze($, url, html = '') {
+        const siteHost = this.getSiteHost(url);
+        const issues = [];
+
+        const syncScripts = [];
+        const inlineJs = { blocks: 0, bytes: 0 };
+        const thirdPartyOrigins = new Map();
+        $('script').each((i, el) => {
+            const $script = $(el);
+            const type = ($script.attr('type') || '').trim().toLowerCase();
+            if (!EXECUTABLE_SCRIPT_TYPES.includes(type)) return;
+
+            const src = $script.attr('src');
+            if (!src) {
+                const code = $script.html() || '';
+                if (code.trim()) {
+                    inlineJs.blocks++;
+                    inlineJs.bytes += Buffer.byteLength(code, 'utf8');
+                }
+                return;
+            }
+
+            const scriptUrl = this.resolveUrl(src, url);
+            const host = this.getSiteHost(scriptUrl);
+            const inHead = $script.closest('head').length > 0;
+            if (host && host !== siteHost) {
+                const origin = new URL(scriptUrl).origin;
+                if (!thirdPartyOrigins.has(origin)) thirdPartyOrigins.set(origin, { origin, scripts: 0, blockingResources: 0 });
+                thirdPartyOrigins.get(origin).scripts++;
+            }
+
+            // Module scripts are deferred by default
+            const isAsync = $script.attr('async') !== undefined || $script.attr('defer') !== undefined || type === 'module';
+            if (!isAsync) {
+                syncScripts.push({ src: scriptUrl || src, inHead });
+                if (inHead && host && host !== siteHost) thirdPartyOrigins.get(new URL(scriptUrl).origin).blockingResources++;
+            }
+        });
+
+        const blockingStylesheets = [];
+        $('link[rel]').filter((i, el) => /(^|\s)stylesheet(\s|$)/i.test($(el).attr('rel'))).each((i, el) => {
+            const $link = $(el);
+            const href = $link.attr('href');
+            if (!href || $link.attr('disabled') !== undefined || /(^|\s)alternate(\s|$)/i.test($link.attr('rel'))) return;
+            if (!this.isBlockingMedia($link.attr('media'))) return;
+
+            const stylesheetUrl = this.resolveUrl(href, url);
+            const inHead = $link.closest('head').length > 0;
+            blockingStylesheets.push({ href: stylesheetUrl || href, media: $link.attr('media') || null, inHead });
+
+            const host = this.getSiteHost(stylesheetUrl);
+            if (inHead && host && host !== siteHost) {
+                const origin = new URL(stylesheetUrl).origin;
+                if (!thirdPartyOrigins.has(origin)) thirdPartyOrigins.set(origin, { origin, scripts: 0, blockingResources: 0 });
+                thirdPartyOrigins.get(origin).blockingResources++;
+            }
+        });
+
+        const inlineCss = { blocks: 0, bytes: 0 };
+        $('style').each((i, el) => {
+            const css = $(el).html() || '';
+            if (!css.trim()) return;
+            inlineCss.blocks++;
+            inlineCss.bytes += Buffer.byteLength(css, 'utf8');
+        });
+
+        const resourceHints = { preload: [], modulePreload: [], preconnect: [], dnsPrefetch: [], prefetch: [] };
+        $('link[rel][href]').each((i, el) => {
+            const $link = $(el);
+            const href = this.resolveUrl($link.attr('href'), url) || $link.attr('href');
+            String($link.attr('rel')).toLowerCase().split(/\s+/).forEach(rel => {
+                const key = RESOURCE_HINTS[rel];
+                if (!key) return;
+                if (key === 'preload') {
+                    resourceHints.preload.push({ href, as: $link.attr('as') || null });
+                } else {
+                    resourceHints[key].push(href);
+                }
+            });
+        });
+        const hintedOrigins = new Set([...resourceHints.preconnect, ...resourceHints.dnsPrefetch]
+            .map(href => this.resolveUrl(href, url))
+            .filter(Boolean)
+            .map(href => new URL(href).origin));
+
+        const thirdPartyScripts = [...thirdPartyOrigins.values()].map(entry => ({
+            ...entry,
+            isPreconnected: hintedOrigins.has(entry.origin)
+        }));
+
+        // The charset has to be declared within the first bytes and before any text content
+        const $charset = $('meta[charset], meta[http-equiv]').filter((i, el) =>
+            $(el).attr('charset') !== undefined || /^content-type$/i.test($(el).attr('http-equiv'))).first();
+        const charsetMatch = String(html || '').match(/<meta[^>]+charset\s*=/i);
+        const headChildren = $('head').children().toArray();
+        const metaCharset = {
+            present: $charset.length > 0,
+            byteOffset: charsetMatch ? Buffer.byteLength(html.slice(0, charsetMatch.index), 'utf8') : null,
+            isFirstInHead: $charset.length > 0 && headChildren[0] === $charset.get(0)
+        };
+
+        const headScripts = syncScripts.filter(script => script.inHead);
+        const headStylesheets = blockingStylesheets.filter(stylesheet => stylesheet.inHead);
+        if (headScripts.length > 0) {
+            issues.push({
+                type: 'render_blocking_scripts',
+                message: `${headScripts.length} synchronous script(s) in <head>, add defer or async or move them to the end of <body>`
+            });
+        }
+        if (headStylesheets.length > this.maxBlockingStylesheets) {
+            issues.push({
+                type: 'render_blocking_stylesheets',
+                message: `${headStylesheets.length} render-blocking stylesheets, combine them or inline the critical CSS and load the rest asynchronously`
+            });
+        }
+        if (inlineCss.bytes > this.maxInlineBytes) {
+            issues.push({ type: 'large_inline_css', message: `${Math.round(inlineCss.bytes / 1000)} KB of inline CSS, keep only the critical CSS inline` });
+        }
+        if (inlineJs.bytes > this.maxInlineBytes) {
+            issues.push({ type: 'large_inline_js', message: `${Math.round(inlineJs.bytes / 1000)} KB of inline JavaScript, move it to cacheable external files` });
+        }
+        thirdPartyScripts.filter(entry => entry.blockingResources > 0 && !entry.isPreconnected).forEach(entry => {
+            issues.push({ type: 'missing_preconnect', message: `Add <link rel="preconnect"> for ${entry.origin}, it serves render-blocking resources` });
+        });
+        resourceHints.preload.filter(hint => !hint.as).forEach(hint => {
+            issues.push({ type: 'preload_without_as', message: `Preload of ${hint.href} has no "as" attribute and will be fetched twice` });
+        });
+        if (!metaCharset.present) {
+            issues.push({ type: 'missing_meta_charset', message: 'No <meta charset> declaration' });
+        } else if (metaCharset.byteOffset !== null && metaCharset.byteOffset >= this.charsetByteLimit) {
+            issues.push({ type: 'late_meta_charset', message: `<meta charset> starts at byte ${metaCharset.byteOffset}, it must be within the first ${this.charsetByteLimit} bytes` });
+        } else if (!metaCharset.isFirstInHead) {
+            issues.push({ type: 'meta_charset_not_first', message: '<meta charset> should be the first element in <head>' });
+        }
+
+        return {
+            syncScripts,
+            blockingStylesheets,
+            resourceHints,
+            inlineCss,
+            inlineJs,
+            thirdPartyScripts,
+            metaCharset,
+            issues
+        };
+    }
+}
+
+module.exports = { RenderBlockingAnalyzer };
@@ -0,0 +1,146 @@
+/**
+ * Render Comparator for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Compares the raw HTML returned by the server with the DOM rendered by
+ * a headless browser. Reports per-field differences for the SEO signals crawlers care
+ * about and flags content that only exists after JavaScript has run.
+ */
+
+const cheerio = require('cheerio');
+
+class RenderComparator {
+    /**
+     * @param {Object} seoAnalyzer - SEOAnalyzer instance whose extraction helpers are reused
+     */
+    constructor(seoAnalyzer) {
+        this.cheerio = cheerio;
+        this.seoAnalyzer = seoAnalyzer;
+    }
+
+    /**
+     * Extracts the comparable SEO signals from an HTML document
+     * @param {string} html - HTML document
+     * @param {string} url - Page URL used to resolve links
+     * @returns {Object} Extracted signals
+     */
+    extractSignals(html, url) {
+        const $ = this.cheerio.load(html || '');
+        const host = new URL(url).hostname;
+
+        const headings = {};
+        for (let i = 1; i <= 6; i++) {
+            headings[`h${i}`] = $(`h${i}`).map((_, el) => $(el).text().trim()).get().filter(Boolean);
+        }
+
+        const internalLinks = new Set();
+        const externalLinks = new Set();
+        $('a[href]').each((_, el) => {
+            try {
+                const link = new URL($(el).attr('href'), url);
+                if (!/^https?:$/.test(link.protocol)) return;
+                link.hash = '';
+                if (link.hostname === host) {
+                    internalLinks.add(link.href);
+                } else {
+                    externalLinks.add(link.href);
+                }
+            } catch (e) {
+                // Invalid URL, skip
+            }
+        });
+
+        return {
+            title: this.seoAnalyzer.extractTitle($),
+            description: this.seoAnalyzer.extractMetaDescription($),
+            canonical: $('link[rel="canonical"]').attr('href') || '',
+            robots: ($('meta[name="robots"]').attr('content') || '').toLowerCase().replace(/\s+/g, ''),
+            headings,
+            wordCount: this.seoAnalyzer.getWordCountWithoutHeaderFooter($),
+            internalLinks: [...internalLinks],
+            externalLinks: [...externalLinks]
+        };
+    }
+
+    compareText(raw, rendered) {
+        return {
+            raw,
+            rendered,
+            changed: raw !== rendered,
+            renderOnly: !raw && !!rendered
+        };
+    }
+
+    compareList(raw, rendered) {
+        const rawSet = new Set(raw);
+        const renderedSet = new Set(rendered);
+        const onlyInRendered = rendered.filter(item => !rawSet.has(item));
+        const onlyInRaw = raw.filter(item => !renderedSet.has(item));
+
+        return {
+            rawCount: raw.length,
+            renderedCount: rendered.length,
+            onlyInRenderedCount: onlyInRendered.length,
+            onlyInRawCount: onlyInRaw.length,
+            // Keep the report readable for link-heavy pages
+            onlyInRendered: onlyInRendered.slice(0, 50),
+            onlyInRaw: onlyInRaw.slice(0, 50),
+            changed: onlyInRendered.length > 0 || onlyInRaw.length > 0,
+            renderOnly: raw.length === 0 && rendered.length > 0
+        };
+    }
+
+    /**
+     * Compares raw and rendered HTML of the same URL
+     * @param {string} rawHtml - HTML as served without JavaScript
+     * @param {string} renderedHtml - Serialized DOM after rendering
+     * @param {string} url - Page URL
+     * @returns {Object} Per-field differences and summary flags
+     */
+    compare(rawHtml, renderedHtml, url) {
+        const raw = this.extractSignals(rawHtml, url);
+        const rendered = this.extractSignals(renderedHtml, url);
+
+        const allHeadings = signals => Object.keys(signals.headings)
+            .reduce((list, tag) => list.concat(signals.headings[tag].map(text => `${tag}: ${text}`)), []);
+
+        const wordDifference = rendered.wordCount - raw.wordCount;
+        const fields = {
+            title: this.compareText(raw.title, rendered.title),
+            description: this.compareText(raw.description, rendered.description),
+            canonical: this.compareText(raw.canonical, rendered.canonical),
+            robots: this.compareText(raw.robots, rendered.robots),
+            h1: this.compareList(raw.headings.h1, rendered.headings.h1),
+            headings: this.compareList(allHeadings(raw), allHeadings(rendered)),
+            wordCount: {
+                raw: raw.wordCount,
+                rendered: rendered.wordCount,
+                difference: wordDifference,
+                percentChange: raw.wordCount > 0 ? Math.round((wordDifference / raw.wordCount) * 100) : null,
+                changed: wordDifference !== 0,
+                // Most of the visible text is injected by JavaScript
+                renderOnly: rendered.wordCount > 0 && raw.wordCount < rendered.wordCount * 0.5
+            },
+            internalLinks: this.compareList(raw.internalLinks, rendered.internalLinks),
+            externalLinks: this.compareList(raw.externalLinks, rendered.externalLinks)
+        };
+
+        const changedFields = Object.keys(fields).filter(field => fields[field].changed);
+        const renderOnlyFields = Object.keys(fields).filter(field => fields[field].renderOnly);
+
+        // Robots directives that differ between raw and rendered HTML are ambiguous for crawlers
+        const robotsConflict = fields.robots.changed &&
+            (raw.robots.includes('noindex') || rendered.robots.includes('noindex'));
+
+        return {
+            fields,
+            changedFields,
+            renderOnlyFields,
+            renderedOnlyInternalLinks: fields.internalLinks.onlyInRenderedCount,
+            robotsConflict,
+            isJavaScriptDependent: renderOnlyFields.length > 0 || fields.internalLinks.onlyInRenderedCount > 0
+        };
+    }
+}
+
+module.exports = { RenderComparator };
@@ -0,0 +1,214 @@
+/**
+ * Rich Results Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Checks normalized structured data entities against the field requirements
+ * of Google rich result types and reports which rich results a page is likely eligible
+ * for and which required fields are missing for the others.
+ */
+
+const { SCHEMA_VOCABULARY } = require('./schema-vocabulary');
+
+// Requirements are property paths ("reviewRating.ratingValue"), "a|b" accepts any alternative.
+// A path is satisfied when at least one of its values is present.
+const RICH_RESULT_TYPES = [
+    {
+        name: 'Product',
+        schemaTypes: ['Product'],
+        required: ['name', 'offers|review|aggregateRating'],
+        recommended: ['image', 'description', 'brand', 'sku|gtin|gtin8|gtin12|gtin13|gtin14|mpn', 'offers.price|offers.lowPrice', 'offers.priceCurrency', 'offers.availability']
+    },
+    {
+        name: 'Review snippet',
+        schemaTypes: ['Review'],
+        required: ['author', 'reviewRating.ratingValue', 'itemReviewed|@nested'],
+        recommended: ['datePublished', 'reviewRating.bestRating']
+    },
+    {
+        name: 'Review snippet',
+        schemaTypes: ['AggregateRating'],
+        required: ['ratingValue', 'ratingCount|reviewCount', 'itemReviewed|@nested'],
+        recommended: ['bestRating', 'worstRating']
+    },
+    {
+        name: 'FAQ',
+        schemaTypes: ['FAQPage'],
+        required: ['mainEntity', 'mainEntity.name', 'mainEntity.acceptedAnswer.text'],
+        recommended: []
+    },
+    {
+        name: 'HowTo',
+        schemaTypes: ['HowTo'],
+        excludedSchemaTypes: ['Recipe'],
+        required: ['name', 'step'],
+        recommended: ['image', 'totalTime', 'supply', 'tool', 'step.text|step.itemListElement']
+    },
+    {
+        name: 'Breadcrumb',
+        schemaTypes: ['BreadcrumbList'],
+        required: ['itemListElement', 'itemListElement.position', 'itemListElement.name|itemListElement.item.name'],
+        recommended: ['itemListElement.item']
+    },
+    {
+        name: 'Article',
+        schemaTypes: ['Article'],
+        required: [],
+        recommended: ['headline', 'image', 'author', 'author.name', 'datePublished', 'dateModified']
+    },
+    {
+        name: 'Event',
+        schemaTypes: ['Event'],
+        required: ['name', 'startDate', 'location', 'location.name|location.address|location.url'],
+        recommended: ['description', 'endDate', 'image', 'offers', 'organizer', 'performer', 'eventStatus', 'eventAttendanceMode']
+    },
+    {
+        name: 'LocalBusiness',
+        schemaTypes: ['LocalBusiness'],
+        required: ['name', 'address'],
+        recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification|openingHours', 'priceRange', 'image', 'address.streetAddress', 'address.postalCode']
+    },
+    {
+        name: 'Recipe',
+        schemaTypes: ['Recipe'],
+        required: ['name', 'image'],
+        recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'aggregateRating', 'totalTime', 'recipeYield', 'nutrition.calories']
+    },
+    {
+        name: 'VideoObject',
+        schemaTypes: ['VideoObject'],
+        required: ['name', 'thumbnailUrl', 'uploadDate'],
+        recommended: ['description', 'contentUrl|embedUrl', 'duration']
+    }
+];
+
+class RichResultsAnalyzer {
+    constructor(vocabulary = SCHEMA_VOCABULARY, richResultTypes = RICH_RESULT_TYPES) {
+        this.vocabulary = vocabulary;
+        this.richResultTypes = richResultTypes;
+    }
+
+    /**
+     * Checks whether a schema.org type is the target type or one of its subtypes
+     */
+    isTypeOf(type, target) {
+        let current = type;
+        while (current) {
+            if (current === target) return true;
+            current = this.vocabulary[current] ? this.vocabulary[current].parent : null;
+        }
+        return false;
+    }
+
+    isEntity(value) {
+        return !!value && typeof value === 'object' && Array.isArray(value.types) && !!value.properties;
+    }
+
+    /**
+     * Lists every entity with its nesting information
+     */
+    flattenEntities(entities, nested = false, list = []) {
+        entities.forEach(entity => {
+            list.push({ entity, nested });
+            Object.values(entity.properties).forEach(values => {
+                this.flattenEntities(values.filter(value => this.isEntity(value)), true, list);
+            });
+        });
+        return list;
+    }
+
+    /**
+     * Resolves a property path on an entity, following @id references to other entities
+     * @returns {Array} Values found at the end of the path
+     */
+    resolvePath(entity, path, entitiesById) {
+        let current = [entity];
+
+        for (const property of path.split('.')) {
+            const next = [];
+            current.forEach(value => {
+                const target = value && value.id && !value.properties ? entitiesById.get(value.id) : value;
+                if (this.isEntity(target)) {
+                    (target.properties[property] || []).forEach(item => next.push(item));
+                }
+            });
+            current = next;
+        }
+
+        return current.filter(value => value !== '' && value !== null && value !== undefined);
+    }
+
+    isRequirementMet(entity, requirement, nested, entitiesById) {
+        return requirement.split('|').some(path => {
+            // Reviews and ratings nested inside the reviewed item do not need itemReviewed
+            if (path === '@nested') return nested;
+            return this.resolvePath(entity, path, entitiesById).length > 0;
+        });
+    }
+
+    /**
+     * Reports rich result eligibility for the structured data entities of a page
+     * @param {Object[]} entities - Normalized top-level entities from StructuredDataAnalyzer
+     * @returns {Object} { eligibleTypes, candidates, byType }
+     */
+    analyze(entities = []) {
+        const flattened = this.flattenEntities(entities);
+        const entitiesById = new Map();
+        flattened.forEach(({ entity }) => {
+            if (entity.id && !entitiesById.has(entity.id)) entitiesById.set(entity.id, entity);
+        });
+
+        const describe = requirement => requirement.replace('|@nested', '').split('|').join(' or ');
+        const candidates = [];
+
+        flattened.forEach(({ entity, nested }) => {
+            this.richResultTypes.forEach(definition => {
+                const matches = entity.types.some(type => definition.schemaTypes.some(target => this.isTypeOf(type, target)));
+                const excluded = (definition.excludedSchemaTypes || [])
+                    .some(excludedType => entity.types.some(type => this.isTypeOf(type, excludedType)));
+                if (!matches || excluded) return;
+
+                const missingRequired = definition.required
+                    .filter(requirement => !this.isRequirementMet(entity, requirement, nested, entitiesById))
+                    .map(describe);
+                const missingRecommended = definition.recommended
+                    .filter(requirement => !this.isRequirementMet(entity, requirement, nested, entitiesById))
+                    .map(describe);
+
+                candidates.push({
+                    richResultType: definition.name,
+                    schemaType: entity.types.join(','),
+                    format: entity.format,
+                    path: entity.path,
+                    eligible: missingRequired.length === 0,
+                    missingRequired,
+                    missingRecommended
+                });
+            });
+        });
+
+        // One summary per rich result type, the best candidate wins
+        const byType = {};
+        candidates.forEach(candidate => {
+            const current = byType[candidate.richResultType];
+            if (!current || (!current.eligible && candidate.eligible) ||
+                (current.eligible === candidate.eligible && candidate.missingRequired.length < current.missingRequired.length)) {
+                byType[candidate.richResultType] = {
+                    eligible: candidate.eligible,
+                    missingRequired: candidate.missingRequired,
+                    missingRecommended: candidate.missingRecommended
+                };
+            }
+        });
+        Object.keys(byType).forEach(type => {
+            byType[type].candidates = candidates.filter(candidate => candidate.richResultType === type).length;
+        });
+
+        return {
+            eligibleTypes: Object.keys(byType).filter(type => byType[type].eligible),
+            byType,
+            candidates
+        };
+    }
+}
+
+module.exports = { RichResultsAnalyzer };
@@ -0,0 +1,146 @@
+/**
+ * Robots.txt Checker for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Fetches and parses robots.txt once per origin using robots-parser,
+ * and answers whether a URL may be crawled by the configured user agent and
+ * which Crawl-delay applies to its host. A robots.txt that is unreachable (server
+ * error, 429, network error or timeout) disallows the whole origin (RFC 9309).
+ */
+
+const axios = require('axios');
+const robotsParser = require('robots-parser');
+
+class RobotsChecker {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - Full User-Agent header used for crawling
+     * @param {number} options.timeout - Request timeout for robots.txt in milliseconds
+     */
+    constructor({ userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)', timeout = 10000 } = {}) {
+        this.axios = axios;
+        this.userAgent = userAgent;
+        this.robotsAgent = this.getRobotsUserAgent(userAgent);
+        this.timeout = timeout;
+        this.cache = new Map();
+    }
+
+    /**
+     * Extracts the product token robots.txt groups are matched against.
+     * "Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)" becomes "MSD-SEO-Audit".
+     * @param {string} userAgent - Full User-Agent header
+     * @returns {string} Product token
+     */
+    getRobotsUserAgent(userAgent) {
+        const ua = String(userAgent || '').trim();
+        const compatibleMatch = ua.match(/compatible;\s*([^\/;)\s]+)/i);
+        if (compatibleMatch) {
+            return compatibleMatch[1];
+        }
+        return ua.split(/[\/\s]/)[0] || '*';
+    }
+
+    /**
+     * Loads robots.txt for an origin. Concurrent callers share the same request.
+     * @param {string} origin - Origin such as https://example.com
+     * @returns {Promise<Object>} Robots info for the origin
+     */
+    getRobots(origin) {
+        if (!this.cache.has(origin)) {
+            this.cache.set(origin, this.fetchRobots(origin));
+        }
+        return this.cache.get(origin);
+    }
+
+    async fetchRobots(origin) {
+        const robotsUrl = `${origin}/robots.txt`;
+        const info = {
+            robotsUrl,
+            hasRobotsTxt: false,
+            statusCode: null,
+            crawlDelay: null,
+            sitemaps: [],
+            parser: robotsParser(robotsUrl, ''),
+            disallowAll: false,
+            error: null
+        };
+
+        try {
+            const response = await this.axios.get(robotsUrl, {
+                timeout: this.timeout,
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'text/plain, */*'
+                },
+                responseType: 'text',
+                validateStatus: () => true
+            });
+
+            info.statusCode = response.status;
+
+            // A server error or rate limit means the site may not be crawled at all until
+            // robots.txt is available again, a missing robots.txt (4xx) means everything may be crawled
+            if (response.status >= 500 || response.status === 429) {
+                info.disallowAll = true;
+                info.error = `robots.txt returned status ${response.status}, all URLs are treated as disallowed`;
+                console.warn(`${info.error} for ${origin}`);
+            } else if (response.status >= 200 && response.status < 300 && typeof response.data === 'string') {
+                info.hasRobotsTxt = true;
+                info.parser = robotsParser(robotsUrl, response.data);
+                info.crawlDelay = info.parser.getCrawlDelay(this.robotsAgent) ?? null;
+                info.sitemaps = info.parser.getSitemaps();
+            }
+        } catch (error) {
+            // An unreachable robots.txt is treated like a server error
+            info.disallowAll = true;
+            info.error = `Could not fetch robots.txt: ${error.message}, all URLs are treated as disallowed`;
+            console.warn(`${info.error} for ${origin}`);
+        }
+
+        return info;
+    }
+
+    /**
+     * Checks whether a URL may be crawled according to its origin's robots.txt
+     * @param {string} url - Absolute URL
+     * @returns {Promise<Object>} { allowed, blockedByRobotsTxt, robotsTxtLine }
+     */
+    async check(url) {
+        const origin = new URL(url).origin;
+        const robots = await this.getRobots(origin);
+        if (robots.disallowAll) {
+            return { allowed: false, blockedByRobotsTxt: true, robotsTxtLine: null };
+        }
+
+        // robots-parser returns undefined for URLs outside the robots.txt scope
+        const allowed = robots.parser.isAllowed(url, this.robotsAgent) !== false;
+        const lineNumber = robots.parser.getMatchingLineNumber(url, this.robotsAgent);
+
+        return {
+            allowed,
+            blockedByRobotsTxt: !allowed,
+            robotsTxtLine: lineNumber > 0 ? lineNumber : null
+        };
+    }
+
+    /**
+     * Creates the domain-level robots.txt summary for an origin
+     */
+    async createRobotsSummary(origin, skippedUrls = []) {
+        const robots = await this.getRobots(origin);
+        return {
+            robots_txt_url: robots.robotsUrl,
+            has_robots_txt: robots.hasRobotsTxt,
+            robots_txt_status_code: robots.statusCode,
+            disallows_all_urls: robots.disallowAll,
+            robots_user_agent: this.robotsAgent,
+            crawl_delay: robots.crawlDelay,
+            sitemaps: robots.sitemaps,
+            skipped_urls: skippedUrls,
+            skipped_urls_count: skippedUrls.length,
+            error: robots.error
+        };
+    }
+}
+
+module.exports = { RobotsChecker };
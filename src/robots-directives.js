@@ -0,0 +1,202 @@
+/**
+ * Robots Directives Parser for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Parses indexing directives from `<meta name="robots">` (and bot specific
+ * meta tags such as `<meta name="googlebot">`) and from the `X-Robots-Tag` HTTP header
+ * into a structured form, and merges them into the effective directives a crawler applies.
+ */
+
+// Directives that carry a value after a colon, e.g. "max-snippet: 50"
+const VALUE_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+// Boolean directives search engines document
+const FLAG_DIRECTIVES = [
+    'all', 'none', 'index', 'noindex', 'follow', 'nofollow', 'noarchive', 'nocache',
+    'nosnippet', 'noimageindex', 'notranslate', 'indexifembedded', 'noodp', 'noydir'
+];
+
+class RobotsDirectivesParser {
+    createEmptyDirectives() {
+        return {
+            noindex: false,
+            nofollow: false,
+            noarchive: false,
+            nosnippet: false,
+            noimageindex: false,
+            notranslate: false,
+            maxSnippet: null,
+            maxImagePreview: null,
+            maxVideoPreview: null,
+            unavailableAfter: null,
+            other: []
+        };
+    }
+
+    /**
+     * Applies a single directive token to a directives object
+     */
+    applyDirective(directives, name, value = null) {
+        switch (name) {
+            case 'none':
+                directives.noindex = true;
+                directives.nofollow = true;
+                break;
+            case 'noindex':
+            case 'nofollow':
+            case 'noarchive':
+            case 'nosnippet':
+            case 'noimageindex':
+            case 'notranslate':
+                directives[name] = true;
+                break;
+            case 'nocache':
+                directives.noarchive = true;
+                break;
+            case 'max-snippet': {
+                const snippet = parseInt(value, 10);
+                directives.maxSnippet = Number.isNaN(snippet) ? null : snippet;
+                // max-snippet:0 is equivalent to nosnippet
+                if (snippet === 0) directives.nosnippet = true;
+                break;
+            }
+            case 'max-video-preview': {
+                const preview = parseInt(value, 10);
+                directives.maxVideoPreview = Number.isNaN(preview) ? null : preview;
+                break;
+            }
+            case 'max-image-preview':
+                directives.maxImagePreview = value ? value.toLowerCase() : null;
+                break;
+            case 'unavailable_after': {
+                const date = new Date(value);
+                directives.unavailableAfter = value || null;
+                // Pages past their unavailable_after date drop out of the index
+                if (value && !Number.isNaN(date.getTime()) && date < new Date()) {
+                    directives.noindex = true;
+                }
+                break;
+            }
+            case 'all':
+            case 'index':
+            case 'follow':
+                break;
+            default:
+                if (name && !directives.other.includes(name)) directives.other.push(name);
+        }
+    }
+
+    /**
+     * Parses a directives string such as "noindex, googlebot: nofollow, max-snippet: 20".
+     * A "botname:" prefix scopes all following directives to that bot until the next prefix.
+     * @param {string} content - Meta content or X-Robots-Tag header value
+     * @param {string} defaultBot - Bot the unprefixed directives apply to ('*' for all)
+     * @returns {Object} { raw, directives, perBot }
+     */
+    parse(content, defaultBot = '*') {
+        const raw = Array.isArray(content) ? content.join(', ') : String(content || '').trim();
+        const scopes = {};
+        const getScope = bot => {
+            if (!scopes[bot]) scopes[bot] = this.createEmptyDirectives();
+            return scopes[bot];
+        };
+
+        let currentBot = defaultBot;
+        let lastValueDirective = null;
+
+        for (const part of raw.split(',')) {
+            let token = part.trim();
+            if (!token) continue;
+
+            const colonMatch = token.match(/^([a-z0-9_.-]+)\s*:\s*(.*)$/i);
+            const firstWord = (colonMatch ? colonMatch[1] : token).toLowerCase();
+
+            // Commas inside unavailable_after dates ("Wednesday, 03-Nov-2021 ...")
+            if (lastValueDirective === 'unavailable_after' && !colonMatch &&
+                !FLAG_DIRECTIVES.includes(firstWord)) {
+                const scope = getScope(currentBot);
+                this.applyDirective(scope, 'unavailable_after', `${scope.unavailableAfter}, ${token}`);
+                continue;
+            }
+            lastValueDirective = null;
+
+            if (colonMatch && !VALUE_DIRECTIVES.includes(firstWord)) {
+                // "googlebot: noindex" switches the scope to a specific bot
+                currentBot = firstWord;
+                token = colonMatch[2].trim();
+                if (!token) continue;
+            }
+
+            const directiveMatch = token.match(/^([a-z_-]+)\s*(?::\s*(.*))?$/i);
+            if (!directiveMatch) continue;
+
+            const name = directiveMatch[1].toLowerCase();
+            this.applyDirective(getScope(currentBot), name, directiveMatch[2] ? directiveMatch[2].trim() : null);
+            if (VALUE_DIRECTIVES.includes(name)) lastValueDirective = name;
+        }
+
+        const directives = scopes['*'] || this.createEmptyDirectives();
+        const perBot = {};
+        Object.keys(scopes).filter(bot => bot !== '*').forEach(bot => {
+            perBot[bot] = scopes[bot];
+        });
+
+        return { raw, directives, perBot };
+    }
+
+    /**
+     * Merges several directive sets, the most restrictive value wins
+     * @param {Object[]} directiveSets - Directive objects created by `parse`
+     * @returns {Object} Merged directives
+     */
+    merge(directiveSets) {
+        const merged = this.createEmptyDirectives();
+        const previewRank = { none: 0, standard: 1, large: 2 };
+        const minOf = (a, b) => (a === null ? b : (b === null ? a : Math.min(a, b)));
+
+        for (const set of directiveSets.filter(Boolean)) {
+            ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex', 'notranslate'].forEach(flag => {
+                merged[flag] = merged[flag] || set[flag];
+            });
+            merged.maxSnippet = minOf(merged.maxSnippet, set.maxSnippet);
+            merged.maxVideoPreview = minOf(merged.maxVideoPreview, set.maxVideoPreview);
+            if (set.maxImagePreview && (merged.maxImagePreview === null ||
+                (previewRank[set.maxImagePreview] ?? 2) < (previewRank[merged.maxImagePreview] ?? 2))) {
+                merged.maxImagePreview = set.maxImagePreview;
+            }
+            merged.unavailableAfter = merged.unavailableAfter || set.unavailableAfter;
+            set.other.forEach(name => {
+                if (!merged.other.includes(name)) merged.other.push(name);
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * Combines meta robots tags and the X-Robots-Tag header into the directives
+     * a given crawler applies
+     * @param {Object} options
+     * @param {Object} options.meta - Parsed meta robots (generic directives plus per-bot meta tags)
+     * @param {Object} options.header - Parsed X-Robots-Tag header
+     * @param {string} options.bot - Crawler to evaluate for, e.g. 'googlebot'
+     * @returns {Object} Effective directives with isIndexable/isFollowable flags
+     */
+    getEffectiveDirectives({ meta, header, bot = 'googlebot' }) {
+        const effective = this.merge([
+            meta?.directives,
+            meta?.perBot?.[bot],
+            header?.directives,
+            header?.perBot?.[bot]
+        ]);
+
+        return {
+            ...effective,
+            bot,
+            isIndexable: !effective.noindex,
+            isFollowable: !effective.nofollow
+        };
+    }
+}
+
+module.exports = { RobotsDirectivesParser };
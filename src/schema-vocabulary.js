@@ -0,0 +1,313 @@
+/**
+ * Schema.org Vocabulary Subset for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Bundled subset of the schema.org vocabulary covering the types search
+ * engines use for rich results. Every type lists its parent type, the properties it
+ * defines and the properties Google documents as required or recommended. Required
+ * entries written as "a|b" are satisfied by any one of the alternatives. Properties
+ * and requirements are inherited from parent types.
+ */
+
+const SCHEMA_VOCABULARY = {
+    Thing: {
+        parent: null,
+        properties: [
+            'name', 'description', 'url', 'image', 'sameAs', 'identifier', 'alternateName',
+            'additionalType', 'disambiguatingDescription', 'mainEntityOfPage', 'potentialAction', 'subjectOf'
+        ],
+        required: [],
+        recommended: []
+    },
+    CreativeWork: {
+        parent: 'Thing',
+        properties: [
+            'author', 'creator', 'publisher', 'datePublished', 'dateModified', 'dateCreated', 'headline',
+            'keywords', 'inLanguage', 'about', 'mainEntity', 'aggregateRating', 'review', 'text', 'thumbnailUrl',
+            'copyrightHolder', 'copyrightYear', 'license', 'isPartOf', 'hasPart', 'genre', 'video', 'audio',
+            'comment', 'commentCount', 'contentLocation', 'contributor', 'editor', 'encoding', 'isAccessibleForFree',
+            'offers', 'position', 'provider', 'version', 'speakable', 'citation', 'abstract', 'accessibilityFeature'
+        ],
+        required: [],
+        recommended: []
+    },
+    Article: {
+        parent: 'CreativeWork',
+        properties: ['articleBody', 'articleSection', 'wordCount', 'pageStart', 'pageEnd', 'backstory'],
+        required: ['headline'],
+        recommended: ['image', 'author', 'datePublished', 'dateModified', 'publisher']
+    },
+    NewsArticle: {
+        parent: 'Article',
+        properties: ['dateline', 'printColumn', 'printEdition', 'printPage', 'printSection'],
+        required: [],
+        recommended: []
+    },
+    BlogPosting: {
+        parent: 'Article',
+        properties: [],
+        required: [],
+        recommended: []
+    },
+    WebPage: {
+        parent: 'CreativeWork',
+        properties: [
+            'breadcrumb', 'lastReviewed', 'primaryImageOfPage', 'relatedLink', 'reviewedBy',
+            'significantLink', 'specialty', 'mainContentOfPage'
+        ],
+        required: [],
+        recommended: []
+    },
+    WebSite: {
+        parent: 'CreativeWork',
+        properties: ['issn'],
+        required: ['name|url'],
+        recommended: []
+    },
+    FAQPage: {
+        parent: 'WebPage',
+        properties: [],
+        required: ['mainEntity'],
+        recommended: []
+    },
+    Question: {
+        parent: 'CreativeWork',
+        properties: ['acceptedAnswer', 'suggestedAnswer', 'answerCount', 'upvoteCount', 'downvoteCount'],
+        required: ['name', 'acceptedAnswer|suggestedAnswer'],
+        recommended: []
+    },
+    Answer: {
+        parent: 'CreativeWork',
+        properties: ['upvoteCount', 'downvoteCount', 'parentItem'],
+        required: ['text'],
+        recommended: []
+    },
+    HowTo: {
+        parent: 'CreativeWork',
+        properties: ['step', 'supply', 'tool', 'totalTime', 'prepTime', 'performTime', 'estimatedCost', 'yield'],
+        required: ['name', 'step'],
+        recommended: ['image', 'totalTime', 'supply', 'tool']
+    },
+    HowToStep: {
+        parent: 'CreativeWork',
+        properties: ['itemListElement', 'nextItem', 'previousItem'],
+        required: ['text|itemListElement'],
+        recommended: ['name', 'url', 'image']
+    },
+    Recipe: {
+        parent: 'HowTo',
+        properties: [
+            'recipeIngredient', 'recipeInstructions', 'recipeCategory', 'recipeCuisine', 'recipeYield',
+            'cookTime', 'cookingMethod', 'nutrition', 'suitableForDiet', 'ingredients'
+        ],
+        required: ['name', 'image'],
+        recommended: [
+            'author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions',
+            'aggregateRating', 'totalTime', 'recipeYield'
+        ]
+    },
+    MediaObject: {
+        parent: 'CreativeWork',
+        properties: [
+            'contentUrl', 'embedUrl', 'duration', 'uploadDate', 'encodingFormat', 'contentSize',
+            'width', 'height', 'bitrate', 'playerType', 'regionsAllowed'
+        ],
+        required: [],
+        recommended: []
+    },
+    ImageObject: {
+        parent: 'MediaObject',
+        properties: ['caption', 'exifData', 'representativeOfPage'],
+        required: ['contentUrl|url'],
+        recommended: []
+    },
+    VideoObject: {
+        parent: 'MediaObject',
+        properties: ['caption', 'transcript', 'videoQuality', 'actor', 'director', 'musicBy', 'interactionStatistic'],
+        required: ['name', 'thumbnailUrl', 'uploadDate'],
+        recommended: ['description', 'contentUrl', 'embedUrl', 'duration']
+    },
+    Review: {
+        parent: 'CreativeWork',
+        properties: ['itemReviewed', 'reviewRating', 'reviewBody', 'reviewAspect', 'positiveNotes', 'negativeNotes'],
+        required: ['author', 'reviewRating'],
+        recommended: ['itemReviewed', 'datePublished']
+    },
+    Rating: {
+        parent: 'Thing',
+        properties: ['ratingValue', 'bestRating', 'worstRating', 'author', 'ratingExplanation', 'reviewAspect'],
+        required: ['ratingValue'],
+        recommended: ['bestRating', 'worstRating']
+    },
+    AggregateRating: {
+        parent: 'Rating',
+        properties: ['itemReviewed', 'ratingCount', 'reviewCount'],
+        required: ['ratingCount|reviewCount'],
+        recommended: []
+    },
+    Product: {
+        parent: 'Thing',
+        properties: [
+            'brand', 'offers', 'review', 'aggregateRating', 'sku', 'gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14',
+            'mpn', 'color', 'material', 'model', 'category', 'weight', 'height', 'width', 'depth',
+            'manufacturer', 'productID', 'releaseDate', 'itemCondition', 'isRelatedTo', 'isSimilarTo',
+            'audience', 'award', 'logo', 'pattern', 'size', 'hasVariant', 'isVariantOf', 'additionalProperty'
+        ],
+        required: ['name'],
+        recommended: ['image', 'description', 'offers', 'brand', 'sku', 'aggregateRating', 'review']
+    },
+    Offer: {
+        parent: 'Thing',
+        properties: [
+            'price', 'priceCurrency', 'priceValidUntil', 'availability', 'itemCondition', 'seller', 'itemOffered',
+            'priceSpecification', 'validFrom', 'validThrough', 'sku', 'gtin', 'mpn', 'category',
+            'shippingDetails', 'hasMerchantReturnPolicy', 'eligibleRegion', 'areaServed', 'inventoryLevel'
+        ],
+        required: ['price|priceSpecification'],
+        recommended: ['priceCurrency', 'availability', 'priceValidUntil']
+    },
+    AggregateOffer: {
+        parent: 'Offer',
+        properties: ['lowPrice', 'highPrice', 'offerCount', 'offers'],
+        required: ['lowPrice', 'priceCurrency'],
+        recommended: ['highPrice', 'offerCount']
+    },
+    Brand: {
+        parent: 'Thing',
+        properties: ['logo', 'slogan', 'aggregateRating', 'review'],
+        required: ['name'],
+        recommended: []
+    },
+    Organization: {
+        parent: 'Thing',
+        properties: [
+            'logo', 'address', 'telephone', 'email', 'contactPoint', 'founder', 'foundingDate', 'legalName',
+            'vatID', 'taxID', 'numberOfEmployees', 'parentOrganization', 'subOrganization', 'department',
+            'member', 'brand', 'aggregateRating', 'review', 'areaServed', 'award', 'duns', 'globalLocationNumber',
+            'iso6523Code', 'leiCode', 'naics', 'location', 'slogan', 'knowsAbout', 'hasOfferCatalog'
+        ],
+        required: [],
+        recommended: ['name', 'url', 'logo']
+    },
+    LocalBusiness: {
+        parent: 'Organization',
+        properties: ['openingHours', 'openingHoursSpecification', 'priceRange', 'geo', 'hasMap', 'currenciesAccepted', 'paymentAccepted', 'servesCuisine', 'menu', 'acceptsReservations'],
+        required: ['name', 'address'],
+        recommended: ['telephone', 'geo', 'openingHoursSpecification', 'url', 'priceRange', 'image']
+    },
+    Restaurant: {
+        parent: 'LocalBusiness',
+        properties: [],
+        required: [],
+        recommended: ['servesCuisine', 'menu']
+    },
+    Store: {
+        parent: 'LocalBusiness',
+        properties: [],
+        required: [],
+        recommended: []
+    },
+    Person: {
+        parent: 'Thing',
+        properties: [
+            'givenName', 'familyName', 'additionalName', 'jobTitle', 'worksFor', 'affiliation', 'alumniOf',
+            'address', 'email', 'telephone', 'birthDate', 'gender', 'nationality', 'knowsAbout', 'honorificPrefix',
+            'honorificSuffix', 'award', 'memberOf', 'colleague', 'knowsLanguage'
+        ],
+        required: ['name'],
+        recommended: []
+    },
+    Place: {
+        parent: 'Thing',
+        properties: ['address', 'geo', 'telephone', 'hasMap', 'openingHoursSpecification', 'containedInPlace', 'latitude', 'longitude'],
+        required: [],
+        recommended: ['name', 'address']
+    },
+    PostalAddress: {
+        parent: 'Thing',
+        properties: ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry', 'postOfficeBoxNumber', 'telephone', 'email'],
+        required: [],
+        recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry']
+    },
+    GeoCoordinates: {
+        parent: 'Thing',
+        properties: ['latitude', 'longitude', 'elevation', 'address', 'postalCode', 'addressCountry'],
+        required: ['latitude', 'longitude'],
+        recommended: []
+    },
+    Event: {
+        parent: 'Thing',
+        properties: [
+            'startDate', 'endDate', 'location', 'organizer', 'performer', 'offers', 'eventStatus',
+            'eventAttendanceMode', 'duration', 'doorTime', 'previousStartDate', 'superEvent', 'subEvent',
+            'attendee', 'audience', 'inLanguage', 'isAccessibleForFree', 'maximumAttendeeCapacity', 'sponsor'
+        ],
+        required: ['name', 'startDate', 'location'],
+        recommended: ['description', 'endDate', 'image', 'offers', 'organizer', 'performer', 'eventStatus']
+    },
+    ItemList: {
+        parent: 'Thing',
+        properties: ['itemListElement', 'itemListOrder', 'numberOfItems'],
+        required: ['itemListElement'],
+        recommended: []
+    },
+    BreadcrumbList: {
+        parent: 'ItemList',
+        properties: [],
+        required: [],
+        recommended: []
+    },
+    ListItem: {
+        parent: 'Thing',
+        properties: ['item', 'position', 'nextItem', 'previousItem'],
+        required: ['position'],
+        recommended: ['name|item']
+    },
+    Action: {
+        parent: 'Thing',
+        properties: ['target', 'agent', 'object', 'result', 'actionStatus', 'startTime', 'endTime'],
+        required: [],
+        recommended: []
+    },
+    SearchAction: {
+        parent: 'Action',
+        properties: ['query', 'query-input'],
+        required: ['target'],
+        recommended: ['query-input']
+    },
+    ContactPoint: {
+        parent: 'Thing',
+        properties: ['telephone', 'email', 'contactType', 'areaServed', 'availableLanguage', 'contactOption', 'hoursAvailable'],
+        required: [],
+        recommended: ['contactType']
+    },
+    OpeningHoursSpecification: {
+        parent: 'Thing',
+        properties: ['dayOfWeek', 'opens', 'closes', 'validFrom', 'validThrough'],
+        required: [],
+        recommended: ['dayOfWeek', 'opens', 'closes']
+    },
+    NutritionInformation: {
+        parent: 'Thing',
+        properties: [
+            'calories', 'carbohydrateContent', 'cholesterolContent', 'fatContent', 'fiberContent', 'proteinContent',
+            'saturatedFatContent', 'servingSize', 'sodiumContent', 'sugarContent', 'transFatContent', 'unsaturatedFatContent'
+        ],
+        required: [],
+        recommended: []
+    },
+    PriceSpecification: {
+        parent: 'Thing',
+        properties: ['price', 'priceCurrency', 'minPrice', 'maxPrice', 'validFrom', 'validThrough', 'valueAddedTaxIncluded'],
+        required: [],
+        recommended: []
+    },
+    InteractionCounter: {
+        parent: 'Thing',
+        properties: ['interactionType', 'userInteractionCount', 'interactionService'],
+        required: [],
+        recommended: []
+    }
+};
+
+module.exports = { SCHEMA_VOCABULARY };
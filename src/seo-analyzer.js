@@ -8,10 +8,45 @@
  */
 
 const cheerio = require('cheerio');
+const { RobotsDirectivesParser } = require('./robots-directives');
+const { StructuredDataAnalyzer } = require('./structured-data-analyzer');
+const { RichResultsAnalyzer } = require('./rich-results-analyzer');
+const { HreflangAnalyzer } = require('./hreflang-analyzer');
+const { CanonicalAnalyzer } = require('./canonical-analyzer');
+const { DuplicateContentAnalyzer } = require('./duplicate-content-analyzer');
+const { ReadabilityAnalyzer } = require('./readability-analyzer');
+const { KeywordAnalyzer } = require('./keyword-analyzer');
+const { LanguageDetector } = require('./language-detector');
+const { AccessibilityAnalyzer } = require('./accessibility-analyzer');
+const { ImageAnalyzer } = require('./image-analyzer');
+const { RenderBlockingAnalyzer } = require('./render-blocking-analyzer');
+const { PageFetcher } = require('./page-fetcher');
+
+// Link checks running at the same time against one host, shared by all pages of the crawl
+const MAX_LINK_CHECKS_PER_HOST = 2;
 
 class SEOAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.targetKeywords - URL (pattern) to target keyword mappings
+     * @param {string} options.userAgent - User-Agent header for image and link check requests
+     */
+    constructor({ targetKeywords = [], userAgent = 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)' } = {}) {
         this.cheerio = cheerio;
+        this.robotsDirectivesParser = new RobotsDirectivesParser();
+        this.structuredDataAnalyzer = new StructuredDataAnalyzer();
+        this.richResultsAnalyzer = new RichResultsAnalyzer();
+        this.hreflangAnalyzer = new HreflangAnalyzer();
+        this.canonicalAnalyzer = new CanonicalAnalyzer();
+        this.duplicateContentAnalyzer = new DuplicateContentAnalyzer();
+        this.readabilityAnalyzer = new ReadabilityAnalyzer();
+        this.keywordAnalyzer = new KeywordAnalyzer({ targetKeywords });
+        this.languageDetector = new LanguageDetector();
+        this.accessibilityAnalyzer = new AccessibilityAnalyzer();
+        this.imageAnalyzer = new ImageAnalyzer({ userAgent });
+        this.renderBlockingAnalyzer = new RenderBlockingAnalyzer();
+        this.pageFetcher = new PageFetcher({ userAgent, timeout: 10000, maxRedirects: 5 });
+        this.linkCheckHosts = new Map();
     }
 
     /**
@@ -52,7 +87,7 @@ class SEOAnalyzer {
         return src;
     }
 
-    async analyzePage({ url, html, page, includeImages = true, maxImagesPerPage = -1, statusCode = 200 }) {
+    async analyzePage({ url, html, rawHtml = html, page, includeImages = true, maxImagesPerPage = -1, statusCode = 200, headers = {}, withHostSlot }) {
         const $ = this.cheerio.load(html);
         
         // Basic page information
@@ -62,9 +97,10 @@ class SEOAnalyzer {
         
         // Technical SEO
         const technicalSeo = this.analyzeTechnicalSEO($, url);
+        const canonicalAnalysis = this.canonicalAnalyzer.analyzePage($, url);
         
         // Meta tags and robots
-        const metaData = this.analyzeMetaTags($);
+        const metaData = this.analyzeMetaTags($, headers);
 
         // OpenGraph analysis
         const openGraphAnalysis = this.analyzeOpenGraph($);
@@ -86,8 +122,14 @@ class SEOAnalyzer {
         // Schema and structured data
         const structuredData = this.analyzeStructuredData($);
         
+        // Static accessibility checks
+        const accessibility = this.accessibilityAnalyzer.analyze($);
+        
         // Performance indicators
-        const performance = await this.analyzePerformance(page);
+        const performance = await this.analyzePerformance(page, $);
+        
+        // Render-blocking resources, analyzed on the HTML as served (before scripts run)
+        const renderBlocking = this.renderBlockingAnalyzer.analyze(rawHtml === html ? $ : this.cheerio.load(rawHtml), url, rawHtml);
         
         // Extract all titles for analysis
         const allTitles = [];
@@ -110,6 +152,14 @@ class SEOAnalyzer {
         $('h4').each((i, el) => h4Tags.push($(el).text().trim()));
         $('h5').each((i, el) => h5Tags.push($(el).text().trim()));
         $('h6').each((i, el) => h6Tags.push($(el).text().trim()));
+
+        // Target keyword optimization (only for URLs with mapped keywords)
+        const keywordAnalysis = this.keywordAnalyzer.analyzePage($, url, {
+            title,
+            description,
+            h1: h1Tags,
+            mainText: contentAnalysis.mainContentText
+        });
         
         // Links are now analyzed in the analyzeLinks method
         
@@ -121,6 +171,27 @@ class SEOAnalyzer {
         $('link[rel="alternate"][hreflang]').each((i, el) => {
             hreflang.push($(el).attr('hreflang'));
         });
+        const hreflangAnalysis = this.hreflangAnalyzer.analyzePage($, url);
+
+        // Detected content language compared with every declared language
+        const declaredLanguages = {
+            htmlLang: $('html').attr('lang'),
+            contentLanguageHeader: headers['content-language'],
+            contentLanguageMeta: $('meta[http-equiv]').filter((i, el) => /^content-language$/i.test($(el).attr('http-equiv'))).attr('content'),
+            hreflang: hreflangAnalysis.selfReferenceCode
+        };
+        Object.keys(declaredLanguages).forEach(source => {
+            if (!declaredLanguages[source]) delete declaredLanguages[source];
+        });
+        const languageAnalysis = this.languageDetector.analyzePage(contentAnalysis.mainContentText, declaredLanguages);
+
+        // Readability formulas follow the content language, the detected language stands in
+        // when the page declares none or declares one its content does not match
+        const isDeclaredLanguageWrong = languageAnalysis.mismatches.some(mismatch => mismatch.declared === language);
+        const readabilityLanguage = languageAnalysis.isReliable && (!language || isDeclaredLanguageWrong)
+            ? languageAnalysis.detectedLanguage
+            : language;
+        const readability = this.readabilityAnalyzer.analyze(contentAnalysis.mainContentText, readabilityLanguage);
         
         // Extract images without alt
         const imagesWithoutAlt = [];
@@ -148,7 +219,8 @@ class SEOAnalyzer {
         const loremIpsum = this.detectLoremIpsum($('body').text());
 
         // Extract images with detailed information
-        const images = await this.analyzeImagesDetailed($, url, includeImages, maxImagesPerPage);
+        const images = await this.analyzeImagesDetailed($, url, includeImages, maxImagesPerPage, page, withHostSlot);
+        const imageOptimization = this.imageAnalyzer.summarize(images);
 
         // Extract heading structure
         const detailedHeadingStructure = this.analyzeHeadingStructure($);
@@ -171,6 +243,10 @@ class SEOAnalyzer {
             hasSchema: structuredData.hasSchema,
             hasJsonLd: structuredData.hasJsonLd,
             hasMicrodata: structuredData.hasMicrodata,
+            hasRdfa: structuredData.hasRdfa,
+            schemaTypes: structuredData.schemaTypes,
+            structuredData: structuredData.details,
+            richResults: structuredData.richResults,
             hasAmp: hasAmp,
             hasGoogleAnalytics: hasGoogleAnalytics,
             viewport: technicalSeo.viewport,
@@ -212,12 +288,19 @@ class SEOAnalyzer {
             paragraphs: contentAnalysis.paragraphs,
             strongTags: contentAnalysis.strongTags,
             loremIpsum: loremIpsum,
+            contentFingerprint: contentAnalysis.contentFingerprint,
+            readability: readability,
+            languageAnalysis: languageAnalysis,
+            keywordAnalysis: keywordAnalysis,
             
             // Technical SEO / Meta
             canonicalUrl: technicalSeo.canonicalUrl,
+            canonicalAnalysis: canonicalAnalysis,
             metaRobots: metaData.metaRobots,
             xRobots: metaData.xRobots,
+            robotsDirectives: metaData.robotsDirectives,
             hreflang: hreflang.length > 0,
+            hreflangAnalysis: hreflangAnalysis,
             
             // OpenGraph Data
             openGraphTags: openGraphAnalysis.openGraphTags,
@@ -232,10 +315,23 @@ class SEOAnalyzer {
             brokenExternalLinks: linksAnalysis.brokenExternalLinks,
             totalBrokenLinks: linksAnalysis.totalBrokenLinks,
             brokenLinksPercentage: linksAnalysis.brokenLinksPercentage,
+            internalLinksToRedirects: linksAnalysis.internalLinksToRedirects,
+            redirectingInternalLinks: linksAnalysis.redirectingInternalLinks,
             
             // Images Information
             images: images,
             imagesWithoutAlt: imagesWithoutAlt.length,
+            imageOptimization: imageOptimization,
+            
+            // Accessibility Information
+            accessibility: accessibility,
+            
+            // Performance Information
+            javascriptFiles: performance.javascriptFiles,
+            cssFiles: performance.cssFiles,
+            performanceSource: performance.performanceSource,
+            performanceMetrics: performance.performanceMetrics,
+            renderBlocking: renderBlocking,
             
             // Other
             iframes: iframes
@@ -271,16 +367,41 @@ class SEOAnalyzer {
         };
     }
 
-    analyzeMetaTags($) {
+    /**
+     * Analyzes robots meta tags and the X-Robots-Tag response header
+     * @param {Object} $ - Cheerio instance
+     * @param {Object} headers - HTTP response headers (lowercase keys)
+     * @returns {Object} Raw robots values plus parsed and effective directives
+     */
+    analyzeMetaTags($, headers = {}) {
         const metaRobots = $('meta[name="robots"]').attr('content') || '';
-        const xRobots = $('meta[http-equiv="x-robots-tag"]').attr('content') || '';
+        // The header is authoritative, the http-equiv meta is only a fallback some CMSs emit
+        const headerValue = headers ? headers['x-robots-tag'] : null;
+        const xRobots = (Array.isArray(headerValue) ? headerValue.join(', ') : headerValue) ||
+            $('meta[http-equiv="x-robots-tag"]').attr('content') || '';
         const twitterCards = $('meta[name^="twitter:"]').length > 0;
 
+        const parser = this.robotsDirectivesParser;
+        const meta = parser.parse(metaRobots);
+
+        // Bot specific tags such as <meta name="googlebot" content="noindex">
+        $('meta[name]').each((i, el) => {
+            const name = ($(el).attr('name') || '').toLowerCase().trim();
+            if (name === 'robots' || !/bot/.test(name)) return;
+
+            const parsed = parser.parse($(el).attr('content') || '', name);
+            meta.perBot[name] = parser.merge([meta.perBot[name], parsed.perBot[name]]);
+        });
+
+        const header = parser.parse(xRobots);
+        const effective = parser.getEffectiveDirectives({ meta, header, bot: 'googlebot' });
+
         return {
             metaRobots,
             xRobots,
+            robotsDirectives: { meta, header, effective },
             hasTwitterCards: !!twitterCards,
-            meta_indexed: metaRobots.toLowerCase().includes('noindex') ? 0 : 1
+            meta_indexed: effective.noindex ? 0 : 1
         };
     }
 
@@ -343,7 +464,9 @@ class SEOAnalyzer {
 
     analyzeContent($) {
         // Get word count without header and footer (standard content)
-        const words = this.getWordCountWithoutHeaderFooter($);
+        const mainContent = this.getMainContent($);
+        const words = this.getWordCountWithoutHeaderFooter($, mainContent.text);
+        const contentFingerprint = this.duplicateContentAnalyzer.createFingerprint(mainContent.blockText);
         
         const paragraphs = $('p').length;
         const strongTags = $('strong').length;
@@ -355,11 +478,17 @@ class SEOAnalyzer {
             words: words,
             paragraphs,
             strongTags,
-            loremIpsum
+            loremIpsum,
+            contentFingerprint,
+            mainContentText: mainContent.blockText
         };
     }
 
-    getWordCountWithoutHeaderFooter($) {
+    /**
+     * Extracts the main content without header, footer, navigation and sidebars
+     * @returns {Object} { text, blockText } - text on one line and text with a line break after every block element
+     */
+    getMainContent($) {
         // Create a temporary copy for manipulation
         const temp$ = this.cheerio.load($.html());
         
@@ -373,22 +502,37 @@ class SEOAnalyzer {
         // Remove script, style, and other non-content elements
         temp$('script, style, aside, .sidebar, .widget, .menu, .navigation').remove();
         
-        // Get text content
-        let bodyText = temp$('body').text();
-        
         // Clean HTML entities and normalize text
         // Note: Cheerio's .text() already decodes standard HTML entities
         // But we need to handle any non-standard entities and normalize whitespace
-        bodyText = bodyText
+        const cleanEntities = value => value
             .replace(/&nbsp;/gi, ' ')              // Non-breaking space (if not decoded)
             .replace(/&tab;/gi, ' ')              // Tab entity (non-standard)
             .replace(/&newline;/gi, ' ')          // Newline entity (non-standard)
             .replace(/&#\d+;/g, ' ')              // Numeric HTML entities (if any remain)
-            .replace(/&[a-z]{2,10};/gi, ' ')      // Any remaining named entities (2-10 chars)
+            .replace(/&[a-z]{2,10};/gi, ' ');     // Any remaining named entities (2-10 chars)
+        
+        const text = cleanEntities(temp$('body').text())
             .replace(/[\r\n\t]+/g, ' ')           // Normalize line breaks, tabs, carriage returns
             .replace(/\s+/g, ' ')                  // Normalize all whitespace to single spaces
             .trim();
         
+        // Headings, list items and table cells end a sentence even without punctuation
+        temp$('p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, figcaption, div, section, article, br').append('\n');
+        const blockText = cleanEntities(temp$('body').text())
+            .replace(/[ \t\r\f\v]*\n\s*/g, '\n')    // One line break per block
+            .replace(/[ \t\r\f\v]+/g, ' ')
+            .trim();
+        
+        return { text, blockText };
+    }
+
+    getMainContentText($) {
+        return this.getMainContent($).text;
+    }
+
+    getWordCountWithoutHeaderFooter($, bodyText = this.getMainContentText($)) {
+        
         // Split by whitespace and filter out empty strings and non-word tokens
         const words = bodyText.split(/\s+/)
             .filter(word => {
@@ -457,7 +601,10 @@ class SEOAnalyzer {
                         anchorText: anchorText,
                         target: target,
                         statusCode: null,
-                        isBroken: false
+                        isBroken: false,
+                        isRedirect: false,
+                        redirectStatusCode: null,
+                        redirectLocation: null
                     };
                     
                     if (url.hostname === baseHost) {
@@ -488,6 +635,9 @@ class SEOAnalyzer {
             Math.round(totalAnchorTextLength / links.length) : 0;
         
         const brokenInternalLinks = internalLinks.filter(link => link.isBroken).length;
+        const redirectingInternalLinks = internalLinks
+            .filter(link => link.isRedirect)
+            .map(link => ({ url: link.url, statusCode: link.redirectStatusCode, location: link.redirectLocation }));
         const brokenExternalLinks = externalLinks.filter(link => link.isBroken).length;
         const totalBrokenLinks = brokenInternalLinks + brokenExternalLinks;
         const totalValidLinks = internalLinksCount + externalLinksCount;
@@ -501,13 +651,13 @@ class SEOAnalyzer {
             brokenInternalLinks,
             brokenExternalLinks,
             totalBrokenLinks,
+            redirectingInternalLinks,
+            internalLinksToRedirects: redirectingInternalLinks.length,
             brokenLinksPercentage: totalValidLinks > 0 ? Math.round((totalBrokenLinks / totalValidLinks) * 100) : 0
         };
     }
 
     async checkLinkStatuses(links) {
-        const axios = require('axios');
-        
         // Process links in batches to avoid overwhelming servers
         const batchSize = 5;
         for (let i = 0; i < links.length; i += batchSize) {
@@ -537,23 +687,19 @@ class SEOAnalyzer {
                     return;
                 }
                 
-                // For HTTP/HTTPS links, check with HEAD request
-                try {
-                    const response = await axios.head(link.url, {
-                        timeout: 10000,
-                        maxRedirects: 5,
-                        validateStatus: function (status) {
-                            return status < 500; // Accept all status codes below 500
-                        }
-                    });
-                    
-                    link.statusCode = response.status;
-                    link.isBroken = response.status >= 400;
-                    
-                } catch (error) {
-                    link.statusCode = error.response?.status || 0;
-                    link.isBroken = true;
+                // For HTTP/HTTPS links, check with HEAD requests and follow redirects hop by hop
+                const result = await this.pageFetcher.checkStatus(link.url, {
+                    withHostSlot: (url, request) => this.withLinkCheckSlot(url, request)
+                });
+                const firstHop = result.redirect.chain[0];
+                if (firstHop) {
+                    // Links pointing at redirecting URLs
+                    link.isRedirect = true;
+                    link.redirectStatusCode = firstHop.statusCode;
+                    link.redirectLocation = firstHop.location;
                 }
+                link.statusCode = result.statusCode || 0;
+                link.isBroken = result.statusCode === null || result.statusCode >= 400;
             });
             
             await Promise.all(promises);
@@ -565,6 +711,32 @@ class SEOAnalyzer {
         }
     }
 
+    /**
+     * Runs a link check request once fewer than MAX_LINK_CHECKS_PER_HOST requests to its host are running
+     */
+    async withLinkCheckSlot(url, request) {
+        const host = new URL(url).host;
+        if (!this.linkCheckHosts.has(host)) this.linkCheckHosts.set(host, { active: 0, waiting: [] });
+        const slots = this.linkCheckHosts.get(host);
+
+        if (slots.active >= MAX_LINK_CHECKS_PER_HOST) {
+            // A finishing request hands its slot over
+            await new Promise(resolve => slots.waiting.push(resolve));
+        } else {
+            slots.active++;
+        }
+        try {
+            return await request();
+        } finally {
+            const next = slots.waiting.shift();
+            if (next) {
+                next();
+            } else if (--slots.active === 0) {
+                this.linkCheckHosts.delete(host);
+            }
+        }
+    }
+
     analyzeImages($, baseUrl, maxImagesPerPage) {
         const images = $('img[src]');
         const imagesWithoutAlt = [];
@@ -601,43 +773,77 @@ class SEOAnalyzer {
     analyzeStructuredData($) {
         const jsonLd = $('script[type="application/ld+json"]').length > 0;
         const microdata = $('[itemscope]').length > 0;
+        const rdfa = $('[typeof]').length > 0;
         const schema = $('[itemtype]').length > 0;
+
+        // Parsed entities, syntax errors and schema.org validation
+        const details = this.structuredDataAnalyzer.analyze($);
         
         return {
             hasJsonLd: !!jsonLd,
             hasMicrodata: !!microdata,
-            hasSchema: !!schema
+            hasRdfa: !!rdfa,
+            hasSchema: !!schema,
+            schemaTypes: details.types,
+            details,
+            richResults: this.richResultsAnalyzer.analyze(details.entities)
         };
     }
 
-    async analyzePerformance(page) {
+    /**
+     * Collects resource counts and load timings. With a real browser page the numbers
+     * come from the rendered DOM and the Navigation/Resource Timing APIs, otherwise the
+     * resource counts are taken from the static HTML and timings are unavailable.
+     * @param {Object} page - Puppeteer page (or any object with an `evaluate` method)
+     * @param {Object} $ - Cheerio instance of the page HTML, used as fallback
+     * @returns {Promise<Object>} Performance metrics
+     */
+    async analyzePerformance(page, $ = null) {
+        const staticMetrics = () => ({
+            javascriptFiles: $ ? $('script[src]').length : 0,
+            cssFiles: $ ? $('link[rel="stylesheet"]').length : 0,
+            performanceSource: $ ? 'static' : 'none',
+            performanceMetrics: null
+        });
+
         try {
-            // Check if page has evaluate method (it might be a mock object)
+            // Without a browser page, count resources referenced in the HTML
             if (!page || typeof page.evaluate !== 'function') {
-                console.log('Using mock page object, returning default performance metrics');
-                return {
-                    javascriptFiles: 0,
-                    cssFiles: 0
-                };
+                return staticMetrics();
             }
 
-            // Get resource counts
+            // Get resource counts and timings from the rendered page
             const resources = await page.evaluate(() => {
                 const scripts = document.querySelectorAll('script[src]').length;
                 const stylesheets = document.querySelectorAll('link[rel="stylesheet"]').length;
-                return { scripts, stylesheets };
+
+                const navigation = performance.getEntriesByType('navigation')[0];
+                const resourceEntries = performance.getEntriesByType('resource');
+                const transferSize = resourceEntries.reduce((sum, entry) => sum + (entry.transferSize || 0), 0) +
+                    (navigation ? navigation.transferSize || 0 : 0);
+
+                return {
+                    scripts,
+                    stylesheets,
+                    timing: navigation ? {
+                        timeToFirstByte: Math.round(navigation.responseStart - navigation.requestStart),
+                        domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+                        loadTime: Math.round(navigation.loadEventEnd),
+                        resourceRequests: resourceEntries.length,
+                        transferSize
+                    } : null
+                };
             });
 
             return {
                 javascriptFiles: resources.scripts,
-                cssFiles: resources.stylesheets
+                cssFiles: resources.stylesheets,
+                performanceSource: 'browser',
+                performanceMetrics: resources.timing || null
             };
         } catch (error) {
             console.warn('Could not analyze performance:', error.message);
-            return {
-                javascriptFiles: 0,
-                cssFiles: 0
-            };
+            return staticMetrics();
         }
     }
 
@@ -669,11 +875,19 @@ class SEOAnalyzer {
         return loremPatterns.some(pattern => pattern.test(text));
     }
 
-    async analyzeImagesDetailed($, baseUrl, includeImages, maxImagesPerPage) {
+    /**
+     * Audits the page images: real status code, size and intrinsic dimensions from the
+     * image header bytes plus markup checks (dimensions, srcset, lazy loading, format)
+     * @param {Object} page - Puppeteer page for rendered positions and sizes, optional
+     * @param {Function} withHostSlot - Runs each image request once its host has a free request slot, optional
+     */
+    async analyzeImagesDetailed($, baseUrl, includeImages, maxImagesPerPage, page = null, withHostSlot) {
         if (!includeImages) return [];
 
         const images = [];
         const imageElements = $('img[src]').toArray();
+        const boxes = await this.imageAnalyzer.getRenderedImageBoxes(page);
+        let contentImageIndex = 0;
         
         // If maxImagesPerPage is -1, process all images; otherwise use the limit
         const maxImages = maxImagesPerPage === -1 ? imageElements.length : maxImagesPerPage;
@@ -695,18 +909,24 @@ class SEOAnalyzer {
                     fullUrl = new URL(src, baseUrl).href;
                 }
 
-                // Detect content type and calculate size
-                const { contentType, sizeInBytes, sizeInKb } = await this.detectImageInfo(fullUrl);
+                // Detect content type, size and status code
+                const imageInfo = await this.detectImageInfo(fullUrl, { withHostSlot });
+                const audit = this.imageAnalyzer.auditImage($, $img, imageInfo, {
+                    contentImageIndex,
+                    box: boxes && boxes.length === imageElements.length ? boxes[i] : null
+                });
+                if ($img.closest('header, nav, [role="banner"]').length === 0) contentImageIndex++;
 
                 images.push({
                     imageUrl: fullUrl,
                     imageIndex: i + 1,
-                    contentLength: sizeInBytes,
-                    contentType: contentType,
-                    statusCode: 200, // Assume successful for now
+                    contentLength: imageInfo.sizeInBytes,
+                    contentType: imageInfo.contentType,
+                    statusCode: imageInfo.statusCode,
                     alt: $img.attr('alt') || '',
-                    sizeInByte: sizeInBytes,
-                    sizeInKb: sizeInKb
+                    sizeInByte: imageInfo.sizeInBytes,
+                    sizeInKb: imageInfo.sizeInKb,
+                    ...audit
                 });
 
             } catch (error) {
@@ -718,18 +938,13 @@ class SEOAnalyzer {
         return images;
     }
 
-    async detectImageInfo(imageUrl) {
+    async detectImageInfo(imageUrl, fetchOptions = {}) {
         // Handle data URIs
         if (imageUrl.startsWith('data:')) {
-            const [header, data] = imageUrl.split(',');
-            const mimeMatch = header.match(/data:([^;]+)/);
-            const contentType = mimeMatch ? mimeMatch[1] : 'image/unknown';
-            
-            // Calculate size from base64 data
-            const sizeInBytes = Math.round((data.length * 3) / 4);
+            const { contentType, sizeInBytes, buffer } = await this.imageAnalyzer.fetchImage(imageUrl);
             const sizeInKb = Math.round((sizeInBytes / 1000) * 100) / 100;
             
-            return { contentType, sizeInBytes, sizeInKb };
+            return { contentType, sizeInBytes, sizeInKb, statusCode: null, buffer };
         }
         
         // Handle regular URLs - detect from file extension first
@@ -765,37 +980,26 @@ class SEOAnalyzer {
             contentType = 'image/heif';
         }
         
-        // Try to get actual file size via HEAD request
-        try {
-            const axios = require('axios');
-            const response = await axios.head(imageUrl, {
-                timeout: 5000,
-                maxRedirects: 3,
-                validateStatus: function (status) {
-                    return status < 500; // Accept all status codes below 500
-                }
-            });
-            
-            // Get content length from headers
-            const contentLength = response.headers['content-length'];
-            if (contentLength) {
-                sizeInBytes = parseInt(contentLength, 10);
+        // Fetch the first bytes of the image for status code, size and dimensions
+        const { statusCode, contentType: responseContentType, sizeInBytes: responseSize, buffer, error } =
+            await this.imageAnalyzer.fetchImage(imageUrl, fetchOptions);
+
+        if (error) {
+            // Keep the file extension-based detection, size will remain 0
+            console.warn(`Could not get size for image ${imageUrl}: ${error}`);
+        } else {
+            if (responseSize) {
+                sizeInBytes = responseSize;
                 sizeInKb = Math.round((sizeInBytes / 1000) * 100) / 100;
             }
             
             // Update content type from response headers if available
-            const responseContentType = response.headers['content-type'];
             if (responseContentType && responseContentType.startsWith('image/')) {
                 contentType = responseContentType;
             }
-            
-        } catch (error) {
-            // If HEAD request fails, keep the file extension-based detection
-            // and size will remain 0
-            console.warn(`Could not get size for image ${imageUrl}: ${error.message}`);
         }
         
-        return { contentType, sizeInBytes, sizeInKb };
+        return { contentType, sizeInBytes, sizeInKb, statusCode, buffer };
     }
 
     analyzeHeadingStructure($) {
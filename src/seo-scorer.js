@@ -72,16 +72,19 @@ class SEOScorer {
             issues.push('no HTTPS');
         }
 
-        // Check xRobots and metaRobots for indexing issues
-        const xRobots = seoData.xRobots || '';
-        const metaRobots = seoData.metaRobots || '';
+        // Check the effective robots directives (meta tags and X-Robots-Tag header) for indexing issues
+        const effectiveRobots = seoData.robotsDirectives ? seoData.robotsDirectives.effective : null;
+        const xRobots = (seoData.xRobots || '').toLowerCase();
+        const metaRobots = (seoData.metaRobots || '').toLowerCase();
+        const isNoindex = effectiveRobots ? effectiveRobots.noindex : (xRobots.includes('noindex') || metaRobots.includes('noindex'));
+        const isNofollow = effectiveRobots ? effectiveRobots.nofollow : (xRobots.includes('nofollow') || metaRobots.includes('nofollow'));
 
-        if (xRobots.toLowerCase().includes('noindex') || metaRobots.toLowerCase().includes('noindex')) {
+        if (isNoindex) {
             score -= 15;
             issues.push('page set to noindex');
         }
 
-        if (xRobots.toLowerCase().includes('nofollow') || metaRobots.toLowerCase().includes('nofollow')) {
+        if (isNofollow) {
             score -= 5;
             issues.push('page set to nofollow');
         }
@@ -127,25 +130,106 @@ class SEOScorer {
             issues.push(`${imagesWithoutAlt} images without alt text`);
         }
         
-        // 7. ADVANCED BONUSES (up to 5 points)
+        // 7. TARGET KEYWORD (only pages with a mapped keyword, scored on the focus keyword)
+        const focusKeyword = seoData.keywordAnalysis ? seoData.keywordAnalysis.keywords[0] : null;
+        if (focusKeyword) {
+            if (!focusKeyword.inTitle) {
+                score -= 5;
+                issues.push('focus keyword missing in title');
+            }
+            if (!focusKeyword.inH1) {
+                score -= 3;
+                issues.push('focus keyword missing in H1');
+            }
+            if (!focusKeyword.inDescription) {
+                score -= 3;
+                issues.push('focus keyword missing in meta description');
+            }
+            if (!focusKeyword.inFirstParagraph) {
+                score -= 2;
+                issues.push('focus keyword missing in first paragraph');
+            }
+            if (!focusKeyword.inUrlSlug) {
+                score -= 1;
+                issues.push('focus keyword missing in URL');
+            }
+            if (seoData.keywordAnalysis.keywords.some(keyword => keyword.isStuffed)) {
+                score -= 5;
+                issues.push('keyword stuffing');
+            }
+        }
+        
+        // 8. ADVANCED BONUSES (up to 5 points)
         let bonusPoints = 0;
-        if (seoData.hasSchema || seoData.hasJsonLd) bonusPoints += 2;
-        if (seoData.canonicalUrl) bonusPoints += 1;
+        const structuredDataErrors = Number(seoData.structuredData?.errorCount || 0);
+        if (structuredDataErrors > 0) {
+            score -= 2;
+            issues.push(`${structuredDataErrors} structured data errors`);
+        } else if (seoData.hasSchema || seoData.hasJsonLd || seoData.hasRdfa) {
+            bonusPoints += 2;
+        }
+        const canonicalAnalysis = seoData.canonicalAnalysis;
+        if (canonicalAnalysis) {
+            // Only a single, valid canonical in the head earns the bonus
+            const canonicalIssues = canonicalAnalysis.issues.filter(issue => issue.type !== 'relative_url');
+            if (canonicalIssues.length > 0) {
+                score -= 3;
+                issues.push(`invalid canonical tag (${canonicalIssues.map(issue => issue.type).join(', ')})`);
+            } else if (canonicalAnalysis.canonicalUrl) {
+                bonusPoints += 1;
+            }
+        } else if (seoData.canonicalUrl) {
+            bonusPoints += 1;
+        }
         if (seoData.hasHreflang) bonusPoints += 1;
         if (seoData.appleTouchIcon) bonusPoints += 1;
         
         score += bonusPoints;
         
-        // 8. PERFORMANCE PENALTIES
-        const jsFiles = Number(seoData.javascriptFiles || 0);
-        const cssFiles = Number(seoData.cssFiles || 0);
-        if (jsFiles > 20) {
+        // 9. PERFORMANCE (lab Core Web Vitals in browser mode, resource counts otherwise)
+        const webVitals = seoData.webVitals;
+        if (webVitals && webVitals.ratings) {
+            const vitalPenalties = [
+                { metric: 'largestContentfulPaint', label: 'LCP', poor: 6, needsImprovement: 3 },
+                { metric: 'totalBlockingTime', label: 'TBT', poor: 5, needsImprovement: 2 },
+                { metric: 'cumulativeLayoutShift', label: 'CLS', poor: 5, needsImprovement: 2 },
+                { metric: 'firstContentfulPaint', label: 'FCP', poor: 3, needsImprovement: 1 }
+            ];
+            vitalPenalties.forEach(({ metric, label, poor, needsImprovement }) => {
+                const rating = webVitals.ratings[metric];
+                if (rating === 'poor') {
+                    score -= poor;
+                    issues.push(`poor ${label} (${webVitals[metric]})`);
+                } else if (rating === 'needs-improvement') {
+                    score -= needsImprovement;
+                    issues.push(`${label} needs improvement (${webVitals[metric]})`);
+                }
+            });
+        } else {
+            const jsFiles = Number(seoData.javascriptFiles || 0);
+            const cssFiles = Number(seoData.cssFiles || 0);
+            if (jsFiles > 20) {
+                score -= 3;
+                issues.push('too many JS files');
+            }
+            if (cssFiles > 10) {
+                score -= 2;
+                issues.push('too many CSS files');
+            }
+        }
+        const transfer = seoData.transfer;
+        if (transfer && !transfer.isCompressed && transfer.htmlBytes > 1400) {
+            // Anything above a single TCP packet benefits from gzip or brotli
             score -= 3;
-            issues.push('too many JS files');
+            issues.push('HTML not compressed');
         }
-        if (cssFiles > 10) {
-            score -= 2;
-            issues.push('too many CSS files');
+        if (transfer && (transfer.htmlDecompressedBytes || transfer.htmlBytes) > 500000) {
+            score -= 3;
+            issues.push('HTML document too large');
+        }
+        if (seoData.pageWeight && seoData.pageWeight.totalBytes > 3000000) {
+            score -= 3;
+            issues.push('page weight too high');
         }
         
         // Final score calculation
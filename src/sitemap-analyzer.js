@@ -134,6 +134,99 @@ class SitemapAnalyzer {
         return totalUrls;
     }
 
+    /**
+     * Recursively collects the page URLs declared in one or more sitemaps,
+     * following nested sitemap indexes
+     * @param {string[]} sitemapUrls - Sitemap or sitemap index URLs to start from
+     * @param {number} timeout - Request timeout in milliseconds
+     * @param {number} maxUrls - Stop collecting once this many page URLs were found
+     * @param {number} maxDepth - Maximum recursion depth to prevent infinite loops
+     * @param {Set} visitedUrls - Set of already visited sitemap URLs to prevent duplicates
+     * @returns {Promise<string[]>} Unique page URLs in sitemap order
+     */
+    async collectPageUrlsFromSitemaps(sitemapUrls, timeout = 10000, maxUrls = 50000, maxDepth = 10, visitedUrls = new Set()) {
+        const pageUrls = new Set();
+
+        for (const sitemapUrl of sitemapUrls) {
+            if (maxDepth <= 0 || pageUrls.size >= maxUrls || visitedUrls.has(sitemapUrl)) {
+                continue;
+            }
+            visitedUrls.add(sitemapUrl);
+
+            try {
+                const response = await this.axios.get(sitemapUrl, {
+                    timeout,
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)',
+                        'Accept': 'application/xml, text/xml, application/xhtml+xml, text/html, */*'
+                    }
+                });
+
+                if (response.status !== 200 || typeof response.data !== 'string') {
+                    continue;
+                }
+
+                const content = response.data;
+                const locs = this.extractUrlsFromSitemap(content, sitemapUrl).map(loc => this.decodeXmlEntities(loc));
+
+                if (content.includes('<sitemapindex') || content.includes('sitemapindex')) {
+                    const nestedUrls = await this.collectPageUrlsFromSitemaps(
+                        locs,
+                        timeout,
+                        maxUrls - pageUrls.size,
+                        maxDepth - 1,
+                        visitedUrls
+                    );
+                    nestedUrls.forEach(url => pageUrls.add(url));
+                } else if (content.includes('<urlset') || content.includes('urlset')) {
+                    for (const loc of locs) {
+                        if (pageUrls.size >= maxUrls) break;
+                        pageUrls.add(loc);
+                    }
+                }
+            } catch (error) {
+                // Skip invalid or inaccessible sitemaps
+                console.warn(`Failed to fetch sitemap ${sitemapUrl}: ${error.message}`);
+            }
+        }
+
+        return [...pageUrls];
+    }
+
+    /**
+     * Picks an evenly spaced sample so every section of a large sitemap is represented
+     * @param {string[]} urls - Page URLs in sitemap order
+     * @param {number} sampleSize - Number of URLs to keep, -1 keeps all
+     * @returns {string[]} Sampled URLs
+     */
+    sampleUrls(urls, sampleSize = -1) {
+        if (sampleSize === -1 || sampleSize >= urls.length) {
+            return [...urls];
+        }
+        if (sampleSize <= 0) {
+            return [];
+        }
+
+        const step = urls.length / sampleSize;
+        const sample = [];
+        for (let i = 0; i < sampleSize; i++) {
+            sample.push(urls[Math.floor(i * step)]);
+        }
+        return sample;
+    }
+
+    /**
+     * Decodes the XML entities allowed in sitemap <loc> values
+     */
+    decodeXmlEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
     /**
      * Analyzes sitemaps for a given domain
      * @param {string} domainUrl - The base domain URL
@@ -0,0 +1,503 @@
+/**
+ * Structured Data Analyzer for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Parses JSON-LD blocks, microdata and RDFa into one normalized entity model,
+ * reports JSON-LD syntax errors, flattens `@graph` containers and validates every entity
+ * against the bundled schema.org vocabulary subset (known types, required and recommended
+ * properties).
+ */
+
+const { SCHEMA_VOCABULARY } = require('./schema-vocabulary');
+
+// Longest string kept per property value in the report
+const MAX_VALUE_LENGTH = 300;
+
+const SCHEMA_NAMESPACE = /^https?:\/\/schema\.org\//i;
+const SCHEMA_NAMESPACE_WITHOUT_SLASH = /^https?:\/\/schema\.org$/i;
+
+// Prefixes of the RDFa 1.1 initial context that are common on web pages
+const RDFA_INITIAL_PREFIXES = {
+    schema: 'http://schema.org/',
+    og: 'http://ogp.me/ns#',
+    dc: 'http://purl.org/dc/terms/',
+    dcterms: 'http://purl.org/dc/terms/',
+    foaf: 'http://xmlns.com/foaf/0.1/',
+    sioc: 'http://rdfs.org/sioc/ns#',
+    skos: 'http://www.w3.org/2004/02/skos/core#',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    owl: 'http://www.w3.org/2002/07/owl#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    gr: 'http://purl.org/goodrelations/v1#',
+    v: 'http://rdf.data-vocabulary.org/#',
+    vcard: 'http://www.w3.org/2006/vcard/ns#'
+};
+
+class StructuredDataAnalyzer {
+    constructor(vocabulary = SCHEMA_VOCABULARY) {
+        this.vocabulary = vocabulary;
+    }
+
+    /**
+     * Analyzes all structured data on a page
+     * @param {Object} $ - Cheerio instance
+     * @returns {Object} Parsed entities, schema types, syntax errors and validation issues
+     */
+    analyze($) {
+        const jsonLd = this.parseJsonLd($);
+        const microdata = this.parseMicrodata($);
+        const rdfa = this.parseRdfa($);
+        const entities = [...jsonLd.entities, ...microdata, ...rdfa];
+        const issues = [];
+
+        jsonLd.errors.forEach(error => {
+            issues.push({
+                severity: 'error',
+                format: 'json-ld',
+                path: `script[${error.block}]`,
+                type: null,
+                message: `JSON-LD syntax error: ${error.message}`
+            });
+        });
+
+        const types = new Set();
+        this.walkEntities(entities, (entity) => {
+            entity.types.forEach(type => types.add(type));
+            entity.validation = this.validateEntity(entity);
+            issues.push(...this.getValidationIssues(entity));
+        });
+
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        return {
+            jsonLdBlocks: jsonLd.blocks,
+            jsonLdSyntaxErrors: jsonLd.errors,
+            entitiesByFormat: {
+                'json-ld': jsonLd.entities.length,
+                microdata: microdata.length,
+                rdfa: rdfa.length
+            },
+            entities,
+            types: [...types],
+            issues,
+            errorCount,
+            warningCount: issues.length - errorCount,
+            isValid: entities.length > 0 && errorCount === 0
+        };
+    }
+
+    /**
+     * Parses every `<script type="application/ld+json">` block
+     * @param {Object} $ - Cheerio instance
+     * @returns {Object} { blocks, entities, errors }
+     */
+    parseJsonLd($) {
+        const entities = [];
+        const errors = [];
+        const scripts = $('script[type="application/ld+json"]');
+
+        scripts.each((index, el) => {
+            const content = ($(el).html() || '')
+                .trim()
+                .replace(/^<!\[CDATA\[/, '')
+                .replace(/\]\]>$/, '')
+                .trim();
+
+            if (!content) {
+                errors.push({ block: index, message: 'Empty JSON-LD block' });
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                errors.push({ block: index, message: error.message });
+                return;
+            }
+
+            this.getTopLevelNodes(data).forEach(node => {
+                if (node && typeof node === 'object' && !Array.isArray(node)) {
+                    entities.push(this.normalizeJsonLdNode(node, 'json-ld', null));
+                }
+            });
+        });
+
+        return { blocks: scripts.length, entities, errors };
+    }
+
+    /**
+     * Flattens top-level arrays and `@graph` containers into a list of nodes
+     */
+    getTopLevelNodes(data) {
+        if (Array.isArray(data)) {
+            return data.reduce((nodes, item) => nodes.concat(this.getTopLevelNodes(item)), []);
+        }
+        if (data && typeof data === 'object' && Array.isArray(data['@graph'])) {
+            return data['@graph'].reduce((nodes, item) => nodes.concat(this.getTopLevelNodes(item)), []);
+        }
+        return [data];
+    }
+
+    /**
+     * Removes schema.org prefixes: "https://schema.org/Product" and "schema:Product" become "Product"
+     */
+    stripSchemaPrefix(value) {
+        return String(value).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '').trim();
+    }
+
+    /**
+     * Creates an entity in the normalized model shared by all structured data formats
+     * @param {string} format - 'json-ld', 'microdata' or 'rdfa'
+     * @param {string[]} types - Schema.org type names without prefix
+     * @param {string|null} id - Entity identifier (@id, itemid or resource)
+     * @param {string} parentPath - Path of the parent entity, null for top-level entities
+     * @returns {Object} Entity with empty properties
+     */
+    createEntity(format, types, id, parentPath) {
+        const typeLabel = types.length > 0 ? types.join(',') : '(untyped)';
+        return {
+            format,
+            types,
+            id: id || null,
+            path: parentPath ? `${parentPath} > ${typeLabel}` : typeLabel,
+            properties: {}
+        };
+    }
+
+    addPropertyValue(entity, property, value) {
+        if (!entity.properties[property]) entity.properties[property] = [];
+        entity.properties[property].push(
+            typeof value === 'string' && value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}...` : value
+        );
+    }
+
+    normalizeJsonLdNode(node, format, parentPath) {
+        const types = [].concat(node['@type'] || []).map(type => this.stripSchemaPrefix(type)).filter(Boolean);
+        const entity = this.createEntity(format, types, node['@id'], parentPath);
+
+        Object.keys(node).forEach(key => {
+            if (key.startsWith('@')) return;
+            const property = this.stripSchemaPrefix(key);
+
+            [].concat(node[key]).forEach(value => {
+                if (value === null || value === undefined) return;
+                if (typeof value !== 'object') {
+                    this.addPropertyValue(entity, property, value);
+                } else if (Array.isArray(value)) {
+                    value.forEach(item => this.addPropertyValue(entity, property, item));
+                } else if ('@value' in value) {
+                    this.addPropertyValue(entity, property, value['@value']);
+                } else if (value['@id'] && Object.keys(value).length === 1) {
+                    // Reference to another node, e.g. in an @graph
+                    this.addPropertyValue(entity, property, { id: value['@id'] });
+                } else {
+                    this.addPropertyValue(entity, property, this.normalizeJsonLdNode(value, format, `${entity.path} > ${property}`));
+                }
+            });
+        });
+
+        return entity;
+    }
+
+    /**
+     * Parses microdata items (itemscope/itemtype/itemprop) into normalized entities
+     * @param {Object} $ - Cheerio instance
+     * @returns {Object[]} Top-level entities
+     */
+    parseMicrodata($) {
+        const entities = [];
+        // First element per ID for itemref, looked up without building selectors from the IDs
+        const elementsById = new Map();
+        $('[id]').each((i, el) => {
+            if (!elementsById.has(el.attribs.id)) elementsById.set(el.attribs.id, el);
+        });
+
+        $('[itemscope]').each((i, el) => {
+            // Items used as a property value are parsed as part of their parent item
+            const isNested = $(el).attr('itemprop') !== undefined && $(el).parent().closest('[itemscope]').length > 0;
+            if (!isNested) {
+                entities.push(this.normalizeMicrodataItem($, el, null, elementsById));
+            }
+        });
+
+        return entities;
+    }
+
+    normalizeMicrodataItem($, el, parentPath, elementsById = new Map(), ancestors = new Set()) {
+        const $el = $(el);
+        const types = ($el.attr('itemtype') || '').split(/\s+/).map(type => this.stripSchemaPrefix(type)).filter(Boolean);
+        const entity = this.createEntity('microdata', types, $el.attr('itemid'), parentPath);
+
+        // Items already being normalized up the chain are skipped, an itemref pointing
+        // back to one of them would otherwise recurse without end
+        const itemAncestors = new Set([...ancestors, el]);
+
+        // Properties can live outside the item and be pulled in with itemref
+        const referenced = ($el.attr('itemref') || '').split(/\s+/).filter(Boolean)
+            .map(id => elementsById.get(id))
+            .filter(refEl => refEl && !itemAncestors.has(refEl));
+
+        this.collectScopedProperties($, [...$el.children().get(), ...referenced], {
+            propertyAttribute: 'itemprop',
+            scopeAttribute: 'itemscope',
+            onProperty: (propertyEl, names) => {
+                const isItem = $(propertyEl).attr('itemscope') !== undefined;
+                if (isItem && itemAncestors.has(propertyEl)) return;
+                names.forEach(name => {
+                    this.addPropertyValue(entity, name, isItem
+                        ? this.normalizeMicrodataItem($, propertyEl, `${entity.path} > ${name}`, elementsById, itemAncestors)
+                        : this.getElementValue($, propertyEl, 'microdata'));
+                });
+            }
+        });
+
+        return entity;
+    }
+
+    /**
+     * Parses RDFa (vocab/typeof/property) into normalized entities. Only nodes typed in
+     * the schema.org vocabulary become entities, RDFa in other vocabularies is skipped.
+     * @param {Object} $ - Cheerio instance
+     * @returns {Object[]} Top-level entities
+     */
+    parseRdfa($) {
+        const entities = [];
+
+        $('[typeof]').each((i, el) => {
+            if (!this.isSchemaRdfaNode($, el)) return;
+            // Nodes that are the schema.org property value of a schema.org node are parsed with it
+            const $parent = $(el).parent().closest('[typeof]');
+            const isNested = $parent.length > 0 && this.isSchemaRdfaNode($, $parent.get(0)) &&
+                this.getRdfaTerms($, el, $(el).attr('property')).length > 0;
+            if (!isNested) {
+                entities.push(this.normalizeRdfaNode($, el, null));
+            }
+        });
+
+        return entities;
+    }
+
+    normalizeRdfaNode($, el, parentPath) {
+        const $el = $(el);
+        const types = this.getRdfaTerms($, el, $el.attr('typeof'));
+        const entity = this.createEntity('rdfa', types, $el.attr('resource') || $el.attr('about'), parentPath);
+
+        this.collectScopedProperties($, $el.children().get(), {
+            propertyAttribute: 'property',
+            scopeAttribute: 'typeof',
+            onProperty: (propertyEl, names) => {
+                const isNode = $(propertyEl).attr('typeof') !== undefined;
+                this.getRdfaTerms($, propertyEl, names.join(' ')).forEach(name => {
+                    this.addPropertyValue(entity, name, isNode
+                        ? this.normalizeRdfaNode($, propertyEl, `${entity.path} > ${name}`)
+                        : this.getElementValue($, propertyEl, 'rdfa'));
+                });
+            }
+        });
+
+        return entity;
+    }
+
+    /**
+     * Vocabulary and prefix mappings in scope of an element. The closest `vocab` wins,
+     * `prefix` declarations are inherited and override the RDFa initial context.
+     * @returns {Object} { vocab, prefixes }
+     */
+    getRdfaContext($, el) {
+        let vocab;
+        const declared = {};
+
+        [el, ...$(el).parents().get()].forEach(node => {
+            const attribs = node.attribs || {};
+            if (vocab === undefined && attribs.vocab !== undefined) {
+                vocab = attribs.vocab.trim() || null;
+            }
+            const declarations = String(attribs.prefix || '').trim().split(/\s+/);
+            for (let index = 0; index + 1 < declarations.length; index += 2) {
+                const prefix = declarations[index].replace(/:$/, '').toLowerCase();
+                if (declared[prefix] === undefined) declared[prefix] = declarations[index + 1];
+            }
+        });
+
+        return { vocab: vocab || null, prefixes: { ...RDFA_INITIAL_PREFIXES, ...declared } };
+    }
+
+    /**
+     * Resolves the terms, CURIEs and IRIs of an RDFa attribute and keeps the schema.org names.
+     * Terms of other vocabularies (og:, dc:, FOAF via vocab, ...) are dropped.
+     * @param {Object} $ - Cheerio instance
+     * @param {Object} el - Element the attribute belongs to, its ancestors provide the context
+     * @param {string} value - Attribute value
+     * @returns {string[]} Schema.org names without prefix
+     */
+    getRdfaTerms($, el, value) {
+        const terms = String(value || '').split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const context = this.getRdfaContext($, el);
+        return terms.map(term => {
+            let iri;
+            const curie = term.match(/^([\w-]*):(?!\/\/)(.*)$/);
+            if (/^https?:\/\//i.test(term)) {
+                iri = term;
+            } else if (curie) {
+                const namespace = context.prefixes[curie[1].toLowerCase()];
+                iri = namespace ? namespace + curie[2] : null;
+            } else {
+                iri = context.vocab ? context.vocab.replace(SCHEMA_NAMESPACE_WITHOUT_SLASH, '$&/') + term : null;
+            }
+            return iri && SCHEMA_NAMESPACE.test(iri) ? iri.replace(SCHEMA_NAMESPACE, '') : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Whether an RDFa node is typed in schema.org, an empty typeof counts when schema.org is the vocabulary
+     */
+    isSchemaRdfaNode($, el) {
+        const typeOf = $(el).attr('typeof') || '';
+        if (typeOf.trim()) return this.getRdfaTerms($, el, typeOf).length > 0;
+        const { vocab } = this.getRdfaContext($, el);
+        return !!vocab && SCHEMA_NAMESPACE_WITHOUT_SLASH.test(vocab.replace(/\/$/, ''));
+    }
+
+    /**
+     * Walks the DOM below an item and reports every property element that belongs to it.
+     * Descending stops at nested items, their properties belong to the nested item.
+     */
+    collectScopedProperties($, nodes, { propertyAttribute, scopeAttribute, onProperty }) {
+        nodes.forEach(node => {
+            const $node = $(node);
+            const names = ($node.attr(propertyAttribute) || '').split(/\s+/).filter(Boolean);
+
+            if (names.length > 0) {
+                onProperty(node, names);
+            }
+            if ($node.attr(scopeAttribute) === undefined) {
+                this.collectScopedProperties($, $node.children().get(), { propertyAttribute, scopeAttribute, onProperty });
+            }
+        });
+    }
+
+    /**
+     * Reads a property value following the microdata / RDFa value rules
+     */
+    getElementValue($, el, format) {
+        const $el = $(el);
+        const tag = (el.tagName || el.name || '').toLowerCase();
+
+        if ($el.attr('content') !== undefined) return $el.attr('content');
+        if (format === 'rdfa' && $el.attr('resource') !== undefined) return $el.attr('resource');
+        if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) return $el.attr('src') || '';
+        if (['a', 'area', 'link'].includes(tag)) return $el.attr('href') || '';
+        if (tag === 'object') return $el.attr('data') || '';
+        if (['data', 'meter'].includes(tag) && $el.attr('value') !== undefined) return $el.attr('value');
+        if (tag === 'time' && $el.attr('datetime') !== undefined) return $el.attr('datetime');
+
+        return $el.text().replace(/\s+/g, ' ').trim();
+    }
+
+    isEntity(value) {
+        return !!value && typeof value === 'object' && Array.isArray(value.types) && !!value.properties;
+    }
+
+    /**
+     * Calls a visitor for every entity, nested entities included
+     */
+    walkEntities(entities, visitor) {
+        entities.forEach(entity => {
+            visitor(entity);
+            Object.values(entity.properties).forEach(values => {
+                this.walkEntities(values.filter(value => this.isEntity(value)), visitor);
+            });
+        });
+    }
+
+    /**
+     * Collects properties and requirements of a type including its parents
+     * @param {string} type - Schema.org type name
+     * @returns {Object|null} { properties, required, recommended } or null for unknown types
+     */
+    getTypeDefinition(type) {
+        if (!this.vocabulary[type]) return null;
+
+        const definition = { properties: new Set(), required: [], recommended: [] };
+        let current = type;
+        while (current && this.vocabulary[current]) {
+            const typeDefinition = this.vocabulary[current];
+            typeDefinition.properties.forEach(property => definition.properties.add(property));
+            definition.required.push(...typeDefinition.required.filter(p => !definition.required.includes(p)));
+            definition.recommended.push(...typeDefinition.recommended.filter(p => !definition.recommended.includes(p)));
+            current = typeDefinition.parent;
+        }
+
+        // Anything already required does not need to be recommended as well
+        definition.recommended = definition.recommended.filter(p => !definition.required.includes(p));
+        return definition;
+    }
+
+    hasProperty(entity, property) {
+        const values = entity.properties[property];
+        return Array.isArray(values) && values.some(value => value !== '' && value !== null && value !== undefined);
+    }
+
+    /**
+     * Validates an entity against the vocabulary
+     * @param {Object} entity - Normalized entity
+     * @returns {Object} Validation result
+     */
+    validateEntity(entity) {
+        const knownTypes = entity.types.filter(type => this.vocabulary[type]);
+        const unknownTypes = entity.types.filter(type => !this.vocabulary[type]);
+        const definitions = knownTypes.map(type => this.getTypeDefinition(type));
+
+        // Requirements may be satisfied by alternatives written as "a|b"
+        const isSatisfied = requirement => requirement.split('|').some(property => this.hasProperty(entity, property));
+        const unique = list => [...new Set(list)];
+
+        const missingRequired = unique(definitions.reduce((list, d) => list.concat(d.required), []))
+            .filter(requirement => !isSatisfied(requirement));
+        const missingRecommended = unique(definitions.reduce((list, d) => list.concat(d.recommended), []))
+            .filter(requirement => !isSatisfied(requirement));
+
+        // Properties can only be judged when every type of the entity is known
+        const unknownProperties = definitions.length > 0 && unknownTypes.length === 0
+            ? Object.keys(entity.properties).filter(property => !definitions.some(d => d.properties.has(property)))
+            : [];
+
+        return {
+            knownTypes,
+            unknownTypes,
+            missingRequired,
+            missingRecommended,
+            unknownProperties,
+            isValid: entity.types.length > 0 && missingRequired.length === 0
+        };
+    }
+
+    getValidationIssues(entity) {
+        const { validation } = entity;
+        const issues = [];
+        const add = (severity, message) => issues.push({
+            severity,
+            format: entity.format,
+            path: entity.path,
+            type: entity.types[0] || null,
+            message
+        });
+
+        // Nested values without a type are plain data, only top-level nodes need one
+        if (entity.types.length === 0 && !entity.path.includes(' > ')) {
+            add('error', entity.format === 'json-ld' ? 'Entity has no @type' : 'Entity has no type');
+        }
+        validation.unknownTypes.forEach(type => add('warning', `Unknown schema.org type: ${type}`));
+        validation.missingRequired.forEach(property => add('error', `Missing required property: ${property.split('|').join(' or ')}`));
+        validation.missingRecommended.forEach(property => add('warning', `Missing recommended property: ${property.split('|').join(' or ')}`));
+        validation.unknownProperties.forEach(property => add('warning', `Property not defined for ${entity.types.join(', ')}: ${property}`));
+
+        return issues;
+    }
+}
+
+module.exports = { StructuredDataAnalyzer };
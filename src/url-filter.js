@@ -0,0 +1,110 @@
+/**
+ * URL Filter for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Matches crawl candidates against include and exclude patterns so the
+ * crawl budget is spent on relevant pages. Patterns are globs (`*` matches within a
+ * path segment, `**` across segments) or regular expressions prefixed with `regex:`.
+ * Regular expressions and globs starting with a protocol are matched against the
+ * full URL, all other globs against the path and query string.
+ */
+
+class URLFilter {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.includePatterns - URLs must match at least one pattern (if any are given)
+     * @param {string[]} options.excludePatterns - URLs matching any pattern are never crawled
+     */
+    constructor({ includePatterns = [], excludePatterns = [] } = {}) {
+        this.includePatterns = this.compilePatterns(includePatterns);
+        this.excludePatterns = this.compilePatterns(excludePatterns);
+    }
+
+    compilePatterns(patterns) {
+        return (Array.isArray(patterns) ? patterns : [])
+            .map(pattern => String(pattern || '').trim())
+            .filter(pattern => pattern.length > 0)
+            .map(pattern => ({
+                pattern,
+                matchFullUrl: this.isRegexPattern(pattern) || /^[a-z][a-z0-9+.-]*:\/\//i.test(pattern),
+                regex: this.patternToRegex(pattern)
+            }));
+    }
+
+    isRegexPattern(pattern) {
+        return /^regex:/i.test(pattern);
+    }
+
+    /**
+     * Converts a glob or `regex:` pattern into a RegExp
+     * @param {string} pattern - Glob or prefixed regular expression
+     * @returns {RegExp}
+     */
+    patternToRegex(pattern) {
+        if (this.isRegexPattern(pattern)) {
+            try {
+                return new RegExp(pattern.replace(/^regex:/i, ''), 'i');
+            } catch (error) {
+                console.warn(`Invalid URL pattern ${pattern}: ${error.message}`);
+                return /$^/;
+            }
+        }
+
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*') {
+                if (pattern[i + 1] === '*') {
+                    source += '.*';
+                    i++;
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    matches(compiled, url) {
+        let target = url;
+        if (!compiled.matchFullUrl) {
+            try {
+                const parsed = new URL(url);
+                target = parsed.pathname + parsed.search;
+            } catch (e) {
+                // Not an absolute URL, match the raw string
+            }
+        }
+        return compiled.regex.test(target);
+    }
+
+    /**
+     * Checks a URL against the configured patterns
+     * @param {string} url - Absolute URL
+     * @returns {Object} { allowed, reason }
+     */
+    check(url) {
+        const excludedBy = this.excludePatterns.find(compiled => this.matches(compiled, url));
+        if (excludedBy) {
+            return { allowed: false, reason: `excluded by pattern ${excludedBy.pattern}` };
+        }
+
+        if (this.includePatterns.length > 0 &&
+            !this.includePatterns.some(compiled => this.matches(compiled, url))) {
+            return { allowed: false, reason: 'not matched by any include pattern' };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    isAllowed(url) {
+        return this.check(url).allowed;
+    }
+}
+
+module.exports = { URLFilter };
@@ -40,6 +40,32 @@ class URLNormalizer {
         }
     }
 
+    /**
+     * Resolves the links of a page against its final URL and keeps the normalized links
+     * on one of the crawl's origins. The allowed origins are fixed by the caller (start
+     * origins and the targets their start URLs redirect to), so a page that redirects
+     * off-site never widens the crawl to the site it redirected to.
+     * @param {Array<Object|string>} links - Link objects with a url or plain link strings
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL at the end of the page's redirect chain, the base of relative links
+     * @param {Set<string>} options.allowedOrigins - Origins whose links are crawled
+     * @returns {string[]} Unique normalized absolute URLs
+     */
+    resolveCrawlLinks(links, { baseUrl, allowedOrigins }) {
+        const resolved = new Set();
+
+        (links || []).forEach(linkObj => {
+            try {
+                const link = new URL(linkObj.url || linkObj, baseUrl);
+                if (allowedOrigins.has(link.origin)) resolved.add(this.normalize(link.href));
+            } catch (error) {
+                // Skip invalid URLs
+            }
+        });
+
+        return [...resolved];
+    }
+
     normalizeForComparison(rawUrl) {
         if (!rawUrl) return null;
         
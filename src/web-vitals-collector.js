@@ -0,0 +1,207 @@
+/**
+ * Web Vitals Collector for MSD SEO Audit Actor
+ *
+ * @author MySmartDigital
+ * @description Measures lab Core Web Vitals in the headless browser. PerformanceObservers
+ * are installed before the page's own scripts run and record paint, largest contentful
+ * paint, layout shift and long task entries; after loading the entries are turned into
+ * LCP (with its element), CLS (with the shifting nodes), TBT and FCP plus the
+ * DOMContentLoaded and load timings, each rated against the Core Web Vitals thresholds.
+ */
+
+// Network and CPU throttling profiles, network values in bytes per second and milliseconds
+const THROTTLING_PROFILES = {
+    none: null,
+    desktop: {
+        cpuSlowdown: 1,
+        network: { download: (10 * 1024 * 1024) / 8, upload: (10 * 1024 * 1024) / 8, latency: 40 }
+    },
+    mobile: {
+        cpuSlowdown: 4,
+        network: { download: (1.6 * 1024 * 1024) / 8, upload: (750 * 1024) / 8, latency: 150 }
+    }
+};
+
+// Upper bounds of "good" and "needs improvement"
+const THRESHOLDS = {
+    largestContentfulPaint: [2500, 4000],
+    cumulativeLayoutShift: [0.1, 0.25],
+    totalBlockingTime: [200, 600],
+    firstContentfulPaint: [1800, 3000]
+};
+
+/**
+ * Runs inside the page before any other script and records the raw performance entries
+ */
+function recordPerformanceEntries() {
+    const store = window.__msdWebVitals = { fcp: null, lcp: null, shifts: [], longTasks: [] };
+    const describe = (node) => {
+        if (!node || !node.tagName) return null;
+        let description = node.tagName.toLowerCase();
+        if (node.id) {
+            description += `#${node.id}`;
+        } else if (node.classList && node.classList.length > 0) {
+            description += `.${Array.from(node.classList).slice(0, 2).join('.')}`;
+        }
+        return description;
+    };
+    const observe = (type, callback) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    };
+
+    observe('paint', (entry) => {
+        if (entry.name === 'first-contentful-paint') store.fcp = entry.startTime;
+    });
+    observe('largest-contentful-paint', (entry) => {
+        store.lcp = { time: entry.startTime, element: describe(entry.element), url: entry.url || null, size: entry.size };
+    });
+    observe('layout-shift', (entry) => {
+        if (entry.hadRecentInput) return;
+        store.shifts.push({
+            time: entry.startTime,
+            value: entry.value,
+            nodes: (entry.sources || []).map(source => describe(source.node)).filter(Boolean)
+        });
+    });
+    observe('longtask', (entry) => {
+        store.longTasks.push({ start: entry.startTime, duration: entry.duration });
+    });
+}
+
+class WebVitalsCollector {
+    /**
+     * @param {Object} options
+     * @param {string} options.throttlingProfile - One of THROTTLING_PROFILES
+     */
+    constructor({ throttlingProfile = 'none' } = {}) {
+        if (!WebVitalsCollector.getThrottlingProfiles().includes(throttlingProfile)) {
+            throw new Error(`Unknown throttling profile "${throttlingProfile}", use one of: ${WebVitalsCollector.getThrottlingProfiles().join(', ')}`);
+        }
+        this.throttlingProfile = throttlingProfile;
+    }
+
+    /**
+     * Names of the supported throttling profiles, for validating the input up front
+     * @returns {string[]}
+     */
+    static getThrottlingProfiles() {
+        return Object.keys(THROTTLING_PROFILES);
+    }
+
+    /**
+     * Applies the throttling profile and installs the observers, call before navigating
+     * @param {Object} page - Puppeteer page
+     */
+    async install(page) {
+        const profile = THROTTLING_PROFILES[this.throttlingProfile];
+        if (profile) {
+            await page.emulateCPUThrottling(profile.cpuSlowdown);
+            await page.emulateNetworkConditions(profile.network);
+        }
+        await page.evaluateOnNewDocument(recordPerformanceEntries);
+    }
+
+    /**
+     * Largest session window of layout shifts (shifts less than 1s apart, at most 5s long)
+     * @param {Object[]} shifts - { time, value, nodes }
+     * @returns {Object} { value, nodes } with the nodes of the worst window ordered by shift
+     */
+    calculateCls(shifts) {
+        let worst = { value: 0, shifts: [] };
+        let current = { value: 0, shifts: [] };
+
+        [...shifts].sort((a, b) => a.time - b.time).forEach((shift) => {
+            const first = current.shifts[0];
+            const last = current.shifts[current.shifts.length - 1];
+            if (first && (shift.time - last.time >= 1000 || shift.time - first.time >= 5000)) {
+                current = { value: 0, shifts: [] };
+            }
+            current.value += shift.value;
+            current.shifts.push(shift);
+            if (current.value > worst.value) worst = { value: current.value, shifts: [...current.shifts] };
+        });
+
+        const shiftByNode = {};
+        worst.shifts.forEach(shift => shift.nodes.forEach((node) => {
+            shiftByNode[node] = (shiftByNode[node] || 0) + shift.value;
+        }));
+
+        return {
+            value: Math.round(worst.value * 1000) / 1000,
+            nodes: Object.entries(shiftByNode)
+                .sort((a, b) => b[1] - a[1])
+                .map(([node, value]) => ({ node, shift: Math.round(value * 1000) / 1000 }))
+        };
+    }
+
+    /**
+     * Sum of the blocking part (beyond 50ms) of all long tasks after the first contentful paint
+     */
+    calculateTbt(longTasks, firstContentfulPaint) {
+        const start = firstContentfulPaint || 0;
+        return Math.round(longTasks.reduce((sum, task) => {
+            const taskEnd = task.start + task.duration;
+            if (taskEnd <= start) return sum;
+            const blockingDuration = taskEnd - Math.max(task.start, start) - 50;
+            return sum + Math.max(0, blockingDuration);
+        }, 0));
+    }
+
+    rate(metric, value) {
+        if (value === null || value === undefined) return null;
+        const [good, needsImprovement] = THRESHOLDS[metric];
+        if (value <= good) return 'good';
+        if (value <= needsImprovement) return 'needs-improvement';
+        return 'poor';
+    }
+
+    /**
+     * Reads the recorded entries from the loaded page
+     * @param {Object} page - Puppeteer page the observers were installed on
+     * @returns {Promise<Object|null>} Lab metrics in milliseconds, or null if nothing was recorded
+     */
+    async collect(page) {
+        const raw = await page.evaluate(() => {
+            const navigation = performance.getEntriesByType('navigation')[0];
+            return {
+                entries: window.__msdWebVitals || null,
+                domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+                loadTime: navigation ? navigation.loadEventEnd : null,
+                viewport: { width: window.innerWidth, height: window.innerHeight }
+            };
+        });
+        if (!raw || !raw.entries) return null;
+
+        const round = value => (value === null || value === undefined ? null : Math.round(value));
+        const { fcp, lcp, shifts, longTasks } = raw.entries;
+        const cls = this.calculateCls(shifts);
+        const metrics = {
+            largestContentfulPaint: lcp ? round(lcp.time) : null,
+            cumulativeLayoutShift: cls.value,
+            totalBlockingTime: this.calculateTbt(longTasks, fcp),
+            firstContentfulPaint: round(fcp)
+        };
+        const ratings = {};
+        Object.entries(metrics).forEach(([metric, value]) => {
+            ratings[metric] = this.rate(metric, value);
+        });
+
+        return {
+            ...metrics,
+            lcpElement: lcp ? { element: lcp.element, url: lcp.url, size: lcp.size } : null,
+            layoutShiftNodes: cls.nodes,
+            longTasks: longTasks.length,
+            domContentLoaded: round(raw.domContentLoaded),
+            loadTime: round(raw.loadTime),
+            ratings,
+            viewport: raw.viewport,
+            throttlingProfile: this.throttlingProfile
+        };
+    }
+}
+
+module.exports = { WebVitalsCollector };
@@ -0,0 +1,99 @@
+const cheerio = require('cheerio');
+const { AccessibilityAnalyzer } = require('../src/accessibility-analyzer');
+
+describe('AccessibilityAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new AccessibilityAnalyzer();
+    });
+
+    const findIssues = (result, type) => result.issues.filter(issue => issue.type === type);
+
+    it('should not report issues for accessible markup', () => {
+        const $ = cheerio.load(`<html lang="en"><body>
+            <header><nav><a href="/">Home</a></nav></header>
+            <main>
+                <h1>Title</h1>
+                <form>
+                    <label for="email">Email</label><input id="email" type="email">
+                    <label>Name <input type="text"></label>
+                    <input type="search" aria-label="Search">
+                    <input type="hidden" name="token">
+                    <button type="submit">Send</button>
+                </form>
+                <a href="/cart"><img src="cart.svg" alt="Cart"></a>
+                <div role="dialog" aria-labelledby="email"></div>
+            </main>
+            <footer>Footer</footer>
+        </body></html>`);
+        const result = analyzer.analyze($);
+
+        expect(result.issues).toEqual([]);
+        expect(result.landmarks).toEqual({ main: 1, navigation: 1, banner: 1, contentinfo: 1 });
+    });
+
+    it('should report unlabeled fields, unnamed controls and empty headings with selectors', () => {
+        const $ = cheerio.load(`<html><body><main id="content">
+            <h2></h2>
+            <form><input type="text" placeholder="Your name"><select></select></form>
+            <button><i class="icon"></i></button>
+            <ul><li><a href="/a">A</a></li><li><a href="/b"><span></span></a></li></ul>
+        </main></body></html>`);
+        const result = analyzer.analyze($);
+
+        expect(findIssues(result, 'missing_lang')).toHaveLength(1);
+        expect(findIssues(result, 'empty_heading')[0].selector).toBe('#content > h2');
+        expect(findIssues(result, 'input_without_label').map(issue => issue.selector)).toEqual(['#content > form > input', '#content > form > select']);
+        expect(findIssues(result, 'button_without_name')).toHaveLength(1);
+        expect(findIssues(result, 'link_without_name')[0].selector).toBe('#content > ul > li:nth-of-type(2) > a');
+        expect(result.issuesByType.input_without_label).toBe(2);
+    });
+
+    it('should report duplicate IDs, invalid ARIA and landmark problems', () => {
+        const $ = cheerio.load(`<html lang="en"><body>
+            <div id="box"></div><div id="box"></div>
+            <div role="buton"></div>
+            <div aria-labeledby="box"></div>
+            <div aria-describedby="missing"></div>
+            <a href="/x" aria-hidden="true">X</a>
+            <main></main><div role="main"></div>
+        </body></html>`);
+        const result = analyzer.analyze($);
+
+        expect(findIssues(result, 'duplicate_id')[0].message).toBe('ID "box" is used 2 times');
+        expect(findIssues(result, 'invalid_aria_role')[0].message).toBe('Invalid ARIA role "buton"');
+        expect(findIssues(result, 'invalid_aria_attribute').map(issue => issue.message)).toEqual([
+            'Unknown ARIA attribute "aria-labeledby"',
+            'aria-describedby references missing ID missing',
+            'Focusable element is hidden with aria-hidden="true"'
+        ]);
+        expect(findIssues(result, 'duplicate_landmark')[0].message).toBe('The page has 2 main landmarks');
+    });
+
+    it('should resolve IDs containing quotes and other selector characters', () => {
+        const $ = cheerio.load(`<html lang="en"><body><main>
+            <span id='say"hi"'>Greeting</span><span id='say"hi"'>Again</span>
+            <span id="a\\b]">Search</span>
+            <button aria-labelledby='say"hi"'></button>
+            <input type="text" aria-labelledby="a\\b]">
+            <div aria-describedby='gone"'></div>
+        </main></body></html>`);
+        const result = analyzer.analyze($);
+
+        expect(findIssues(result, 'button_without_name')).toEqual([]);
+        expect(findIssues(result, 'input_without_label')).toEqual([]);
+        expect(findIssues(result, 'duplicate_id')[0].message).toBe('ID "say"hi"" is used 2 times');
+        expect(findIssues(result, 'invalid_aria_attribute')[0].message).toBe('aria-describedby references missing ID gone"');
+    });
+
+    it('should limit listed issues per type but keep the full counts', () => {
+        const limited = new AccessibilityAnalyzer({ maxIssuesPerType: 2 });
+        const $ = cheerio.load(`<html lang="en"><body><main>${'<input type="text">'.repeat(5)}</main></body></html>`);
+        const result = limited.analyze($);
+
+        expect(result.issuesByType.input_without_label).toBe(5);
+        expect(findIssues(result, 'input_without_label')).toHaveLength(2);
+        expect(result.issueCount).toBe(5);
+    });
+});
@@ -0,0 +1,94 @@
+const cheerio = require('cheerio');
+const { CanonicalAnalyzer } = require('../src/canonical-analyzer');
+
+const buildPage = (url, head, extra = {}) => {
+    const analyzer = new CanonicalAnalyzer();
+    const $ = cheerio.load(`<html><head>${head}</head><body></body></html>`);
+    return { url, statusCode: 200, canonicalAnalysis: analyzer.analyzePage($, url), ...extra };
+};
+
+describe('CanonicalAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new CanonicalAnalyzer();
+    });
+
+    it('should resolve and classify canonical tags', () => {
+        const analyze = (html, url = 'https://example.com/page') => analyzer.analyzePage(cheerio.load(html), url);
+
+        expect(analyze('<link rel="canonical" href="https://example.com/page/">').type).toBe('self');
+        expect(analyze('<link rel="canonical" href="https://example.com/other">').type).toBe('cross_page');
+        expect(analyze('<link rel="canonical" href="https://other.com/page">').type).toBe('cross_domain');
+        expect(analyze('<p>No canonical</p>').type).toBe('missing');
+
+        const relative = analyze('<link rel="canonical" href="/page?utm_source=x">');
+        expect(relative.canonicalUrl).toBe('https://example.com/page');
+        expect(relative.isRelative).toBe(true);
+        expect(relative.issues.map(issue => issue.type)).toEqual(['relative_url']);
+    });
+
+    it('should report multiple, conflicting, body and invalid canonical tags', () => {
+        const $ = cheerio.load(`<html><head>
+            <link rel="canonical" href="https://example.com/a">
+            <link rel="canonical" href="https://example.com/b">
+        </head><body><link rel="canonical" href="javascript:void(0)"></body></html>`);
+        const result = analyzer.analyzePage($, 'https://example.com/a');
+        const types = result.issues.map(issue => issue.type);
+
+        expect(result.count).toBe(3);
+        expect(result.inBody).toBe(true);
+        expect(result.type).toBe('self');
+        expect(types).toEqual(expect.arrayContaining(['conflicting_canonicals', 'canonical_in_body', 'invalid_url']));
+    });
+
+    it('should check canonical targets and detect chains and loops', async () => {
+        const noindex = { robotsDirectives: { effective: { noindex: true } } };
+        const pages = [
+            buildPage('https://example.com/a', '<link rel="canonical" href="https://example.com/b">'),
+            buildPage('https://example.com/b', '<link rel="canonical" href="https://example.com/c">'),
+            buildPage('https://example.com/c', '<link rel="canonical" href="https://example.com/c">'),
+            buildPage('https://example.com/d', '<link rel="canonical" href="https://example.com/e">', noindex),
+            buildPage('https://example.com/e', '<link rel="canonical" href="https://example.com/e">', { statusCode: 404, ...noindex }),
+            buildPage('https://example.com/x', '<link rel="canonical" href="https://example.com/y">'),
+            buildPage('https://example.com/y', '<link rel="canonical" href="https://example.com/x">')
+        ];
+
+        const summary = await analyzer.analyzeAcrossPages(pages);
+        const issueTypes = page => page.canonicalAnalysis.issues.map(issue => issue.type);
+
+        expect(pages[0].canonicalAnalysis.chain).toEqual(['https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+        expect(issueTypes(pages[0])).toContain('canonical_chain');
+        expect(issueTypes(pages[3])).toEqual(expect.arrayContaining(['noindex_conflict', 'canonical_target_not_200', 'canonical_target_noindex']));
+        expect(issueTypes(pages[5])).toContain('canonical_loop');
+        expect(summary.canonical_chains).toBe(1);
+        expect(summary.canonical_loops).toBe(2);
+        expect(summary.noindex_conflicts).toBe(1);
+        expect(summary.unverified_targets).toBe(0);
+    });
+
+    it('should check canonical targets that were not crawled', async () => {
+        const pages = [
+            buildPage('https://example.com/a', '<link rel="canonical" href="https://example.com/moved">'),
+            buildPage('https://example.com/b', '<link rel="canonical" href="https://example.com/moved">'),
+            buildPage('https://example.com/c', '<link rel="canonical" href="https://other.com/gone">'),
+            buildPage('https://example.com/d', '<link rel="canonical" href="https://example.com/fine">')
+        ];
+        const statuses = {
+            'https://example.com/moved': { statusCode: 200, finalUrl: 'https://example.com/new', redirect: { isRedirected: true } },
+            'https://other.com/gone': { statusCode: 404, finalUrl: 'https://other.com/gone', redirect: { isRedirected: false } },
+            'https://example.com/fine': { statusCode: 200, finalUrl: 'https://example.com/fine', redirect: { isRedirected: false } }
+        };
+        const checkStatus = jest.fn(url => Promise.resolve(statuses[url]));
+
+        const summary = await analyzer.analyzeAcrossPages(pages, { checkStatus });
+        const issueTypes = page => page.canonicalAnalysis.issues.map(issue => issue.type);
+
+        expect(checkStatus).toHaveBeenCalledTimes(3);
+        expect(issueTypes(pages[0])).toEqual(['canonical_target_redirects']);
+        expect(pages[1].canonicalAnalysis.issues[0].message).toContain('redirects to https://example.com/new');
+        expect(issueTypes(pages[2])).toEqual(['canonical_target_not_200']);
+        expect(issueTypes(pages[3])).toEqual([]);
+        expect(summary).toMatchObject({ checked_targets: 3, canonical_targets_redirecting: 2, canonical_targets_not_200: 1, unverified_targets: 0 });
+    });
+});
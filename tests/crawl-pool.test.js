@@ -0,0 +1,120 @@
+const { CrawlPool } = require('../src/crawl-pool');
+
+describe('CrawlPool', () => {
+    it('should process queued and discovered items without duplicates', async () => {
+        const pool = new CrawlPool({ concurrency: 3, perHostDelay: 0 });
+        const processed = [];
+
+        pool.enqueue({ url: 'https://example.com/' });
+        pool.enqueue({ url: 'https://example.com/' });
+
+        await pool.run(async ({ url }) => {
+            processed.push(url);
+            if (url === 'https://example.com/') {
+                pool.enqueue({ url: 'https://example.com/a' });
+                pool.enqueue({ url: 'https://example.com/b' });
+                pool.enqueue({ url: 'https://example.com/a' });
+            }
+        });
+
+        expect(processed.sort()).toEqual([
+            'https://example.com/',
+            'https://example.com/a',
+            'https://example.com/b'
+        ]);
+    });
+
+    it('should never exceed the configured concurrency', async () => {
+        const pool = new CrawlPool({ concurrency: 2, perHostDelay: 0 });
+        let running = 0;
+        let maxRunning = 0;
+
+        for (let i = 0; i < 6; i++) {
+            pool.enqueue({ url: `https://site${i}.example.com/` });
+        }
+
+        await pool.run(async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+        });
+
+        expect(maxRunning).toBe(2);
+    });
+
+    it('should stop at maxItems but not count released items', async () => {
+        const pool = new CrawlPool({ concurrency: 2, perHostDelay: 0, maxItems: 2 });
+        const processed = [];
+
+        ['a', 'b', 'c', 'd'].forEach(path => pool.enqueue({ url: `https://example.com/${path}` }));
+
+        await pool.run(async ({ url }) => {
+            processed.push(url);
+            // Treat the first page as failed so it does not use up the budget
+            return url !== 'https://example.com/a';
+        });
+
+        expect(processed).toHaveLength(3);
+    });
+
+    it('should space requests to the same host', async () => {
+        const pool = new CrawlPool({ concurrency: 3, perHostDelay: 50 });
+        const startTimes = [];
+
+        ['a', 'b', 'c'].forEach(path => pool.enqueue({ url: `https://example.com/${path}` }));
+
+        await pool.run(async () => {
+            startTimes.push(Date.now());
+        });
+
+        startTimes.sort((a, b) => a - b);
+        expect(startTimes[2] - startTimes[0]).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should give a second request for the same page its own host slot', async () => {
+        const pool = new CrawlPool({ concurrency: 2, perHostDelay: 50 });
+        const requestTimes = [];
+
+        ['a', 'b'].forEach(path => pool.enqueue({ url: `https://example.com/${path}` }));
+
+        await pool.run(async ({ url }) => {
+            requestTimes.push(Date.now());
+            if (url.endsWith('/a')) {
+                await pool.waitForHostSlot(url);
+                requestTimes.push(Date.now());
+            }
+        });
+
+        // Slots are 50ms apart from the first request, a late timer only widens a gap
+        requestTimes.sort((x, y) => x - y);
+        expect(requestTimes).toHaveLength(3);
+        expect(requestTimes[1] - requestTimes[0]).toBeGreaterThanOrEqual(45);
+        expect(requestTimes[2] - requestTimes[0]).toBeGreaterThanOrEqual(95);
+    });
+
+    it('should snapshot in-flight items back into the queue and restore them', async () => {
+        const pool = new CrawlPool({ concurrency: 1, perHostDelay: 0 });
+        let snapshot;
+
+        ['a', 'b'].forEach(path => pool.enqueue({ url: `https://example.com/${path}`, depth: 1 }));
+
+        await pool.run(async ({ url }) => {
+            if (url.endsWith('/b')) {
+                snapshot = pool.getState();
+            }
+        });
+
+        expect(snapshot.queue).toEqual([{ url: 'https://example.com/b', depth: 1 }]);
+        expect(snapshot.processedCount).toBe(1);
+
+        const restored = new CrawlPool({ concurrency: 1, perHostDelay: 0, maxItems: 2 });
+        restored.restoreState(JSON.parse(JSON.stringify(snapshot)));
+        const processed = [];
+
+        expect(restored.enqueue({ url: 'https://example.com/a' })).toBe(false);
+        await restored.run(async ({ url }) => processed.push(url));
+
+        expect(processed).toEqual(['https://example.com/b']);
+    });
+});
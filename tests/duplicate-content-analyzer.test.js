@@ -0,0 +1,57 @@
+const { DuplicateContentAnalyzer } = require('../src/duplicate-content-analyzer');
+
+const locationText = city => `Looking for a reliable plumber in ${city}? Our certified team handles leaking pipes, ` +
+    'blocked drains, boiler repairs and bathroom installations. We offer fixed prices, same day appointments ' +
+    'and a two year guarantee on all work. Call us today for a free quote and friendly advice from local experts ' +
+    'who know the area, the buildings and the regulations. Emergency callouts are available around the clock, ' +
+    'weekends included, and our vans carry the most common spare parts so most jobs are finished in one visit.';
+
+describe('DuplicateContentAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new DuplicateContentAnalyzer();
+    });
+
+    it('should create stable fingerprints and similarity scores', () => {
+        const a = analyzer.createFingerprint(locationText('Berlin'));
+        const b = analyzer.createFingerprint(`  ${locationText('Berlin').toUpperCase()} `);
+        const c = analyzer.createFingerprint(locationText('Hamburg'));
+        const unrelated = analyzer.createFingerprint('The history of the printing press begins with movable type in the fifteenth century, ' +
+            'when Gutenberg combined metal type, oil based ink and a wooden press to print books in large numbers.');
+
+        expect(a.simhash).toMatch(/^[0-9a-f]{16}$/);
+        expect(a.hash).toBe(b.hash);
+        expect(a.hash).not.toBe(c.hash);
+        expect(analyzer.getSimilarity(a.simhash, c.simhash)).toBeGreaterThanOrEqual(90);
+        expect(analyzer.getSimilarity(a.simhash, unrelated.simhash)).toBeLessThan(90);
+        expect(analyzer.createFingerprint('').hash).toBeNull();
+    });
+
+    it('should cluster exact and near-duplicate pages', () => {
+        const page = (url, text, extra = {}) => ({ url, statusCode: 200, contentFingerprint: analyzer.createFingerprint(text), ...extra });
+        const pages = [
+            page('https://example.com/berlin', locationText('Berlin')),
+            page('https://example.com/berlin-copy', locationText('Berlin')),
+            page('https://example.com/hamburg', locationText('Hamburg')),
+            page('https://example.com/about', 'We are a family business founded in 1982 that grew from a single van into a team of thirty engineers across the country.'),
+            page('https://example.com/old-berlin', locationText('Berlin'), { statusCode: 301, finalUrl: 'https://example.com/berlin', finalStatusCode: 200 }),
+            page('https://example.com/missing', locationText('Munich'), { statusCode: 404 })
+        ];
+
+        const report = analyzer.analyzeAcrossPages(pages, 90);
+
+        expect(report.pages_compared).toBe(4);
+        expect(report.exact_duplicate_clusters).toEqual([
+            { pages: 2, word_count: pages[0].contentFingerprint.wordCount, urls: ['https://example.com/berlin', 'https://example.com/berlin-copy'] }
+        ]);
+        expect(report.near_duplicate_clusters).toHaveLength(1);
+        expect(report.near_duplicate_clusters[0].urls.sort()).toEqual([
+            'https://example.com/berlin', 'https://example.com/berlin-copy', 'https://example.com/hamburg'
+        ]);
+        expect(pages[2].duplicateContent.nearDuplicates[0].url).toBe('https://example.com/berlin');
+        expect(pages[3].duplicateContent.nearDuplicates).toEqual([]);
+        expect(pages[1].duplicateContent.exactDuplicates).toEqual(['https://example.com/berlin']);
+        expect(pages[1].duplicateContent.nearDuplicates.map(duplicate => duplicate.url)).toEqual(['https://example.com/hamburg']);
+    });
+});
@@ -0,0 +1,105 @@
+const cheerio = require('cheerio');
+const { HreflangAnalyzer } = require('../src/hreflang-analyzer');
+
+const buildPage = (url, alternates, extra = {}) => {
+    const analyzer = new HreflangAnalyzer();
+    const links = alternates.map(([code, href]) => `<link rel="alternate" hreflang="${code}" href="${href}">`).join('');
+    const $ = cheerio.load(`<html><head>${links}</head><body></body></html>`);
+    return { url, statusCode: 200, hreflangAnalysis: analyzer.analyzePage($, url), ...extra };
+};
+
+describe('HreflangAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new HreflangAnalyzer();
+    });
+
+    it('should validate language, script and region codes', () => {
+        expect(analyzer.parseCode('en-GB')).toMatchObject({ language: 'en', region: 'GB', isValid: true });
+        expect(analyzer.parseCode('zh-Hant-TW')).toMatchObject({ language: 'zh', script: 'Hant', region: 'TW', isValid: true });
+        expect(analyzer.parseCode('x-default')).toMatchObject({ isXDefault: true, isValid: true });
+
+        const uk = analyzer.parseCode('en-UK');
+        expect(uk.isValid).toBe(false);
+        expect(uk.error).toContain('"GB"');
+        expect(analyzer.parseCode('en_US').isValid).toBe(false);
+        expect(analyzer.parseCode('english').isValid).toBe(false);
+    });
+
+    it('should report page level hreflang issues', () => {
+        const page = buildPage('https://example.com/en/', [
+            ['en', 'https://example.com/en/'],
+            ['de', '/de/'],
+            ['fr', 'https://example.com/fr/'],
+            ['fr', 'https://example.com/fr-other/'],
+            ['en-UK', 'https://example.com/uk/']
+        ]);
+        const types = page.hreflangAnalysis.issues.map(issue => issue.type);
+
+        expect(page.hreflangAnalysis.hasSelfReference).toBe(true);
+        expect(page.hreflangAnalysis.selfReferenceCode).toBe('en');
+        expect(types).toEqual(expect.arrayContaining(['relative_href', 'conflicting_duplicate', 'invalid_code', 'missing_x_default']));
+        expect(types).not.toContain('missing_self_reference');
+    });
+
+    it('should detect missing return links, non-200 and non-canonical alternates', () => {
+        const alternates = [
+            ['en', 'https://example.com/en'],
+            ['de', 'https://example.com/de'],
+            ['fr', 'https://example.com/fr'],
+            ['es', 'https://example.com/es'],
+            ['x-default', 'https://example.com/en']
+        ];
+        const pages = [
+            buildPage('https://example.com/en', alternates),
+            buildPage('https://example.com/de', [['de', 'https://example.com/de']]),
+            buildPage('https://example.com/fr', alternates, { statusCode: 404 }),
+            buildPage('https://example.com/es', alternates, { canonicalUrl: 'https://example.com/es-es' })
+        ];
+
+        const summary = analyzer.analyzeAcrossPages(pages);
+        const enIssues = pages[0].hreflangAnalysis.issues;
+
+        expect(summary.missing_return_links).toBeGreaterThanOrEqual(1);
+        expect(enIssues.find(issue => issue.type === 'missing_return_link').href).toBe('https://example.com/de');
+        expect(enIssues.find(issue => issue.type === 'alternate_not_200').href).toBe('https://example.com/fr');
+        expect(enIssues.find(issue => issue.type === 'alternate_not_canonical').href).toBe('https://example.com/es');
+        expect(summary.alternates_to_non_200).toBeGreaterThanOrEqual(1);
+        expect(summary.alternates_to_non_canonical).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should flag alternates that describe themselves with a different code', () => {
+        const pages = [
+            buildPage('https://example.com/en', [['en', 'https://example.com/en'], ['de', 'https://example.com/at']]),
+            buildPage('https://example.com/at', [['de-AT', 'https://example.com/at'], ['en', 'https://example.com/en']])
+        ];
+
+        const summary = analyzer.analyzeAcrossPages(pages);
+
+        expect(summary.code_mismatches).toBe(1);
+        expect(summary.missing_return_links).toBe(0);
+        expect(pages[0].hreflangAnalysis.issues.some(issue => issue.type === 'code_mismatch')).toBe(true);
+    });
+
+    it('should verify return links between alternates on different origins', () => {
+        const alternates = [['en', 'https://example.com/'], ['de', 'https://example.de/'], ['fr', 'https://example.fr/']];
+        const pages = [
+            buildPage('https://example.com/', alternates),
+            buildPage('https://example.de/', [['de', 'https://example.de/'], ['en', 'https://example.com/?utm_source=hreflang']])
+        ];
+
+        const summary = analyzer.analyzeAcrossPages(pages);
+
+        expect(summary.missing_return_links).toBe(0);
+        expect(summary.unverified_alternates).toBe(1);
+        expect(summary.by_origin['https://example.com']).toEqual({
+            missing_return_links: 0,
+            alternates_to_non_200: 0,
+            alternates_to_non_canonical: 0,
+            code_mismatches: 0,
+            unverified_alternates: 1
+        });
+        expect(summary.by_origin['https://example.de'].unverified_alternates).toBe(0);
+    });
+});
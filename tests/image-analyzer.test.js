@@ -0,0 +1,104 @@
+const cheerio = require('cheerio');
+const { ImageAnalyzer } = require('../src/image-analyzer');
+
+describe('ImageAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new ImageAnalyzer();
+    });
+
+    const png = (width, height) => {
+        const buffer = Buffer.alloc(33);
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+        buffer.writeUInt32BE(13, 8);
+        buffer.write('IHDR', 12, 'ascii');
+        buffer.writeUInt32BE(width, 16);
+        buffer.writeUInt32BE(height, 20);
+        return buffer;
+    };
+
+    const jpeg = (width, height) => Buffer.from([
+        0xff, 0xd8,
+        // APP0 segment that has to be skipped
+        0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46,
+        // SOF0: length, precision, height, width
+        0xff, 0xc0, 0x00, 0x0b, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x01, 0x01, 0x11, 0x00
+    ]);
+
+    it('should read intrinsic dimensions from image headers', () => {
+        const gif = Buffer.from('GIF89a\x40\x01\xf0\x00\x00\x00', 'latin1');
+        const webp = Buffer.alloc(30);
+        webp.write('RIFF', 0, 'ascii');
+        webp.write('WEBPVP8X', 8, 'ascii');
+        webp.writeUIntLE(799, 24, 3);
+        webp.writeUIntLE(599, 27, 3);
+        const avif = Buffer.alloc(40);
+        avif.write('ftypavif', 4, 'ascii');
+        avif.write('ispe', 20, 'ascii');
+        avif.writeUInt32BE(1920, 28);
+        avif.writeUInt32BE(1080, 32);
+
+        expect(analyzer.getDimensions(png(640, 480))).toEqual({ format: 'png', width: 640, height: 480 });
+        expect(analyzer.getDimensions(jpeg(1600, 900))).toEqual({ format: 'jpeg', width: 1600, height: 900 });
+        expect(analyzer.getDimensions(gif)).toEqual({ format: 'gif', width: 320, height: 240 });
+        expect(analyzer.getDimensions(webp)).toEqual({ format: 'webp', width: 800, height: 600 });
+        expect(analyzer.getDimensions(avif)).toEqual({ format: 'avif', width: 1920, height: 1080 });
+        expect(analyzer.getDimensions(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 16"></svg>')))
+            .toEqual({ format: 'svg', width: 24, height: 16 });
+        expect(analyzer.getDimensions(Buffer.from('not an image at all'))).toBeNull();
+    });
+
+    it('should report missing dimensions, legacy formats and oversized images', () => {
+        const $ = cheerio.load('<main><img src="/hero.jpg" width="400"></main>');
+        const fetched = { statusCode: 200, contentType: 'image/jpeg', sizeInBytes: 350000, buffer: jpeg(1600, 900) };
+        const result = analyzer.auditImage($, $('img'), fetched);
+        const types = result.issues.map(issue => issue.type);
+
+        expect(result).toEqual(expect.objectContaining({
+            format: 'jpeg',
+            intrinsicWidth: 1600,
+            intrinsicHeight: 900,
+            displayedWidth: 400,
+            hasDimensions: false,
+            isAboveFold: true
+        }));
+        expect(types).toEqual(['missing_dimensions', 'legacy_format', 'oversized_image', 'large_file']);
+    });
+
+    it('should check lazy loading against the fold and srcset usage', () => {
+        const $ = cheerio.load(`<main>
+            <img id="hero" src="/a.webp" width="800" height="400" loading="lazy" srcset="/a-400.webp 400w, /a.webp 800w">
+            <picture><source type="image/avif" srcset="/b.avif"><img id="below" src="/b.png" width="800" height="400"></picture>
+        </main>`);
+        const fetched = { statusCode: 200, contentType: 'image/png', sizeInBytes: 50000, buffer: png(800, 400) };
+
+        const hero = analyzer.auditImage($, $('#hero'), { ...fetched, contentType: 'image/webp', buffer: null }, { contentImageIndex: 0 });
+        expect(hero.issues.map(issue => issue.type)).toEqual(['srcset_without_sizes', 'lazy_above_fold']);
+
+        const below = analyzer.auditImage($, $('#below'), fetched, { contentImageIndex: 2 });
+        expect(below.hasModernSource).toBe(true);
+        expect(below.issues.map(issue => issue.type)).toEqual(['missing_lazy_loading']);
+
+        // Rendered positions take precedence over the document order
+        const rendered = analyzer.auditImage($, $('#hero'), fetched, { box: { top: 1500, width: 800, height: 400, viewportHeight: 900 } });
+        expect(rendered.isAboveFold).toBe(false);
+    });
+
+    it('should summarize issues and report broken images', () => {
+        const $ = cheerio.load('<img src="/missing.png" width="10" height="10">');
+        const broken = analyzer.auditImage($, $('img'), { statusCode: 404, contentType: 'text/html', sizeInBytes: 0, buffer: null });
+        const summary = analyzer.summarize([
+            { sizeInByte: 1000, ...broken },
+            { sizeInByte: 2500, issues: [] }
+        ]);
+
+        expect(broken.issues[0]).toEqual({ type: 'broken_image', message: 'Image returns HTTP 404' });
+        expect(summary).toEqual({
+            imagesAnalyzed: 2,
+            imagesWithIssues: 1,
+            totalImageBytes: 3500,
+            issuesByType: { broken_image: 1 }
+        });
+    });
+});
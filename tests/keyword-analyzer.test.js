@@ -0,0 +1,78 @@
+const cheerio = require('cheerio');
+const { KeywordAnalyzer } = require('../src/keyword-analyzer');
+
+describe('KeywordAnalyzer', () => {
+    const targetKeywords = [
+        { url: '/services/**', keywords: ['SEO audit', 'technical seo'] },
+        { url: 'https://example.com/services/seo-audit', keywords: ['seo audit', 'site audit'] },
+        { url: 'regex:/blog/', keywords: 'content marketing' }
+    ];
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new KeywordAnalyzer({ targetKeywords });
+    });
+
+    it('should map URLs and patterns to target keywords', () => {
+        expect(analyzer.getKeywordsForUrl('https://example.com/services/seo-audit')).toEqual(['SEO audit', 'technical seo', 'site audit']);
+        expect(analyzer.getKeywordsForUrl('https://example.com/blog/post')).toEqual(['content marketing']);
+        expect(analyzer.getKeywordsForUrl('https://example.com/about')).toEqual([]);
+    });
+
+    it('should check keyword placement on the page', () => {
+        const $ = cheerio.load(`<html><body>
+            <header><p>Call us today</p></header>
+            <h1>Professional SEO Audit</h1>
+            <p>Our SEO audit covers crawling, indexing and speed.</p>
+            <img src="a.jpg" alt="SEO audit report"><img src="b.jpg" alt="Team">
+            <a href="/contact">Book an SEO-audit</a>
+        </body></html>`);
+        const result = analyzer.analyzePage($, 'https://example.com/services/seo-audit', {
+            title: 'SEO Audit Services | Example',
+            description: 'Book a technical audit of your website.',
+            h1: ['Professional SEO Audit'],
+            mainText: 'Professional SEO Audit\nOur SEO audit covers crawling, indexing and speed.'
+        });
+        const focus = result.keywords[0];
+
+        expect(result.focusKeyword).toBe('SEO audit');
+        expect(focus).toMatchObject({
+            inTitle: true,
+            titleStartsWithKeyword: true,
+            inDescription: false,
+            inH1: true,
+            inFirstParagraph: true,
+            inUrlSlug: true,
+            imageAltsWithKeyword: 1,
+            anchorTextsWithKeyword: 1,
+            occurrences: 2
+        });
+        expect(focus.density).toBe(36.36);
+        expect(focus.issues).toEqual(['keyword missing in meta description']);
+        expect(focus.isStuffed).toBe(false);
+        expect(result.keywords[1].issues).toContain('keyword not used in content');
+        expect(analyzer.analyzePage($, 'https://example.com/about')).toBeNull();
+    });
+
+    it('should match keywords regardless of case and accents', () => {
+        const matcher = new KeywordAnalyzer({ targetKeywords: [{ url: '**', keywords: ['Café München'] }] });
+        const $ = cheerio.load('<p>Das beste cafe münchen.</p>');
+        const result = matcher.analyzePage($, 'https://example.com/cafe-munchen', {
+            title: 'Café München - Café München',
+            mainText: 'Das beste cafe münchen.'
+        });
+
+        expect(result.keywords[0]).toMatchObject({ inTitle: true, inFirstParagraph: true, inUrlSlug: true, occurrences: 1, isStuffed: true });
+        expect(result.keywords[0].issues).toContain('keyword repeated in title');
+    });
+
+    it('should flag keyword stuffing in the content', () => {
+        const matcher = new KeywordAnalyzer({ targetKeywords: [{ url: '**', keywords: ['cheap flights'] }] });
+        const mainText = 'Cheap flights! Book cheap flights today. Cheap flights to every city, the best cheap flights online.';
+        const result = matcher.analyzePage(cheerio.load('<p></p>'), 'https://example.com/', { mainText });
+
+        expect(result.keywords[0].occurrences).toBe(4);
+        expect(result.keywords[0].isStuffed).toBe(true);
+        expect(result.keywords[0].issues).toContain('keyword density 50% above 3%');
+    });
+});
@@ -0,0 +1,60 @@
+const { LanguageDetector } = require('../src/language-detector');
+
+const TEXTS = {
+    en: 'The weather forecast for the weekend promises sunshine and warm temperatures across most of the country, so many families are planning trips to the coast.',
+    de: 'Das Wetter am Wochenende verspricht Sonnenschein und warme Temperaturen im größten Teil des Landes, deshalb planen viele Familien einen Ausflug an die Küste.',
+    es: 'El pronóstico del tiempo para el fin de semana promete sol y temperaturas cálidas en la mayor parte del país, por lo que muchas familias planean viajes a la costa.',
+    fr: 'La météo du week-end promet du soleil et des températures douces sur la majeure partie du pays, donc beaucoup de familles prévoient une sortie à la mer.'
+};
+
+describe('LanguageDetector', () => {
+    let detector;
+
+    beforeAll(() => {
+        detector = new LanguageDetector();
+    });
+
+    it('should detect the language of unseen text', () => {
+        Object.entries(TEXTS).forEach(([language, text]) => {
+            const result = detector.detect(text);
+            expect(result.language).toBe(language);
+            expect(result.isReliable).toBe(true);
+        });
+
+        expect(detector.detect('Contact us').isReliable).toBe(false);
+        expect(detector.detect('').language).toBeNull();
+    });
+
+    it('should flag declared languages that do not match the content', () => {
+        const result = detector.analyzePage(TEXTS.de, { htmlLang: 'en-US', contentLanguageHeader: 'de-DE', hreflang: 'de' });
+
+        expect(result.detectedLanguage).toBe('de');
+        expect(result.mismatches).toEqual([{ source: 'htmlLang', declared: 'en-US', detected: 'de' }]);
+        expect(result.issues.map(issue => issue.type)).toEqual(['language_mismatch', 'conflicting_declarations']);
+        expect(result.isMixed).toBe(false);
+    });
+
+    it('should not compare declared languages the detector has no profile for', () => {
+        const norwegian = 'Værmeldingen for helgen lover sol og varme temperaturer i store deler av landet, derfor planlegger mange familier en tur til kysten.';
+
+        const result = detector.analyzePage(norwegian, { htmlLang: 'nb', hreflang: 'nb-NO' });
+
+        expect(result.mismatches).toEqual([]);
+        expect(result.issues.map(issue => issue.type)).not.toContain('language_mismatch');
+    });
+
+    it('should detect pages with mixed languages', () => {
+        const result = detector.analyzePage(`Home\n${TEXTS.en}\n${TEXTS.de}\n${TEXTS.de}`, { htmlLang: 'de' });
+
+        expect(result.isMixed).toBe(true);
+        expect(Object.keys(result.languageShares)).toEqual(['de', 'en']);
+        expect(result.issues.map(issue => issue.type)).toContain('mixed_languages');
+    });
+
+    it('should report pages without a declared language', () => {
+        const result = detector.analyzePage(TEXTS.fr, {});
+
+        expect(result.detectedLanguage).toBe('fr');
+        expect(result.issues.map(issue => issue.type)).toEqual(['missing_declaration']);
+    });
+});
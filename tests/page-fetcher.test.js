@@ -0,0 +1,161 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { PageFetcher } = require('../src/page-fetcher');
+
+describe('PageFetcher', () => {
+    let fetcher;
+
+    const mockResponses = (responses) => {
+        const respond = url => {
+            const response = responses[url];
+            return response
+                ? Promise.resolve({ data: '', headers: {}, ...response })
+                : Promise.reject(new Error(`Unexpected request to ${url}`));
+        };
+        fetcher.axios = { get: jest.fn(respond), head: jest.fn(respond) };
+    };
+
+    beforeEach(() => {
+        fetcher = new PageFetcher({ maxRedirects: 5 });
+    });
+
+    it('should return the page without redirect information', async () => {
+        mockResponses({ 'https://example.com/': { status: 200, data: '<html></html>' } });
+
+        const page = await fetcher.fetch('https://example.com/');
+
+        expect(page.statusCode).toBe(200);
+        expect(page.html).toBe('<html></html>');
+        expect(page.redirect.isRedirected).toBe(false);
+        expect(page.redirect.hops).toBe(0);
+    });
+
+    it('should report compressed and decompressed HTML size', async () => {
+        const html = `<html><body>${'<p>Compressible content</p>'.repeat(100)}</body></html>`;
+        const compressed = zlib.gzipSync(html);
+        mockResponses({
+            'https://example.com/': { status: 200, data: Readable.from([compressed]), headers: { 'content-encoding': 'gzip' } }
+        });
+
+        const page = await fetcher.fetch('https://example.com/');
+
+        expect(page.html).toBe(html);
+        expect(page.transfer).toEqual(expect.objectContaining({
+            htmlBytes: compressed.length,
+            htmlDecompressedBytes: html.length,
+            contentEncoding: 'gzip',
+            isCompressed: true
+        }));
+        expect(page.transfer.compressionSavings).toBeGreaterThan(90);
+        expect(page.transfer.timeToFirstByte).toBeGreaterThanOrEqual(0);
+        expect(page.transfer.downloadTime).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should report uncompressed pages', async () => {
+        mockResponses({ 'https://example.com/': { status: 200, data: Readable.from([Buffer.from('<html>ü</html>')]) } });
+
+        const page = await fetcher.fetch('https://example.com/');
+
+        expect(page.html).toBe('<html>ü</html>');
+        expect(page.transfer).toEqual(expect.objectContaining({
+            htmlBytes: 15,
+            htmlDecompressedBytes: 15,
+            contentEncoding: 'none',
+            isCompressed: false,
+            compressionSavings: 0
+        }));
+    });
+
+    it('should decode stacked encodings and reject bodies it cannot decode', async () => {
+        const html = '<html><body>Stacked</body></html>';
+        mockResponses({
+            'https://example.com/stacked': {
+                status: 200,
+                data: Readable.from([zlib.brotliCompressSync(zlib.gzipSync(html))]),
+                headers: { 'content-encoding': 'gzip, br' }
+            },
+            'https://example.com/zstd': { status: 200, data: Readable.from([Buffer.from([0x28, 0xb5, 0x2f, 0xfd])]), headers: { 'content-encoding': 'zstd' } },
+            'https://example.com/broken': { status: 200, data: Readable.from([Buffer.from('not gzip')]), headers: { 'content-encoding': 'gzip' } }
+        });
+
+        expect((await fetcher.fetch('https://example.com/stacked')).html).toBe(html);
+        await expect(fetcher.fetch('https://example.com/zstd')).rejects.toMatchObject({
+            message: 'Could not decode the response body with Content-Encoding "zstd"',
+            code: 'ERR_CONTENT_DECODING_FAILED',
+            response: { status: 200 }
+        });
+        await expect(fetcher.fetch('https://example.com/broken')).rejects.toMatchObject({ code: 'ERR_CONTENT_DECODING_FAILED' });
+    });
+
+    it('should record every hop of a redirect chain', async () => {
+        mockResponses({
+            'http://example.com/old': { status: 301, headers: { location: 'https://example.com/old' } },
+            'https://example.com/old': { status: 302, headers: { location: '/new' } },
+            'https://example.com/new': { status: 200, data: 'new page' }
+        });
+
+        const page = await fetcher.fetch('http://example.com/old');
+
+        expect(page.finalUrl).toBe('https://example.com/new');
+        expect(page.redirect.chain).toEqual([
+            { url: 'http://example.com/old', statusCode: 301, location: 'https://example.com/old' },
+            { url: 'https://example.com/old', statusCode: 302, location: 'https://example.com/new' }
+        ]);
+        expect(page.redirect.isRedirectChain).toBe(true);
+        expect(page.redirect.hasTemporaryRedirect).toBe(true);
+        expect(page.redirect.crossesOrigin).toBe(true);
+    });
+
+    it('should detect redirect loops', async () => {
+        mockResponses({
+            'https://example.com/a': { status: 301, headers: { location: '/b' } },
+            'https://example.com/b': { status: 301, headers: { location: '/a' } }
+        });
+
+        await expect(fetcher.fetch('https://example.com/a')).rejects.toMatchObject({
+            message: 'Redirect loop detected at https://example.com/a',
+            redirect: { hasRedirectLoop: true, hops: 2 }
+        });
+    });
+
+    it('should stop after the maximum number of redirects', async () => {
+        const responses = {};
+        for (let i = 0; i < 10; i++) {
+            responses[`https://example.com/${i}`] = { status: 307, headers: { location: `/${i + 1}` } };
+        }
+        mockResponses(responses);
+
+        await expect(fetcher.fetch('https://example.com/0')).rejects.toMatchObject({
+            redirect: { tooManyRedirects: true, hops: 5 }
+        });
+    });
+
+    it('should check the status of a URL hop by hop while holding a host slot per request', async () => {
+        mockResponses({
+            'https://example.com/old': { status: 301, headers: { location: 'https://www.example.com/new' } },
+            'https://www.example.com/new': { status: 404 },
+            'https://example.com/down': { status: 503 }
+        });
+        const slots = [];
+        const withHostSlot = jest.fn((url, request) => {
+            slots.push(new URL(url).host);
+            return request();
+        });
+
+        const result = await fetcher.checkStatus('https://example.com/old', { withHostSlot });
+
+        expect(result.statusCode).toBe(404);
+        expect(result.finalUrl).toBe('https://www.example.com/new');
+        expect(result.redirect.chain).toEqual([
+            { url: 'https://example.com/old', statusCode: 301, location: 'https://www.example.com/new' }
+        ]);
+        expect(slots).toEqual(['example.com', 'www.example.com']);
+        expect(fetcher.axios.head).toHaveBeenCalledTimes(2);
+        expect(fetcher.axios.get).not.toHaveBeenCalled();
+        expect((await fetcher.checkStatus('https://example.com/down')).statusCode).toBe(503);
+        expect(await fetcher.checkStatus('https://example.com/gone')).toMatchObject({
+            statusCode: null,
+            error: 'Unexpected request to https://example.com/gone'
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { PageRenderer } = require('../src/page-renderer');
+const { SEOAnalyzer } = require('../src/seo-analyzer');
+
+describe('PageRenderer', () => {
+    const servedHtml = '<html><head><meta charset="utf-8"><title>Shop</title><script src="/app.js" defer></script></head><body><div id="app"></div></body></html>';
+    // Client-side rendering inserted a synchronous script into the head
+    const renderedHtml = '<html><head><meta charset="utf-8"><title>Shop</title><script src="/app.js" defer></script><script src="/chunk.js"></script></head><body><div id="app"><h1>Shop</h1></div></body></html>';
+
+    let renderer;
+    let page;
+    let response;
+
+    beforeEach(() => {
+        response = {
+            status: () => 200,
+            headers: () => ({ 'content-type': 'text/html' }),
+            url: () => 'https://www.example.com/',
+            text: jest.fn().mockResolvedValue(servedHtml),
+            request: () => ({ redirectChain: () => [] })
+        };
+        page = {
+            setUserAgent: jest.fn().mockResolvedValue(),
+            setViewport: jest.fn().mockResolvedValue(),
+            setExtraHTTPHeaders: jest.fn().mockResolvedValue(),
+            evaluateOnNewDocument: jest.fn().mockResolvedValue(),
+            goto: jest.fn().mockResolvedValue(response),
+            waitForNetworkIdle: jest.fn().mockResolvedValue(),
+            content: jest.fn().mockResolvedValue(renderedHtml),
+            evaluate: jest.fn().mockResolvedValue({ scripts: 2, stylesheets: 0 }),
+            url: () => 'https://www.example.com/',
+            close: jest.fn().mockResolvedValue()
+        };
+        renderer = new PageRenderer();
+        renderer.puppeteer = { launch: jest.fn().mockResolvedValue({ newPage: jest.fn().mockResolvedValue(page) }) };
+    });
+
+    it('should analyze render-blocking resources in the served HTML, not the rendered DOM', async () => {
+        const analyzer = new SEOAnalyzer();
+
+        const seoData = await renderer.withPage('https://www.example.com/', rendered => analyzer.analyzePage({
+            url: rendered.finalUrl,
+            html: rendered.html,
+            rawHtml: rendered.rawHtml,
+            page: rendered.page,
+            includeImages: false
+        }));
+
+        expect(seoData.h1).toEqual(['Shop']);
+        expect(seoData.renderBlocking.syncScripts).toEqual([]);
+        expect(seoData.renderBlocking.issues).toEqual([]);
+        expect(page.close).toHaveBeenCalled();
+    });
+
+    it('should pass no served HTML when the browser no longer holds the response body', async () => {
+        response.text.mockRejectedValue(new Error('Response body is unavailable for redirect responses'));
+
+        const rendered = await renderer.withPage('https://www.example.com/', result => result);
+
+        expect(rendered.html).toBe(renderedHtml);
+        expect(rendered.rawHtml).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+const { Readable } = require('stream');
+const { PageWeightAnalyzer } = require('../src/page-weight-analyzer');
+
+describe('PageWeightAnalyzer', () => {
+    let analyzer;
+
+    const mockResources = (resources) => {
+        analyzer.axios = {
+            get: jest.fn(url => {
+                const resource = resources[url];
+                if (!resource) return Promise.reject(new Error(`Unexpected request to ${url}`));
+                return Promise.resolve({ status: 200, headers: {}, data: Readable.from([Buffer.alloc(resource.bytes || 0)]), ...resource });
+            })
+        };
+    };
+
+    beforeEach(() => {
+        analyzer = new PageWeightAnalyzer();
+    });
+
+    it('should sum HTML, script, stylesheet and image sizes', async () => {
+        mockResources({
+            'https://example.com/app.js': { headers: { 'content-length': '120000' } },
+            'https://cdn.example.net/lib.js': { bytes: 30000 },
+            'https://example.com/main.css': { headers: { 'content-length': '40000' } },
+            'https://example.com/missing.css': { status: 404 }
+        });
+        const html = `<html><head>
+            <link rel="stylesheet" href="/main.css"><link rel="stylesheet" href="/missing.css">
+            <script src="/app.js"></script><script src="/app.js"></script>
+            <script type="application/ld+json">{}</script>
+        </head><body><script src="https://cdn.example.net/lib.js" async></script></body></html>`;
+        const images = [
+            { imageUrl: 'https://example.com/a.jpg', sizeInByte: 200000 },
+            { imageUrl: 'https://example.com/a.jpg', sizeInByte: 200000 },
+            { imageUrl: 'https://example.com/b.png', sizeInByte: 0 }
+        ];
+
+        const weight = await analyzer.measure(html, 'https://example.com/page', { htmlBytes: 15000, images });
+
+        expect(weight).toEqual({
+            htmlBytes: 15000,
+            scripts: { count: 2, bytes: 150000, unmeasured: 0 },
+            stylesheets: { count: 2, bytes: 40000, unmeasured: 1 },
+            images: { count: 2, bytes: 200000, unmeasured: 1 },
+            totalBytes: 405000
+        });
+    });
+
+    it('should request shared resources only once', async () => {
+        mockResources({ 'https://example.com/app.js': { headers: { 'content-length': '5000' } } });
+        const html = '<script src="/app.js"></script>';
+
+        await analyzer.measure(html, 'https://example.com/a');
+        const weight = await analyzer.measure(html, 'https://example.com/b');
+
+        expect(weight.scripts.bytes).toBe(5000);
+        expect(analyzer.axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should request resources through the host slot wrapper', async () => {
+        mockResources({
+            'https://example.com/app.js': { headers: { 'content-length': '5000' } },
+            'https://example.com/main.css': { headers: { 'content-length': '2000' } }
+        });
+        const slotUrls = [];
+        const withHostSlot = jest.fn(async (url, request) => {
+            slotUrls.push(url);
+            expect(analyzer.axios.get).toHaveBeenCalledTimes(slotUrls.length - 1);
+            return request();
+        });
+
+        const weight = await analyzer.measure('<link rel="stylesheet" href="/main.css"><script src="/app.js"></script>',
+            'https://example.com/', { withHostSlot });
+
+        expect(weight.totalBytes).toBe(7000);
+        expect(slotUrls).toEqual(['https://example.com/app.js', 'https://example.com/main.css']);
+    });
+});
@@ -0,0 +1,69 @@
+const { ReadabilityAnalyzer } = require('../src/readability-analyzer');
+
+describe('ReadabilityAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new ReadabilityAnalyzer();
+    });
+
+    it('should count syllables with language specific rules', () => {
+        expect(analyzer.countSyllables('make', 'en')).toBe(1);
+        expect(analyzer.countSyllables('table', 'en')).toBe(2);
+        expect(analyzer.countSyllables('wanted', 'en')).toBe(2);
+        expect(analyzer.countSyllables('readability', 'en')).toBe(5);
+        expect(analyzer.countSyllables('Häuser', 'de')).toBe(2);
+        expect(analyzer.countSyllables('poeta', 'es')).toBe(3);
+        expect(analyzer.countSyllables('tables', 'fr')).toBe(1);
+    });
+
+    it('should calculate English metrics', () => {
+        const easy = analyzer.analyze('The cat sat on the mat. The dog ran to the park.', 'en-US');
+        const hard = analyzer.analyze('Comprehensive organizational restructuring necessitates considerable administrative coordination ' +
+            'between international subsidiaries, regulatory authorities and institutional stakeholders throughout the implementation period.', 'en');
+
+        expect(easy).toMatchObject({ language: 'en', isSupported: true, sentences: 2, words: 12, averageSentenceLength: 6 });
+        expect(easy.readingEase).toBeGreaterThan(90);
+        expect(hard.readingEase).toBeLessThan(30);
+        expect(hard.gradeLevel).toBeGreaterThan(easy.gradeLevel);
+        expect(hard.longSentenceRatio).toBe(0);
+        expect(analyzer.analyze('', 'en')).toBeNull();
+    });
+
+    it('should detect long sentences and passive voice per language', () => {
+        const english = analyzer.analyze('The report was written by the team.\nWe read it.', 'en');
+        const german = analyzer.analyze('Das Haus wurde 1900 gebaut. Wir wohnen dort.', 'de');
+        const spanish = analyzer.analyze('El puente fue construido en 1900. Me gusta.', 'es');
+        const french = analyzer.analyze('La maison est souvent visitée. Nous aimons la ville.', 'fr');
+        const long = analyzer.analyze(`${'word '.repeat(25).trim()}. Short one.`, 'en');
+
+        expect(english.passiveVoiceRatio).toBe(50);
+        expect(german.passiveVoiceRatio).toBe(50);
+        expect(german.readingEaseFormula).toBe('Flesch Reading Ease (Amstad)');
+        expect(spanish.passiveVoiceRatio).toBe(50);
+        expect(spanish.gradeLevelFormula).toBe('Crawford');
+        expect(french.passiveVoiceRatio).toBe(50);
+        expect(long.longSentenceRatio).toBe(50);
+    });
+
+    it('should match passive voice around accented letters', () => {
+        const passive = (text, lang) => analyzer.analyze(text, lang).passiveVoiceRatio;
+
+        expect(passive('Le pont a été construit en 1900.', 'fr')).toBe(100);
+        expect(passive('La ville était détruite.', 'fr')).toBe(100);
+        expect(passive('Le livre est créé.', 'fr')).toBe(100);
+        expect(passive('Il était très content.', 'fr')).toBe(0);
+        expect(passive('Die Tür wurde geöffnet.', 'de')).toBe(100);
+        expect(passive('La casa será vendida.', 'es')).toBe(100);
+    });
+
+    it('should only report language independent metrics for unsupported languages', () => {
+        const result = analyzer.analyze('Dit is een korte zin. Nog een zin.', 'nl-NL');
+
+        expect(result.language).toBe('nl');
+        expect(result.isSupported).toBe(false);
+        expect(result.averageSentenceLength).toBe(4);
+        expect(result.readingEase).toBeNull();
+        expect(result.passiveVoiceRatio).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+const cheerio = require('cheerio');
+const { RenderBlockingAnalyzer } = require('../src/render-blocking-analyzer');
+
+describe('RenderBlockingAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new RenderBlockingAnalyzer();
+    });
+
+    const analyze = (html, url = 'https://www.example.com/page') => analyzer.analyze(cheerio.load(html), url, html);
+    const issueTypes = result => result.issues.map(issue => issue.type);
+
+    it('should not report an optimized head', () => {
+        const result = analyze(`<!DOCTYPE html><html><head>
+            <meta charset="utf-8">
+            <title>Page</title>
+            <link rel="preconnect" href="https://fonts.example.net">
+            <link rel="stylesheet" href="/main.css">
+            <link rel="stylesheet" href="https://fonts.example.net/font.css">
+            <link rel="stylesheet" href="/print.css" media="print">
+            <link rel="preload" href="/hero.webp" as="image">
+            <script src="/app.js" defer></script>
+            <script type="module" src="/module.js"></script>
+            <script type="application/ld+json">{"@type": "Organization"}</script>
+        </head><body><script src="https://cdn.example.com/lib.js" async></script></body></html>`);
+
+        expect(result.issues).toEqual([]);
+        expect(result.syncScripts).toEqual([]);
+        expect(result.blockingStylesheets.map(stylesheet => stylesheet.href)).toEqual([
+            'https://www.example.com/main.css',
+            'https://fonts.example.net/font.css'
+        ]);
+        expect(result.resourceHints.preload).toEqual([{ href: 'https://www.example.com/hero.webp', as: 'image' }]);
+        expect(result.thirdPartyScripts).toEqual([
+            { origin: 'https://cdn.example.com', scripts: 1, blockingResources: 0, isPreconnected: false },
+            { origin: 'https://fonts.example.net', scripts: 0, blockingResources: 1, isPreconnected: true }
+        ]);
+        expect(result.inlineJs).toEqual({ blocks: 0, bytes: 0 });
+        expect(result.metaCharset).toEqual({ present: true, byteOffset: 40, isFirstInHead: true });
+    });
+
+    it('should report synchronous scripts and third-party origins without preconnect', () => {
+        const result = analyze(`<html><head><meta charset="utf-8">
+            <script src="https://tags.example.org/tag.js"></script>
+            <script src="/jquery.js"></script>
+            <script>window.dataLayer = [];</script>
+        </head><body><script src="/footer.js"></script></body></html>`);
+
+        expect(result.syncScripts).toEqual([
+            { src: 'https://tags.example.org/tag.js', inHead: true },
+            { src: 'https://www.example.com/jquery.js', inHead: true },
+            { src: 'https://www.example.com/footer.js', inHead: false }
+        ]);
+        expect(result.inlineJs).toEqual({ blocks: 1, bytes: 22 });
+        expect(issueTypes(result)).toEqual(['render_blocking_scripts', 'missing_preconnect']);
+        expect(result.issues[0].message).toContain('2 synchronous script(s)');
+        expect(result.issues[1].message).toContain('https://tags.example.org');
+    });
+
+    it('should report many stylesheets, large inline code and invalid preloads', () => {
+        analyzer = new RenderBlockingAnalyzer({ maxInlineBytes: 100 });
+        const stylesheets = [1, 2, 3, 4].map(i => `<link rel="stylesheet" href="/s${i}.css">`).join('');
+        const result = analyze(`<html><head><meta charset="utf-8">${stylesheets}
+            <style>${'body { margin: 0; }'.repeat(10)}</style>
+            <link rel="preload" href="/font.woff2">
+        </head><body></body></html>`);
+
+        expect(result.inlineCss).toEqual({ blocks: 1, bytes: 190 });
+        expect(issueTypes(result)).toEqual(['render_blocking_stylesheets', 'large_inline_css', 'preload_without_as']);
+    });
+
+    it('should check the position of the charset declaration', () => {
+        expect(issueTypes(analyze('<html><head><title>No charset</title></head></html>'))).toEqual(['missing_meta_charset']);
+        expect(issueTypes(analyze('<html><head><title>Late</title><meta charset="utf-8"></head></html>'))).toEqual(['meta_charset_not_first']);
+
+        const late = analyze(`<html><head><!-- ${'x'.repeat(1100)} --><meta charset="utf-8"></head></html>`);
+        expect(issueTypes(late)).toEqual(['late_meta_charset']);
+        expect(late.metaCharset.byteOffset).toBeGreaterThan(1024);
+    });
+});
@@ -0,0 +1,62 @@
+const { RenderComparator } = require('../src/render-comparator');
+const { SEOAnalyzer } = require('../src/seo-analyzer');
+
+describe('RenderComparator', () => {
+    const comparator = new RenderComparator(new SEOAnalyzer());
+
+    const rawHtml = `
+        <html>
+        <head>
+            <title>Loading...</title>
+            <meta name="robots" content="noindex">
+        </head>
+        <body><div id="app"></div><a href="/about">About</a></body>
+        </html>
+    `;
+
+    const renderedHtml = `
+        <html>
+        <head>
+            <title>Running Shoes | Example Shop</title>
+            <meta name="description" content="Lightweight running shoes for every distance.">
+            <meta name="robots" content="index, follow">
+            <link rel="canonical" href="https://example.com/shoes">
+        </head>
+        <body>
+            <div id="app">
+                <h1>Running Shoes</h1>
+                <p>Our lightweight running shoes are built for long distances and daily training.</p>
+                <a href="/about">About</a>
+                <a href="/shoes/trail">Trail shoes</a>
+            </div>
+        </body>
+        </html>
+    `;
+
+    it('should report fields that only exist after rendering', () => {
+        const comparison = comparator.compare(rawHtml, renderedHtml, 'https://example.com/shoes');
+
+        expect(comparison.fields.title.changed).toBe(true);
+        expect(comparison.fields.title.renderOnly).toBe(false);
+        expect(comparison.renderOnlyFields).toEqual(
+            expect.arrayContaining(['description', 'canonical', 'h1', 'headings', 'wordCount'])
+        );
+        expect(comparison.fields.internalLinks.onlyInRendered).toEqual(['https://example.com/shoes/trail']);
+        expect(comparison.renderedOnlyInternalLinks).toBe(1);
+        expect(comparison.isJavaScriptDependent).toBe(true);
+    });
+
+    it('should flag robots directives that change during rendering', () => {
+        const comparison = comparator.compare(rawHtml, renderedHtml, 'https://example.com/shoes');
+
+        expect(comparison.fields.robots.raw).toBe('noindex');
+        expect(comparison.robotsConflict).toBe(true);
+    });
+
+    it('should report no differences for identical documents', () => {
+        const comparison = comparator.compare(renderedHtml, renderedHtml, 'https://example.com/shoes');
+
+        expect(comparison.changedFields).toEqual([]);
+        expect(comparison.isJavaScriptDependent).toBe(false);
+    });
+});
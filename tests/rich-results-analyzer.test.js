@@ -0,0 +1,66 @@
+const cheerio = require('cheerio');
+const { StructuredDataAnalyzer } = require('../src/structured-data-analyzer');
+const { RichResultsAnalyzer } = require('../src/rich-results-analyzer');
+
+describe('RichResultsAnalyzer', () => {
+    const structuredDataAnalyzer = new StructuredDataAnalyzer();
+    let analyzer;
+
+    const entitiesFrom = (...blocks) => {
+        const html = blocks.map(data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`).join('');
+        return structuredDataAnalyzer.analyze(cheerio.load(`<html><head>${html}</head></html>`)).entities;
+    };
+
+    beforeEach(() => {
+        analyzer = new RichResultsAnalyzer();
+    });
+
+    it('should report eligible products and nested review snippets', () => {
+        const result = analyzer.analyze(entitiesFrom({
+            '@context': 'https://schema.org',
+            '@type': 'Product',
+            name: 'Shoe',
+            image: 'https://example.com/shoe.jpg',
+            offers: { '@type': 'Offer', price: '10.00', priceCurrency: 'EUR' },
+            aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.5, reviewCount: 12 }
+        }));
+
+        expect(result.eligibleTypes).toEqual(['Product', 'Review snippet']);
+        expect(result.byType.Product.missingRecommended).toEqual(expect.arrayContaining(['description', 'offers.availability']));
+        expect(result.byType['Review snippet'].missingRequired).toEqual([]);
+    });
+
+    it('should list missing required fields for ineligible types', () => {
+        const result = analyzer.analyze(entitiesFrom(
+            { '@type': 'Event', name: 'Concert' },
+            { '@type': 'Review', author: { '@type': 'Person', name: 'Jane' } }
+        ));
+
+        expect(result.eligibleTypes).toEqual([]);
+        expect(result.byType.Event.missingRequired).toEqual([
+            'startDate',
+            'location',
+            'location.name or location.address or location.url'
+        ]);
+        expect(result.byType['Review snippet'].missingRequired).toEqual(['reviewRating.ratingValue', 'itemReviewed']);
+    });
+
+    it('should match subtypes and follow @id references in a graph', () => {
+        const result = analyzer.analyze(entitiesFrom({
+            '@context': 'https://schema.org',
+            '@graph': [
+                { '@type': 'Restaurant', name: 'Bistro', address: { '@id': '#address' } },
+                { '@type': 'PostalAddress', '@id': '#address', streetAddress: 'Main St 1', postalCode: '12345' },
+                {
+                    '@type': 'BreadcrumbList',
+                    itemListElement: [{ '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/' }]
+                },
+                { '@type': 'Recipe', name: 'Soup', image: 'soup.jpg', step: [] }
+            ]
+        }));
+
+        expect(result.eligibleTypes).toEqual(['LocalBusiness', 'Breadcrumb', 'Recipe']);
+        expect(result.byType.LocalBusiness.missingRecommended).not.toContain('address.streetAddress');
+        expect(result.byType.HowTo).toBeUndefined();
+    });
+});
@@ -0,0 +1,93 @@
+const { RobotsChecker } = require('../src/robots-checker');
+
+describe('RobotsChecker', () => {
+    let checker;
+
+    beforeEach(() => {
+        checker = new RobotsChecker({ userAgent: 'Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)' });
+        checker.axios = {
+            get: jest.fn().mockResolvedValue({
+                status: 200,
+                data: [
+                    'User-agent: *',
+                    'Disallow: /private',
+                    '',
+                    'User-agent: MSD-SEO-Audit',
+                    'Disallow: /wp-admin',
+                    'Crawl-delay: 2',
+                    '',
+                    'Sitemap: https://example.com/sitemap.xml'
+                ].join('\n')
+            })
+        };
+    });
+
+    it('should extract the robots product token from the user agent', () => {
+        expect(checker.getRobotsUserAgent('Mozilla/5.0 (compatible; MSD-SEO-Audit/1.0)')).toBe('MSD-SEO-Audit');
+        expect(checker.getRobotsUserAgent('Googlebot/2.1')).toBe('Googlebot');
+    });
+
+    it('should apply the group matching the configured user agent', async () => {
+        expect((await checker.check('https://example.com/wp-admin/edit.php')).blockedByRobotsTxt).toBe(true);
+        expect((await checker.check('https://example.com/private')).allowed).toBe(true);
+        expect((await checker.check('https://example.com/wp-admin')).robotsTxtLine).toBe(5);
+    });
+
+    it('should fetch robots.txt once per origin and expose crawl delay and sitemaps', async () => {
+        await Promise.all([
+            checker.check('https://example.com/a'),
+            checker.check('https://example.com/b')
+        ]);
+        const robots = await checker.getRobots('https://example.com');
+
+        expect(checker.axios.get).toHaveBeenCalledTimes(1);
+        expect(robots.crawlDelay).toBe(2);
+        expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    it('should allow everything when robots.txt is missing', async () => {
+        checker.axios.get.mockResolvedValue({ status: 404, data: 'Not found' });
+
+        const status = await checker.check('https://example.com/wp-admin');
+        const summary = await checker.createRobotsSummary('https://example.com');
+
+        expect(status.allowed).toBe(true);
+        expect(summary.has_robots_txt).toBe(false);
+        expect(summary.robots_txt_status_code).toBe(404);
+    });
+
+    it('should disallow everything and report it when robots.txt returns a server error', async () => {
+        checker.axios.get.mockResolvedValue({ status: 503, data: 'Service Unavailable' });
+
+        const status = await checker.check('https://example.com/blog/post');
+        const summary = await checker.createRobotsSummary('https://example.com');
+
+        expect(status).toEqual({ allowed: false, blockedByRobotsTxt: true, robotsTxtLine: null });
+        expect(summary.disallows_all_urls).toBe(true);
+        expect(summary.robots_txt_status_code).toBe(503);
+        expect(summary.error).toBe('robots.txt returned status 503, all URLs are treated as disallowed');
+    });
+
+    it('should disallow everything when robots.txt is rate limited', async () => {
+        checker.axios.get.mockResolvedValue({ status: 429, data: 'Too Many Requests' });
+
+        const status = await checker.check('https://example.com/blog/post');
+        const summary = await checker.createRobotsSummary('https://example.com');
+
+        expect(status.allowed).toBe(false);
+        expect(summary.disallows_all_urls).toBe(true);
+        expect(summary.robots_txt_status_code).toBe(429);
+    });
+
+    it('should disallow everything when robots.txt cannot be fetched', async () => {
+        checker.axios.get.mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+
+        const status = await checker.check('https://example.com/blog/post');
+        const summary = await checker.createRobotsSummary('https://example.com');
+
+        expect(status).toEqual({ allowed: false, blockedByRobotsTxt: true, robotsTxtLine: null });
+        expect(summary.disallows_all_urls).toBe(true);
+        expect(summary.robots_txt_status_code).toBe(null);
+        expect(summary.error).toBe('Could not fetch robots.txt: timeout of 10000ms exceeded, all URLs are treated as disallowed');
+    });
+});
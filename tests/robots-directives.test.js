@@ -0,0 +1,48 @@
+const { RobotsDirectivesParser } = require('../src/robots-directives');
+
+describe('RobotsDirectivesParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new RobotsDirectivesParser();
+    });
+
+    it('should parse generic and bot specific directives', () => {
+        const result = parser.parse('noarchive, googlebot: noindex, nofollow, bingbot: nosnippet');
+
+        expect(result.directives.noarchive).toBe(true);
+        expect(result.directives.noindex).toBe(false);
+        expect(result.perBot.googlebot.noindex).toBe(true);
+        expect(result.perBot.googlebot.nofollow).toBe(true);
+        expect(result.perBot.bingbot.nosnippet).toBe(true);
+        expect(result.perBot.bingbot.noindex).toBe(false);
+    });
+
+    it('should parse value directives including dates with commas', () => {
+        const result = parser.parse('max-snippet: 20, max-image-preview:large, unavailable_after: Wednesday, 03-Nov-2100 15:00:00 GMT, notranslate');
+
+        expect(result.directives.maxSnippet).toBe(20);
+        expect(result.directives.maxImagePreview).toBe('large');
+        expect(result.directives.unavailableAfter).toBe('Wednesday, 03-Nov-2100 15:00:00 GMT');
+        expect(result.directives.notranslate).toBe(true);
+        expect(result.directives.noindex).toBe(false);
+    });
+
+    it('should treat none and expired unavailable_after as noindex', () => {
+        expect(parser.parse('none').directives).toMatchObject({ noindex: true, nofollow: true });
+        expect(parser.parse('unavailable_after: 2001-01-01').directives.noindex).toBe(true);
+    });
+
+    it('should combine meta and header directives with the most restrictive value winning', () => {
+        const meta = parser.parse('index, follow, max-snippet: 50');
+        const header = parser.parse('max-snippet: 10, googlebot: noindex, otherbot: nofollow');
+
+        const effective = parser.getEffectiveDirectives({ meta, header, bot: 'googlebot' });
+
+        expect(effective.noindex).toBe(true);
+        expect(effective.nofollow).toBe(false);
+        expect(effective.maxSnippet).toBe(10);
+        expect(effective.isIndexable).toBe(false);
+        expect(effective.isFollowable).toBe(true);
+    });
+});
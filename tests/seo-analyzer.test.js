@@ -1,5 +1,6 @@
 const { SEOAnalyzer } = require('../src/seo-analyzer');
 const cheerio = require('cheerio');
+const { Readable } = require('stream');
 
 describe('SEOAnalyzer', () => {
     let analyzer;
@@ -110,6 +111,26 @@ describe('SEOAnalyzer', () => {
         });
     });
 
+    describe('readability', () => {
+        const german = '<p>Das Wetter am Wochenende verspricht Sonnenschein und warme Temperaturen im größten Teil des Landes. ' +
+            'Deshalb planen viele Familien einen Ausflug an die Küste.</p>';
+
+        it('should use the detected language without a declared language', async () => {
+            const result = await analyzer.analyzePage({ url: 'https://example.com', html: `<html><body>${german}</body></html>`, page: null });
+
+            expect(result.readability.language).toBe('de');
+            expect(result.readability.readingEaseFormula).toBe('Flesch Reading Ease (Amstad)');
+        });
+
+        it('should use the detected language when the declared one does not match the content', async () => {
+            const wrong = await analyzer.analyzePage({ url: 'https://example.com', html: `<html lang="en"><body>${german}</body></html>`, page: null });
+            const declared = await analyzer.analyzePage({ url: 'https://example.com', html: `<html lang="de-AT"><body>${german}</body></html>`, page: null });
+
+            expect(wrong.readability.language).toBe('de');
+            expect(declared.readability.language).toBe('de');
+        });
+    });
+
     describe('analyzeImages', () => {
         it('should detect images without alt text', async () => {
             const html = `
@@ -129,5 +150,148 @@ describe('SEOAnalyzer', () => {
             expect(result.imagesWithoutAlt).toBe(2);
             expect(result.images).toHaveLength(3);
         });
+
+        it('should request images through the host slot wrapper', async () => {
+            analyzer.imageAnalyzer.axios = {
+                get: jest.fn().mockResolvedValue({ status: 200, headers: { 'content-type': 'image/png' }, data: Readable.from([Buffer.alloc(10)]) })
+            };
+            const withHostSlot = jest.fn((url, request) => {
+                expect(analyzer.imageAnalyzer.axios.get).not.toHaveBeenCalledWith(url, expect.anything());
+                return request();
+            });
+
+            const result = await analyzer.analyzePage({
+                url: 'https://example.com/gallery',
+                html: '<img src="/a.png" alt="A"><img src="https://cdn.example.net/b.png" alt="B">',
+                page: null,
+                withHostSlot
+            });
+
+            expect(withHostSlot.mock.calls.map(([url]) => url)).toEqual(['https://example.com/a.png', 'https://cdn.example.net/b.png']);
+            expect(result.images.map(image => image.statusCode)).toEqual([200, 200]);
+        });
+    });
+
+    describe('analyzeMetaTags', () => {
+        it('should read robots directives from the X-Robots-Tag header and bot meta tags', async () => {
+            const html = `
+                <html>
+                <head>
+                    <meta name="robots" content="index, follow">
+                    <meta name="googlebot" content="nosnippet">
+                </head>
+                <body><h1>Page</h1></body>
+                </html>
+            `;
+
+            const result = await analyzer.analyzePage({
+                url: 'https://example.com',
+                html,
+                page: null,
+                includeImages: false,
+                headers: { 'x-robots-tag': 'noarchive, googlebot: noindex' }
+            });
+
+            expect(result.xRobots).toBe('noarchive, googlebot: noindex');
+            expect(result.robotsDirectives.header.perBot.googlebot.noindex).toBe(true);
+            expect(result.robotsDirectives.meta.perBot.googlebot.nosnippet).toBe(true);
+            expect(result.robotsDirectives.effective).toMatchObject({
+                noindex: true,
+                nofollow: false,
+                noarchive: true,
+                nosnippet: true,
+                isIndexable: false
+            });
+        });
+    });
+
+    describe('analyzePerformance', () => {
+        const html = `
+            <html>
+            <head>
+                <link rel="stylesheet" href="/a.css">
+                <script src="/a.js"></script>
+                <script src="/b.js"></script>
+            </head>
+            <body><script>inline();</script></body>
+            </html>
+        `;
+
+        it('should count resources from static HTML without a browser page', async () => {
+            const result = await analyzer.analyzePage({
+                url: 'https://example.com',
+                html,
+                page: null,
+                includeImages: false,
+                maxImagesPerPage: 10
+            });
+
+            expect(result.javascriptFiles).toBe(2);
+            expect(result.cssFiles).toBe(1);
+            expect(result.performanceSource).toBe('static');
+            expect(result.performanceMetrics).toBeNull();
+        });
+
+        it('should use metrics evaluated in the browser page', async () => {
+            mockPage.evaluate.mockResolvedValue({
+                scripts: 7,
+                stylesheets: 3,
+                timing: { timeToFirstByte: 120, domContentLoaded: 800, loadTime: 1500, resourceRequests: 30, transferSize: 450000 }
+            });
+
+            const result = await analyzer.analyzePage({
+                url: 'https://example.com',
+                html,
+                page: mockPage,
+                includeImages: false,
+                maxImagesPerPage: 10
+            });
+
+            expect(result.javascriptFiles).toBe(7);
+            expect(result.performanceSource).toBe('browser');
+            expect(result.performanceMetrics.loadTime).toBe(1500);
+        });
+    });
+
+    it('should send the configured user agent with image and link check requests', () => {
+        const custom = new SEOAnalyzer({ userAgent: 'CustomBot/2.0' });
+
+        expect(custom.imageAnalyzer.userAgent).toBe('CustomBot/2.0');
+        expect(custom.pageFetcher.userAgent).toBe('CustomBot/2.0');
+    });
+
+    describe('checkLinkStatuses', () => {
+        it('should record the redirect hop and limit parallel checks per host', async () => {
+            const responses = {
+                'https://example.com/old': { status: 301, headers: { location: '/new' } },
+                'https://example.com/new': { status: 200, headers: {} },
+                'https://example.com/missing': { status: 404, headers: {} }
+            };
+            let running = 0;
+            let maxRunning = 0;
+            analyzer.pageFetcher.axios = {
+                head: jest.fn(async (url) => {
+                    running++;
+                    maxRunning = Math.max(maxRunning, running);
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    running--;
+                    return responses[url] || { status: 200, headers: {} };
+                })
+            };
+            const links = ['/old', '/missing', '/a', '/b', '/c'].map(path => ({ url: `https://example.com${path}` }));
+
+            await analyzer.checkLinkStatuses(links);
+
+            expect(links[0]).toMatchObject({
+                statusCode: 200,
+                isBroken: false,
+                isRedirect: true,
+                redirectStatusCode: 301,
+                redirectLocation: 'https://example.com/new'
+            });
+            expect(links[1]).toMatchObject({ statusCode: 404, isBroken: true });
+            expect(analyzer.pageFetcher.axios.head).toHaveBeenCalledTimes(6);
+            expect(maxRunning).toBe(2);
+        });
     });
 });
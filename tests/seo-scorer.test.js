@@ -0,0 +1,130 @@
+const { SEOScorer } = require('../src/seo-scorer');
+
+describe('SEOScorer', () => {
+    let scorer;
+
+    // Page without any issue, every check below deducts from its 100 points
+    const basePage = {
+        title: 'A well sized page title for the scoring tests',
+        description: 'A meta description that is long enough for the scorer to accept it without deducting ' +
+            'any points, it stays below the upper limit.',
+        headingScore: 100,
+        hasHttps: true,
+        favicon: true,
+        hasOpenGraph: true,
+        viewport: true,
+        words: 500,
+        strongTags: 2,
+        javascriptFiles: 3,
+        cssFiles: 2
+    };
+    const score = overrides => scorer.calculateScore({ ...basePage, ...overrides });
+
+    beforeEach(() => {
+        scorer = new SEOScorer();
+    });
+
+    it('should not deduct points from a page without issues', () => {
+        const result = score({});
+
+        expect(result.seo_page_score).toBe(100);
+        expect(result.seo_grade).toBe('A');
+        expect(result.issues).toEqual([]);
+    });
+
+    it('should deduct points for Core Web Vitals ratings', () => {
+        const webVitals = {
+            largestContentfulPaint: 4500,
+            totalBlockingTime: 300,
+            cumulativeLayoutShift: 0.3,
+            firstContentfulPaint: 2000,
+            ratings: {
+                largestContentfulPaint: 'poor',
+                totalBlockingTime: 'needs-improvement',
+                cumulativeLayoutShift: 'poor',
+                firstContentfulPaint: 'needs-improvement'
+            }
+        };
+
+        const result = score({ webVitals, javascriptFiles: 40 });
+
+        expect(result.seo_page_score).toBe(100 - 6 - 2 - 5 - 1);
+        expect(result.issues).toEqual([
+            'poor LCP (4500)',
+            'TBT needs improvement (300)',
+            'poor CLS (0.3)',
+            'FCP needs improvement (2000)'
+        ]);
+        expect(score({ webVitals: { ...webVitals, ratings: { largestContentfulPaint: 'good' } } }).seo_page_score).toBe(100);
+    });
+
+    it('should fall back to resource counts without Web Vitals', () => {
+        const result = score({ webVitals: null, javascriptFiles: 21, cssFiles: 11 });
+
+        expect(result.seo_page_score).toBe(95);
+        expect(result.issues).toEqual(['too many JS files', 'too many CSS files']);
+    });
+
+    it('should deduct points for uncompressed and large HTML and heavy pages', () => {
+        expect(score({ transfer: { htmlBytes: 20000, isCompressed: false } }).issues).toEqual(['HTML not compressed']);
+        expect(score({ transfer: { htmlBytes: 1000, isCompressed: false } }).issues).toEqual([]);
+
+        const large = score({ transfer: { htmlBytes: 90000, htmlDecompressedBytes: 600000, isCompressed: true } });
+        expect(large.seo_page_score).toBe(97);
+        expect(large.issues).toEqual(['HTML document too large']);
+
+        const heavy = score({ pageWeight: { totalBytes: 3500000 } });
+        expect(heavy.seo_page_score).toBe(97);
+        expect(heavy.issues).toEqual(['page weight too high']);
+    });
+
+    it('should use the effective robots directives', () => {
+        const result = score({
+            metaRobots: 'index, follow',
+            robotsDirectives: { effective: { noindex: true, nofollow: true } }
+        });
+
+        expect(result.seo_page_score).toBe(80);
+        expect(result.issues).toEqual(['page set to noindex', 'page set to nofollow']);
+        expect(score({ xRobots: 'noindex', robotsDirectives: { effective: { noindex: false, nofollow: false } } }).issues).toEqual([]);
+    });
+
+    it('should deduct points for structured data errors instead of the bonus', () => {
+        const result = score({ hasJsonLd: true, structuredData: { errorCount: 2 } });
+
+        expect(result.seo_page_score).toBe(98);
+        expect(result.issues).toEqual(['2 structured data errors']);
+    });
+
+    it('should deduct points for invalid canonical tags but not for relative URLs', () => {
+        const result = score({
+            canonicalAnalysis: {
+                canonicalUrl: 'https://example.com/',
+                issues: [{ type: 'multiple_canonicals' }, { type: 'relative_url' }]
+            }
+        });
+
+        expect(result.seo_page_score).toBe(97);
+        expect(result.issues).toEqual(['invalid canonical tag (multiple_canonicals)']);
+        expect(score({ canonicalAnalysis: { canonicalUrl: 'https://example.com/', issues: [{ type: 'relative_url' }] } }).issues).toEqual([]);
+    });
+
+    it('should check the focus keyword placement', () => {
+        const keywordAnalysis = {
+            keywords: [
+                { keyword: 'running shoes', inTitle: true, inH1: false, inDescription: false, inFirstParagraph: true, inUrlSlug: false },
+                { keyword: 'trail shoes', isStuffed: true }
+            ]
+        };
+
+        const result = score({ keywordAnalysis });
+
+        expect(result.seo_page_score).toBe(100 - 3 - 3 - 1 - 5);
+        expect(result.issues).toEqual([
+            'focus keyword missing in H1',
+            'focus keyword missing in meta description',
+            'focus keyword missing in URL',
+            'keyword stuffing'
+        ]);
+    });
+});
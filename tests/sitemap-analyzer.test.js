@@ -0,0 +1,63 @@
+const { SitemapAnalyzer } = require('../src/sitemap-analyzer');
+
+describe('SitemapAnalyzer', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new SitemapAnalyzer();
+        const documents = {
+            'https://example.com/sitemap.xml': `<?xml version="1.0"?>
+                <sitemapindex>
+                    <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+                    <sitemap><loc>https://example.com/sitemap-posts.xml</loc></sitemap>
+                    <sitemap><loc>https://example.com/sitemap.xml</loc></sitemap>
+                </sitemapindex>`,
+            'https://example.com/sitemap-pages.xml': `<?xml version="1.0"?>
+                <urlset>
+                    <url><loc>https://example.com/</loc></url>
+                    <url><loc>https://example.com/search?q=a&amp;page=2</loc></url>
+                </urlset>`,
+            'https://example.com/sitemap-posts.xml': `<?xml version="1.0"?>
+                <urlset>
+                    <url><loc>https://example.com/post-1</loc></url>
+                    <url><loc>https://example.com/</loc></url>
+                </urlset>`
+        };
+        analyzer.axios = {
+            get: jest.fn(url => documents[url]
+                ? Promise.resolve({ status: 200, data: documents[url], headers: { 'content-type': 'application/xml' } })
+                : Promise.reject(new Error('Request failed with status code 404')))
+        };
+    });
+
+    describe('collectPageUrlsFromSitemaps', () => {
+        it('should follow nested sitemap indexes and return unique page URLs', async () => {
+            const urls = await analyzer.collectPageUrlsFromSitemaps(['https://example.com/sitemap.xml']);
+
+            expect(urls).toEqual([
+                'https://example.com/',
+                'https://example.com/search?q=a&page=2',
+                'https://example.com/post-1'
+            ]);
+        });
+
+        it('should stop collecting at maxUrls', async () => {
+            const urls = await analyzer.collectPageUrlsFromSitemaps(['https://example.com/sitemap.xml'], 1000, 2);
+
+            expect(urls).toHaveLength(2);
+        });
+    });
+
+    describe('sampleUrls', () => {
+        it('should pick evenly spaced URLs', () => {
+            const urls = Array.from({ length: 10 }, (_, i) => `https://example.com/${i}`);
+
+            expect(analyzer.sampleUrls(urls, 3)).toEqual([
+                'https://example.com/0',
+                'https://example.com/3',
+                'https://example.com/6'
+            ]);
+            expect(analyzer.sampleUrls(urls, -1)).toHaveLength(10);
+        });
+    });
+});
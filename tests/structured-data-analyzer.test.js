@@ -0,0 +1,190 @@
+const cheerio = require('cheerio');
+const { StructuredDataAnalyzer } = require('../src/structured-data-analyzer');
+
+describe('StructuredDataAnalyzer', () => {
+    let analyzer;
+
+    const load = body => cheerio.load(`<html><head>${body}</head><body></body></html>`);
+    const jsonLd = data => `<script type="application/ld+json">${typeof data === 'string' ? data : JSON.stringify(data)}</script>`;
+
+    beforeEach(() => {
+        analyzer = new StructuredDataAnalyzer();
+    });
+
+    it('should flatten @graph and list types of nested entities', () => {
+        const result = analyzer.analyze(load(jsonLd({
+            '@context': 'https://schema.org',
+            '@graph': [
+                { '@type': 'WebSite', '@id': 'https://example.com/#website', name: 'Example', url: 'https://example.com/' },
+                {
+                    '@type': 'Product',
+                    name: 'Shoe',
+                    offers: { '@type': 'Offer', price: '10.00', priceCurrency: 'EUR' }
+                }
+            ]
+        })));
+
+        expect(result.entities).toHaveLength(2);
+        expect(result.entities[0].id).toBe('https://example.com/#website');
+        expect(result.types).toEqual(['WebSite', 'Product', 'Offer']);
+        expect(result.entities[1].properties.offers[0].path).toBe('Product > offers > Offer');
+        expect(result.errorCount).toBe(0);
+        expect(result.isValid).toBe(true);
+    });
+
+    it('should report JSON-LD syntax errors without dropping valid blocks', () => {
+        const result = analyzer.analyze(load(
+            jsonLd('{"@type": "Article", "headline": "Hi",}') +
+            jsonLd({ '@type': 'Person', name: 'Jane' })
+        ));
+
+        expect(result.jsonLdBlocks).toBe(2);
+        expect(result.jsonLdSyntaxErrors).toHaveLength(1);
+        expect(result.jsonLdSyntaxErrors[0].block).toBe(0);
+        expect(result.entities).toHaveLength(1);
+        expect(result.errorCount).toBe(1);
+    });
+
+    it('should validate required, recommended and unknown properties using inheritance', () => {
+        const result = analyzer.analyze(load(jsonLd({
+            '@context': 'http://schema.org',
+            '@type': 'schema:NewsArticle',
+            author: { '@type': 'Person', name: 'Jane' },
+            colour: 'red'
+        })));
+
+        const [article] = result.entities;
+        expect(article.types).toEqual(['NewsArticle']);
+        expect(article.validation.missingRequired).toEqual(['headline']);
+        expect(article.validation.missingRecommended).toEqual(expect.arrayContaining(['image', 'datePublished']));
+        expect(article.validation.unknownProperties).toEqual(['colour']);
+        expect(article.validation.isValid).toBe(false);
+        expect(result.issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ severity: 'error', message: 'Missing required property: headline' })
+        ]));
+    });
+
+    it('should accept alternatives and flag unknown types', () => {
+        const result = analyzer.analyze(load(
+            jsonLd({ '@type': 'Offer', priceSpecification: { '@type': 'PriceSpecification', price: 5 } }) +
+            jsonLd({ '@type': 'MadeUpThing', name: 'x' })
+        ));
+
+        expect(result.entities[0].validation.missingRequired).toEqual([]);
+        expect(result.entities[1].validation.unknownTypes).toEqual(['MadeUpThing']);
+        expect(result.issues.find(issue => issue.type === 'MadeUpThing').severity).toBe('warning');
+    });
+
+    it('should parse microdata into the normalized entity model', () => {
+        const $ = cheerio.load(`
+            <div itemscope itemtype="https://schema.org/Product" itemref="extra">
+                <h1 itemprop="name">Shoe</h1>
+                <img itemprop="image" src="/shoe.jpg">
+                <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+                    <meta itemprop="priceCurrency" content="EUR">
+                    <span itemprop="price" content="10.00">10 EUR</span>
+                    <link itemprop="availability" href="https://schema.org/InStock">
+                </div>
+            </div>
+            <p id="extra" itemprop="description">A   comfortable shoe</p>
+        `);
+
+        const result = analyzer.analyze($);
+        const [product] = result.entities;
+
+        expect(result.entitiesByFormat.microdata).toBe(1);
+        expect(product.format).toBe('microdata');
+        expect(product.types).toEqual(['Product']);
+        expect(product.properties.name).toEqual(['Shoe']);
+        expect(product.properties.image).toEqual(['/shoe.jpg']);
+        expect(product.properties.description).toEqual(['A comfortable shoe']);
+        expect(product.properties.offers[0].types).toEqual(['Offer']);
+        expect(product.properties.offers[0].properties.price).toEqual(['10.00']);
+        expect(product.properties.offers[0].properties.priceCurrency).toEqual(['EUR']);
+        expect(product.properties.offers[0].validation.missingRequired).toEqual([]);
+        expect(result.types).toEqual(['Product', 'Offer']);
+    });
+
+    it('should resolve itemref IDs that are not valid in selectors', () => {
+        const $ = cheerio.load(`
+            <div itemscope itemtype="https://schema.org/Person" itemref='na"me'></div>
+            <span id='na"me' itemprop="name">Jane</span>
+        `);
+
+        const [person] = analyzer.analyze($).entities;
+
+        expect(person.properties.name).toEqual(['Jane']);
+    });
+
+    it('should stop at itemref cycles', () => {
+        const $ = cheerio.load(`
+            <div itemscope itemref="a"></div>
+            <div id="a" itemprop="x" itemscope itemref="a"><span itemprop="name">Self</span></div>
+            <div itemscope itemtype="https://schema.org/Person" itemref="b"></div>
+            <div id="b" itemprop="knows" itemscope itemtype="https://schema.org/Person" itemref="c">
+                <span itemprop="name">Bob</span>
+            </div>
+            <div id="c" itemprop="knows" itemscope itemtype="https://schema.org/Person" itemref="b">
+                <span itemprop="name">Carol</span>
+            </div>
+        `);
+
+        // Referenced items outside of any item are listed on their own as well
+        const entities = analyzer.parseMicrodata($);
+        const self = entities[0];
+        const person = entities.find(entity => entity.types[0] === 'Person' && entity.properties.knows && !entity.properties.name);
+
+        expect(self.properties.x[0].properties.name).toEqual(['Self']);
+        expect(self.properties.x[0].properties.x).toBeUndefined();
+        const bob = person.properties.knows[0];
+        expect(bob.properties.name).toEqual(['Bob']);
+        expect(bob.properties.knows[0].properties.name).toEqual(['Carol']);
+        expect(bob.properties.knows[0].properties.knows).toBeUndefined();
+    });
+
+    it('should parse RDFa into the normalized entity model', () => {
+        const $ = cheerio.load(`
+            <div vocab="https://schema.org/" typeof="Article" resource="#post">
+                <h1 property="headline">Hello</h1>
+                <meta property="og:title" content="ignored">
+                <span property="author" typeof="Person"><span property="name">Jane</span></span>
+                <time property="datePublished" datetime="2024-01-01">Jan 1</time>
+            </div>
+        `);
+
+        const result = analyzer.analyze($);
+        const [article] = result.entities;
+
+        expect(result.entitiesByFormat.rdfa).toBe(1);
+        expect(article.format).toBe('rdfa');
+        expect(article.id).toBe('#post');
+        expect(article.properties.headline).toEqual(['Hello']);
+        expect(article.properties.datePublished).toEqual(['2024-01-01']);
+        expect(article.properties['og:title']).toBeUndefined();
+        expect(article.properties.author[0].properties.name).toEqual(['Jane']);
+        expect(article.validation.missingRequired).toEqual([]);
+    });
+
+    it('should only validate RDFa terms of the schema.org vocabulary', () => {
+        const $ = cheerio.load(`
+            <div vocab="http://xmlns.com/foaf/0.1/" typeof="Person">
+                <span property="name">Jane</span>
+                <a property="homepage" href="https://jane.example.com">Home</a>
+                <div typeof="Document"><span property="title">CV</span></div>
+            </div>
+            <div prefix="s: https://schema.org/ ex: https://example.com/ns#" typeof="s:Organization ex:Company">
+                <span property="s:name ex:legalName">ACME</span>
+                <span property="s:founder" typeof="Person"><span property="s:name">John</span></span>
+            </div>
+        `);
+
+        const result = analyzer.analyze($);
+
+        expect(result.entitiesByFormat.rdfa).toBe(1);
+        expect(result.entities[0].types).toEqual(['Organization']);
+        expect(result.entities[0].properties.name).toEqual(['ACME']);
+        expect(result.entities[0].properties.founder[0].types).toEqual([]);
+        expect(result.errorCount).toBe(0);
+        expect(result.issues.filter(issue => issue.message.startsWith('Unknown schema.org type'))).toEqual([]);
+    });
+});
@@ -0,0 +1,39 @@
+const { URLFilter } = require('../src/url-filter');
+
+describe('URLFilter', () => {
+    it('should allow everything without patterns', () => {
+        const filter = new URLFilter();
+        expect(filter.isAllowed('https://example.com/any/page')).toBe(true);
+    });
+
+    it('should apply exclude globs to the path', () => {
+        const filter = new URLFilter({ excludePatterns: ['/wp-admin/**', '/blog/tag/*'] });
+
+        expect(filter.isAllowed('https://example.com/wp-admin/edit.php')).toBe(false);
+        expect(filter.isAllowed('https://example.com/blog/tag/seo')).toBe(false);
+        expect(filter.isAllowed('https://example.com/blog/tag/seo/page/2')).toBe(true);
+        expect(filter.check('https://example.com/wp-admin/x').reason).toBe('excluded by pattern /wp-admin/**');
+    });
+
+    it('should require a match for include patterns', () => {
+        const filter = new URLFilter({ includePatterns: ['/products/**', 'https://shop.example.com/**'] });
+
+        expect(filter.isAllowed('https://example.com/products/shoes')).toBe(true);
+        expect(filter.isAllowed('https://shop.example.com/cart')).toBe(true);
+        expect(filter.isAllowed('https://example.com/about')).toBe(false);
+    });
+
+    it('should support regex patterns against the full URL', () => {
+        const filter = new URLFilter({ excludePatterns: ['regex:[?&]page=\\d+'] });
+
+        expect(filter.isAllowed('https://example.com/blog?page=2')).toBe(false);
+        expect(filter.isAllowed('https://example.com/blog')).toBe(true);
+    });
+
+    it('should let exclude patterns win over include patterns', () => {
+        const filter = new URLFilter({ includePatterns: ['/blog/**'], excludePatterns: ['/blog/drafts/**'] });
+
+        expect(filter.isAllowed('https://example.com/blog/post')).toBe(true);
+        expect(filter.isAllowed('https://example.com/blog/drafts/post')).toBe(false);
+    });
+});
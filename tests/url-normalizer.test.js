@@ -0,0 +1,50 @@
+const { URLNormalizer } = require('../src/url-normalizer');
+
+describe('URLNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new URLNormalizer();
+    });
+
+    it('should resolve links of a start URL that redirected to another origin', () => {
+        const links = [
+            { url: '/about/' },
+            { url: 'team' },
+            { url: 'https://www.example.com/contact?utm_source=nav' },
+            { url: 'http://example.com/legacy' },
+            { url: 'https://www.example.com.evil.test/phish' },
+            { url: 'https://cdn.example.com/file' },
+            'docs/#intro'
+        ];
+
+        const resolved = normalizer.resolveCrawlLinks(links, {
+            baseUrl: 'https://www.example.com/en/',
+            allowedOrigins: new Set(['http://example.com', 'https://www.example.com'])
+        });
+
+        expect(resolved).toEqual([
+            'https://www.example.com/about',
+            'https://www.example.com/en/team',
+            'https://www.example.com/contact',
+            'http://example.com/legacy',
+            'https://www.example.com/en/docs'
+        ]);
+    });
+
+    it('should not follow links to the site an internal link redirected to', () => {
+        const links = [{ url: '/pricing' }, { url: 'https://partner.com/' }, { url: 'https://partner.com/products' }];
+
+        // The page was requested as /go/partner and ended up on partner.com
+        const resolved = normalizer.resolveCrawlLinks(links, {
+            baseUrl: 'https://partner.com/',
+            allowedOrigins: new Set(['https://www.example.com'])
+        });
+
+        expect(resolved).toEqual([]);
+        expect(normalizer.resolveCrawlLinks(['/pricing', 'https://partner.com/'], {
+            baseUrl: 'https://www.example.com/blog/',
+            allowedOrigins: new Set(['https://www.example.com'])
+        })).toEqual(['https://www.example.com/pricing']);
+    });
+});
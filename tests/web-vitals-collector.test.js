@@ -0,0 +1,89 @@
+const { WebVitalsCollector } = require('../src/web-vitals-collector');
+
+describe('WebVitalsCollector', () => {
+    let collector;
+
+    beforeEach(() => {
+        collector = new WebVitalsCollector();
+    });
+
+    it('should use the largest session window for CLS', () => {
+        const cls = collector.calculateCls([
+            { time: 100, value: 0.05, nodes: ['img.hero'] },
+            { time: 600, value: 0.04, nodes: ['div#banner', 'img.hero'] },
+            // More than a second later, starts a new window
+            { time: 3000, value: 0.2, nodes: ['div#ad'] },
+            { time: 3500, value: 0.1, nodes: ['div#ad', 'footer'] }
+        ]);
+
+        expect(cls.value).toBe(0.3);
+        expect(cls.nodes).toEqual([{ node: 'div#ad', shift: 0.3 }, { node: 'footer', shift: 0.1 }]);
+        expect(collector.calculateCls([])).toEqual({ value: 0, nodes: [] });
+    });
+
+    it('should count blocking time of long tasks after the first contentful paint', () => {
+        const longTasks = [
+            { start: 100, duration: 300 }, // Ends before FCP
+            { start: 900, duration: 200 }, // 100ms after FCP, 50ms blocking
+            { start: 1500, duration: 120 }, // 70ms blocking
+            { start: 2000, duration: 40 }
+        ];
+
+        expect(collector.calculateTbt(longTasks, 1000)).toBe(120);
+    });
+
+    it('should rate metrics and collect them from the page', async () => {
+        const page = {
+            evaluate: jest.fn().mockResolvedValue({
+                entries: {
+                    fcp: 1200.4,
+                    lcp: { time: 3100.6, element: 'img.hero', url: 'https://example.com/hero.jpg', size: 480000 },
+                    shifts: [{ time: 1500, value: 0.02, nodes: ['div#banner'] }],
+                    longTasks: [{ start: 1300, duration: 900 }]
+                },
+                domContentLoaded: 1050.2,
+                loadTime: 2800.9,
+                viewport: { width: 1920, height: 1080 }
+            })
+        };
+
+        const vitals = await collector.collect(page);
+
+        expect(vitals).toEqual({
+            largestContentfulPaint: 3101,
+            cumulativeLayoutShift: 0.02,
+            totalBlockingTime: 850,
+            firstContentfulPaint: 1200,
+            lcpElement: { element: 'img.hero', url: 'https://example.com/hero.jpg', size: 480000 },
+            layoutShiftNodes: [{ node: 'div#banner', shift: 0.02 }],
+            longTasks: 1,
+            domContentLoaded: 1050,
+            loadTime: 2801,
+            ratings: {
+                largestContentfulPaint: 'needs-improvement',
+                cumulativeLayoutShift: 'good',
+                totalBlockingTime: 'poor',
+                firstContentfulPaint: 'good'
+            },
+            viewport: { width: 1920, height: 1080 },
+            throttlingProfile: 'none'
+        });
+    });
+
+    it('should apply the throttling profile before installing the observers', async () => {
+        collector = new WebVitalsCollector({ throttlingProfile: 'mobile' });
+        const page = {
+            emulateCPUThrottling: jest.fn().mockResolvedValue(),
+            emulateNetworkConditions: jest.fn().mockResolvedValue(),
+            evaluateOnNewDocument: jest.fn().mockResolvedValue()
+        };
+
+        await collector.install(page);
+
+        expect(page.emulateCPUThrottling).toHaveBeenCalledWith(4);
+        expect(page.emulateNetworkConditions).toHaveBeenCalledWith(expect.objectContaining({ latency: 150 }));
+        expect(page.evaluateOnNewDocument).toHaveBeenCalledWith(expect.any(Function));
+        expect(() => new WebVitalsCollector({ throttlingProfile: '3g' })).toThrow('Unknown throttling profile "3g"');
+        expect(WebVitalsCollector.getThrottlingProfiles()).toEqual(['none', 'desktop', 'mobile']);
+    });
+});